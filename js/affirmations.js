@@ -0,0 +1,117 @@
+// affirmations.js
+// This file keeps the affirmation library: every affirmation the user has committed
+// to from an Affirmation Card, favourited, or written themselves, across all chats.
+// It also picks the "card of the day" shown when Aura opens, rotating through the
+// user's favourites (or the whole library) one day at a time.
+
+// --- Affirmation Library ---
+
+const CARD_OF_THE_DAY_LAST_STORAGE_KEY = 'aura_card_of_the_day_last';
+const AFFIRMATION_SOURCES = { AURA: 'aura', USER: 'user' };
+// Used for the card of the day until the library has affirmations of its own.
+const STARTER_AFFIRMATIONS = [
+    'I am allowed to take things one step at a time.',
+    'My feelings are valid, and they will pass.',
+    'I have handled hard days before, and I can handle this one.',
+    'I deserve the same kindness I give to others.',
+    'Rest is part of progress, not a break from it.'
+];
+
+let affirmationCounter = 0;
+
+class AffirmationLibrary {
+    constructor(chatManager) {
+        this.chatManager = chatManager;
+    }
+
+    getAffirmations() {
+        return this.chatManager.state.affirmations;
+    }
+
+    getFavorites() {
+        return this.getAffirmations().filter(affirmation => affirmation.favorite);
+    }
+
+    findByText(text) {
+        const key = text.trim().toLowerCase();
+        return this.getAffirmations().find(affirmation => affirmation.text.toLowerCase() === key) || null;
+    }
+
+    // Adding an affirmation that's already in the library returns the existing one.
+    addAffirmation(text, source = AFFIRMATION_SOURCES.USER, { favorite = false } = {}) {
+        if (!text.trim()) return null;
+        const existing = this.findByText(text);
+        if (existing) {
+            if (favorite && !existing.favorite) {
+                existing.favorite = true;
+                this.chatManager.saveState();
+            }
+            return existing;
+        }
+        const affirmation = {
+            id: `affirmation-${Date.now()}-${affirmationCounter++}`,
+            text: text.trim(),
+            source,
+            favorite,
+            createdAt: new Date().toISOString()
+        };
+        this.getAffirmations().push(affirmation);
+        this.chatManager.saveState();
+        return affirmation;
+    }
+
+    toggleFavorite(affirmationId) {
+        const affirmation = this.getAffirmations().find(entry => entry.id === affirmationId);
+        if (!affirmation) return null;
+        affirmation.favorite = !affirmation.favorite;
+        this.chatManager.saveState();
+        return affirmation;
+    }
+
+    deleteAffirmation(affirmationId) {
+        this.chatManager.state.affirmations = this.getAffirmations().filter(affirmation => affirmation.id !== affirmationId);
+        this.chatManager.saveState();
+    }
+
+    // Adds imported affirmations that aren't in the library yet.
+    mergeAffirmations(affirmations) {
+        affirmations
+            .filter(affirmation => !this.getAffirmations().some(entry => entry.id === affirmation.id) && !this.findByText(affirmation.text))
+            .forEach(affirmation => this.getAffirmations().push(affirmation));
+        this.chatManager.saveState();
+    }
+
+    // Marks an Affirmation Card in the active chat as committed to and adds its
+    // affirmations to the library.
+    commitCard(cardId) {
+        const activeChat = this.chatManager.state.chats[this.chatManager.getActiveChatId()];
+        const card = activeChat && ((activeChat.tools && activeChat.tools.affirmation_card) || []).find(entry => entry.id === cardId);
+        if (!card) return null;
+        card.committedAt = new Date().toISOString();
+        card.text.forEach(text => this.addAffirmation(text, AFFIRMATION_SOURCES.AURA));
+        this.chatManager.saveState();
+        return card;
+    }
+
+    // The same affirmation all day, moving on to the next one each day. Favourites come
+    // first; with none, the whole library; with an empty library, the starter set.
+    getCardOfTheDay(date = new Date()) {
+        const favorites = this.getFavorites();
+        const pool = favorites.length > 0 ? favorites
+            : this.getAffirmations().length > 0 ? this.getAffirmations()
+                : STARTER_AFFIRMATIONS.map(text => ({ id: null, text, favorite: false }));
+        const dayNumber = Math.floor(new Date(toDayKey(date)).getTime() / (24 * 60 * 60 * 1000));
+        return pool[dayNumber % pool.length];
+    }
+
+    // The card of the day is shown once, the first time Aura is opened each day.
+    shouldShowCardOfTheDay(date = new Date()) {
+        return localStorage.getItem(CARD_OF_THE_DAY_LAST_STORAGE_KEY) !== toDayKey(date);
+    }
+
+    markCardOfTheDayShown(date = new Date()) {
+        localStorage.setItem(CARD_OF_THE_DAY_LAST_STORAGE_KEY, toDayKey(date));
+    }
+}
+
+const affirmationLibrary = new AffirmationLibrary(chatManager);
@@ -2,158 +2,225 @@
 // This is the main entry point for the application. It connects all the pieces:
 // UI elements, chat logic, and user event handling.
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    // Chats are loaded asynchronously, after unlocking in lock mode; nothing can be rendered before that.
+    document.getElementById('eraseDataButton').addEventListener('click', async () => {
+        const syncNote = isSyncEnabled() ? ' Anything already synced stays on your Aura server and comes back when you sync.' : '';
+        if (confirm(`This permanently deletes all of your chats, tools, and memories on this device.${syncNote} Are you sure?`)) {
+            await chatManager.eraseAllData();
+            // Otherwise the next sync would delete everything on the server too.
+            syncManager.resetState();
+            location.reload();
+        }
+    });
+    await chatManager.init(() => promptForUnlock(unlockWithPassphrase));
+    chatManager.onSaveError = showErrorToast;
+
     // --- Element References ---
     const userInput = document.getElementById('userInput');
     const sendButton = document.getElementById('sendButton');
+    const stopButton = document.getElementById('stopButton');
     const newChatButton = document.getElementById('newChatButton');
     const chatListContainer = document.getElementById('chatList');
+    const chatSearchInput = document.getElementById('chatSearchInput');
+    const semanticSearchCheckbox = document.getElementById('semanticSearchCheckbox');
+    const chatSearchResultsContainer = document.getElementById('chatSearchResults');
     const micButton = document.getElementById('micButton');
+    const conversationButton = document.getElementById('conversationButton');
     const settingsButton = document.getElementById('settingsButton');
     const cancelSettingsButton = document.getElementById('cancelSettingsButton');
     const saveSettingsButton = document.getElementById('saveSettingsButton');
-    const resetSettingsButton = document.getElementById('resetSettingsButton');
-    const systemPromptTextarea = document.getElementById('systemPromptTextarea');
+    const chatPersonaDropdown = document.getElementById('chatPersonaDropdown');
+    const personaEditorDropdown = document.getElementById('personaEditorDropdown');
+    const newPersonaButton = document.getElementById('newPersonaButton');
+    const duplicatePersonaButton = document.getElementById('duplicatePersonaButton');
+    const deletePersonaButton = document.getElementById('deletePersonaButton');
+    const exportPersonaButton = document.getElementById('exportPersonaButton');
+    const importPersonaButton = document.getElementById('importPersonaButton');
+    const importPersonaInput = document.getElementById('importPersonaInput');
+    const personaReadOnlyNote = document.getElementById('personaReadOnlyNote');
+    const personaNameInput = document.getElementById('personaNameInput');
+    const personaPromptTextarea = document.getElementById('personaPromptTextarea');
+    const personaModelDropdown = document.getElementById('personaModelDropdown');
+    const personaVoiceDropdown = document.getElementById('personaVoiceDropdown');
+    const personaToolsList = document.getElementById('personaToolsList');
+    const defaultPersonaDropdown = document.getElementById('defaultPersonaDropdown');
     const voiceSelectDropdown = document.getElementById('voiceSelectDropdown');
     const modelSelectDropdown = document.getElementById('modelSelectDropdown');
+    const toolModelSelectDropdown = document.getElementById('toolModelSelectDropdown');
+    const refreshModelsButton = document.getElementById('refreshModelsButton');
+    const ollamaStatusText = document.getElementById('ollamaStatusText');
+    const parameterModelDropdown = document.getElementById('parameterModelDropdown');
+    const modelParameterInputs = document.querySelectorAll('.model-parameter-input');
+    const speechLanguageDropdown = document.getElementById('speechLanguageDropdown');
+    const speechRateInput = document.getElementById('speechRateInput');
+    const speechRateValue = document.getElementById('speechRateValue');
+    const speechPitchInput = document.getElementById('speechPitchInput');
+    const speechPitchValue = document.getElementById('speechPitchValue');
     const toolsButton = document.getElementById('toolsButton');
     const closeToolsButton = document.getElementById('closeToolsButton');
     const toolsModalContent = document.getElementById('toolsModalContent');
     const chatMessages = document.getElementById('chatMessages');
+    const moodDashboardButton = document.getElementById('moodDashboardButton');
+    const closeMoodDashboardButton = document.getElementById('closeMoodDashboardButton');
+    const moodDashboardContent = document.getElementById('moodDashboardContent');
+    const memoriesButton = document.getElementById('memoriesButton');
+    const closeMemoriesButton = document.getElementById('closeMemoriesButton');
+    const memoryScopeDropdown = document.getElementById('memoryScopeDropdown');
+    const memoriesModalContent = document.getElementById('memoriesModalContent');
+    const crisisLocaleDropdown = document.getElementById('crisisLocaleDropdown');
+    const crisisResourcesTextarea = document.getElementById('crisisResourcesTextarea');
+    const crisisClassifierCheckbox = document.getElementById('crisisClassifierCheckbox');
+    const safetyLogList = document.getElementById('safetyLogList');
+    const clearSafetyLogButton = document.getElementById('clearSafetyLogButton');
+    const exportAllButton = document.getElementById('exportAllButton');
+    const exportChatButton = document.getElementById('exportChatButton');
+    const exportMarkdownButton = document.getElementById('exportMarkdownButton');
+    const importBackupButton = document.getElementById('importBackupButton');
+    const importBackupInput = document.getElementById('importBackupInput');
+    const importConflictDropdown = document.getElementById('importConflictDropdown');
+    const lockStatusText = document.getElementById('lockStatusText');
+    const currentPassphraseInput = document.getElementById('currentPassphraseInput');
+    const newPassphraseInput = document.getElementById('newPassphraseInput');
+    const confirmPassphraseInput = document.getElementById('confirmPassphraseInput');
+    const enableLockButton = document.getElementById('enableLockButton');
+    const changePassphraseButton = document.getElementById('changePassphraseButton');
+    const disableLockButton = document.getElementById('disableLockButton');
+    const lockNowButton = document.getElementById('lockNowButton');
+    const autoLockDropdown = document.getElementById('autoLockDropdown');
+    const syncStatusText = document.getElementById('syncStatusText');
+    const syncServerUrlInput = document.getElementById('syncServerUrlInput');
+    const syncTokenInput = document.getElementById('syncTokenInput');
+    const syncNowButton = document.getElementById('syncNowButton');
+    const remindersButton = document.getElementById('remindersButton');
+    const closeRemindersButton = document.getElementById('closeRemindersButton');
+    const reminderTextInput = document.getElementById('reminderTextInput');
+    const reminderTimeInput = document.getElementById('reminderTimeInput');
+    const addReminderButton = document.getElementById('addReminderButton');
+    const remindersModalContent = document.getElementById('remindersModalContent');
+    const moodCheckinTimeInput = document.getElementById('moodCheckinTimeInput');
+    const notificationStatusText = document.getElementById('notificationStatusText');
+    const enableNotificationsButton = document.getElementById('enableNotificationsButton');
+    const affirmationsButton = document.getElementById('affirmationsButton');
+    const closeAffirmationsButton = document.getElementById('closeAffirmationsButton');
+    const affirmationTextInput = document.getElementById('affirmationTextInput');
+    const addAffirmationButton = document.getElementById('addAffirmationButton');
+    const affirmationFilterDropdown = document.getElementById('affirmationFilterDropdown');
+    const affirmationsModalContent = document.getElementById('affirmationsModalContent');
+    const favoriteCardOfTheDayButton = document.getElementById('favoriteCardOfTheDayButton');
+    const readCardOfTheDayButton = document.getElementById('readCardOfTheDayButton');
+    const closeCardOfTheDayButton = document.getElementById('closeCardOfTheDayButton');
 
-    const availableModels = [
-        'gemma3:4b',
-        'gemma3:4b-it-qat',
-        'gemma3n:e4b-it-q4_K_M',
-        'deepseek-r1:8b',
-        'llama3:8b-instruct-q5_K_M',
-        'llama3.2:3b',
-        'qwen3:4b-q4_K_M',
-        'deepseek-v3.1:671b-cloud',
-        'gpt-oss:120b-cloud'
-    ];
-
-    let isRecording = false;
-    let recognition;
-    let voices = [];
-    const synth = window.speechSynthesis;
     let lastInputMode = 'text';
-    let breathInterval;
+    let micListener = null;
+    let conversationListener = null;
+    let autoLockTimer;
+    let cardOfTheDay = null;
+    // Unsaved parameter edits, by model, kept while switching between models in settings.
+    let modelParameterDrafts = {};
+    let parameterModel = null;
+    // Unsaved persona edits, by persona id, kept while switching between personas in settings.
+    let personaDrafts = {};
+    let editingPersonaId = null;
+    // The chat models installed in Ollama, as last listed in settings.
+    let installedChatModels = [];
+    let searchTimer = null;
+    // Counts searches, so results from one that's been superseded are dropped.
+    let searchRun = 0;
+    // Chats being named by Aura, so a slow reply doesn't start a second request.
+    const chatsBeingTitled = new Set();
 
     function populateVoiceDropdown() {
-        voices = synth.getVoices();
         voiceSelectDropdown.innerHTML = '';
         const systemVoice = getVoiceName();
-        voices.forEach(voice => {
+        speechSynthesis.getVoices().forEach(voice => {
             const option = document.createElement('option');
             option.textContent = voice.name;
             option.value = voice.name;
             if (voice.name === systemVoice) { option.selected = true; }
             voiceSelectDropdown.appendChild(option);
         });
+        fillPersonaVoiceDropdown(personaVoiceDropdown.value);
+    }
+
+    function fillPersonaVoiceDropdown(selectedVoice) {
+        personaVoiceDropdown.innerHTML = '';
+        const choices = [{ value: '', label: 'Use the voice setting' }, ...speechSynthesis.getVoices().map(voice => ({ value: voice.name, label: voice.name }))];
+        if (selectedVoice && !choices.some(choice => choice.value === selectedVoice)) {
+            choices.push({ value: selectedVoice, label: `${selectedVoice} (not available)` });
+        }
+        choices.forEach(choice => {
+            const option = document.createElement('option');
+            option.textContent = choice.label;
+            option.value = choice.value;
+            option.selected = choice.value === selectedVoice;
+            personaVoiceDropdown.appendChild(option);
+        });
     }
     if (speechSynthesis.onvoiceschanged !== undefined) {
         speechSynthesis.onvoiceschanged = populateVoiceDropdown;
     }
 
-    function speakResponse(text) {
-        const cleanedText = text.replace(/[^\w\s.,?!'"-]/g, '').trim();
-        if (!cleanedText) return;
-        const selectedVoiceName = getVoiceName();
-        const utterance = new SpeechSynthesisUtterance(cleanedText);
-        if (selectedVoiceName) {
-            const selectedVoice = voices.find(voice => voice.name === selectedVoiceName);
-            if (selectedVoice) { utterance.voice = selectedVoice; }
+    // Whether the mic only heard Aura reading its reply aloud, rather than the user.
+    function isAuraEcho(transcript) {
+        const { activeSpeaker } = conversation;
+        return Boolean(activeSpeaker && activeSpeaker.isEcho(transcript));
+    }
+
+    // Barge-in: as soon as the user starts talking, Aura stops speaking and stops
+    // writing the reply. What it has written so far is kept.
+    function interruptAura() {
+        if (conversation.activeSpeaker) conversation.activeSpeaker.cancel();
+        conversation.stop();
+    }
+
+    // Sends a spoken message. Talking over a reply cuts it short, and the new message is
+    // sent once Aura's turn has finished.
+    async function handleVoiceTranscript(transcript) {
+        if (isAuraEcho(transcript)) return;
+        while (conversation.turnInProgress) {
+            interruptAura();
+            await conversation.turnFinished;
         }
-        synth.speak(utterance);
+        if (conversation.activeSpeaker) conversation.activeSpeaker.cancel();
+        userInput.value = transcript;
+        handleSendMessage('voice');
     }
 
     function setupSpeechRecognition() {
-        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-        if (!SpeechRecognition) {
+        if (!isSpeechRecognitionSupported()) {
             micButton.style.display = 'none';
+            conversationButton.style.display = 'none';
             return;
         }
-        recognition = new SpeechRecognition();
-        recognition.interimResults = false;
-        recognition.lang = 'en-US';
-        recognition.onstart = () => { isRecording = true; setMicButtonState('listening'); };
-        recognition.onresult = (event) => {
-            userInput.value = event.results[0][0].transcript;
-            handleSendMessage('voice');
-        };
-        recognition.onend = () => { isRecording = false; setMicButtonState('idle'); };
-        recognition.onerror = (event) => {
-            console.error('Speech recognition error', event.error);
-            isRecording = false;
-            setMicButtonState('idle');
+        const showInterimTranscript = (transcript) => {
+            if (isAuraEcho(transcript)) return;
+            interruptAura();
+            userInput.value = transcript;
         };
+        // The mic takes a single message.
+        micListener = new SpeechListener({
+            onInterim: showInterimTranscript,
+            onFinal: handleVoiceTranscript,
+            onStateChange: (isListening) => setMicButtonState(isListening ? 'listening' : 'idle')
+        });
+        // Conversation mode keeps listening between messages, and while Aura replies so
+        // the user can talk over it: listen, send, speak, listen.
+        conversationListener = new SpeechListener({
+            continuous: true,
+            onInterim: showInterimTranscript,
+            onFinal: handleVoiceTranscript,
+            onStateChange: setConversationButtonState
+        });
     }
 
     async function handleSendMessage(inputMode = 'text') {
+        if (conversation.turnInProgress) return;
         lastInputMode = inputMode;
         const message = userInput.value.trim();
         if (!message) return;
-
-        addMessage('user', message);
-        chatManager.addMessageToActiveChat('user', message);
         userInput.value = '';
-        showTypingIndicator();
-
-        const rawResponse = await getOllamaResponse(message);
-        
-        const toolTagRegex = /<tool_create\s+type="([^"]+)"(?:\s+theme="([^"]+)")?\s*\/>/g;
-        let cleanedResponse = rawResponse;
-        const matchedTags = [...rawResponse.matchAll(toolTagRegex)];
-
-        hideTypingIndicator();
-
-        if (matchedTags.length > 0) {
-            // Extract all tool types from the matches
-            const toolTypes = matchedTags.map(match => match[1]);
-            // Get a unique set of tool types to avoid duplicate bubbles
-            const uniqueToolTypes = new Set(toolTypes);
-            // Add one status bubble for each unique tool type being used
-            uniqueToolTypes.forEach(toolType => {
-                addToolStatusMessage(toolType);
-            });
-        }
-
-        for (const match of matchedTags) {
-            const toolType = match[1];
-            const toolTheme = match[2] || '';
-            
-            const toolData = await createToolByType(toolType, toolTheme);
-            if (toolData) {
-                chatManager.addOrUpdateToolInActiveChat(toolType, toolData);
-            }
-            cleanedResponse = cleanedResponse.replace(match[0], '').trim();
-        }
-
-        removeToolStatusMessages();
-
-        addMessage('ai', cleanedResponse);
-        chatManager.addMessageToActiveChat('ai', cleanedResponse);
-
-        if (lastInputMode === 'voice') {
-            speakResponse(cleanedResponse);
-        }
-
-        refreshUI();
-    }
-    
-    async function triggerAIFollowUp(followUp) {
-        showTypingIndicator();
-        const response = await getOllamaResponse('', followUp);
-        hideTypingIndicator();
-
-        addMessage('ai', response);
-        chatManager.addMessageToActiveChat('ai', response);
-
-        if (lastInputMode === 'voice') {
-            speakResponse(response);
-        }
-        refreshUI();
+        await conversation.sendMessage(message);
     }
 
     function refreshUI() {
@@ -165,22 +232,116 @@ document.addEventListener('DOMContentLoaded', () => {
         const activeTools = chatManager.getActiveChatTools();
         const hasAnyTools = Object.values(activeTools).some(toolArray => toolArray && toolArray.length > 0);
         toggleToolsButton(hasAnyTools);
+        renderCrisisCard(chatManager.isCrisisCardPinnedInActiveChat() ? getCrisisResources() : null);
+        fillPersonaDropdown(chatPersonaDropdown, getActivePersona().id);
     }
 
-    function populateModelDropdown() {
-        modelSelectDropdown.innerHTML = '';
-        const currentModel = getModelName();
-        availableModels.forEach(model => {
+    function fillPersonaDropdown(dropdown, selectedId) {
+        dropdown.innerHTML = '';
+        getPersonas().forEach(persona => {
             const option = document.createElement('option');
-            option.textContent = model;
-            option.value = model;
-            if (model === currentModel) {
-                option.selected = true;
-            }
-            modelSelectDropdown.appendChild(option);
+            option.textContent = persona.builtIn ? `${persona.name} (built-in)` : persona.name;
+            option.value = persona.id;
+            option.selected = persona.id === selectedId;
+            dropdown.appendChild(option);
         });
     }
 
+    // A saved model that isn't installed is still listed, so saving other settings
+    // doesn't quietly switch models.
+    function fillModelDropdown(dropdown, models, selectedModel, defaultLabel = null) {
+        dropdown.innerHTML = '';
+        const choices = models.map(model => ({ value: model.name, label: describeModel(model) }));
+        if (defaultLabel) choices.unshift({ value: '', label: defaultLabel });
+        if (selectedModel && !choices.some(choice => choice.value === selectedModel)) {
+            choices.push({ value: selectedModel, label: `${selectedModel} (not installed)` });
+        }
+        choices.forEach(choice => {
+            const option = document.createElement('option');
+            option.textContent = choice.label;
+            option.value = choice.value;
+            option.selected = choice.value === selectedModel;
+            dropdown.appendChild(option);
+        });
+    }
+
+    async function populateModelDropdowns() {
+        [modelSelectDropdown, toolModelSelectDropdown, parameterModelDropdown].forEach(dropdown => { dropdown.innerHTML = ''; });
+        ollamaStatusText.textContent = 'Checking Ollama…';
+        ollamaStatusText.classList.remove('text-red-400');
+        const health = await checkOllamaHealth();
+        ollamaStatusText.textContent = health.message;
+        ollamaStatusText.classList.toggle('text-red-400', !health.ok);
+
+        // Embedding models can't hold a conversation, so they're left out.
+        const chatModels = health.models.filter(model => !model.isEmbedding);
+        fillModelDropdown(modelSelectDropdown, chatModels, getModelName());
+        fillModelDropdown(toolModelSelectDropdown, chatModels, getToolModelSetting(), 'Same as conversation model');
+        fillModelDropdown(parameterModelDropdown, chatModels, getModelName());
+        modelParameterDrafts = {};
+        showModelParameters(parameterModelDropdown.value);
+        installedChatModels = chatModels;
+        fillModelDropdown(personaModelDropdown, chatModels, personaModelDropdown.value, 'Use the AI model setting');
+    }
+
+    function readModelParameterInputs() {
+        const parameters = {};
+        modelParameterInputs.forEach(input => { parameters[input.dataset.parameter] = input.value; });
+        return parameters;
+    }
+
+    function showModelParameters(model) {
+        parameterModel = model;
+        const parameters = modelParameterDrafts[model] || getModelParameters(model);
+        modelParameterInputs.forEach(input => {
+            const value = parameters[input.dataset.parameter];
+            input.value = value === undefined ? '' : value;
+        });
+    }
+
+    // --- Persona Settings ---
+
+    // Every tool ticked is stored as null, so tools added later are enabled too.
+    function readPersonaFields() {
+        const checkboxes = [...personaToolsList.querySelectorAll('.persona-tool-checkbox')];
+        const enabledTools = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+        return {
+            name: personaNameInput.value,
+            prompt: personaPromptTextarea.value,
+            model: personaModelDropdown.value,
+            voice: personaVoiceDropdown.value,
+            enabledTools: enabledTools.length === checkboxes.length ? null : enabledTools
+        };
+    }
+
+    function stashPersonaDraft() {
+        const persona = getPersona(editingPersonaId);
+        if (persona && !persona.builtIn) personaDrafts[editingPersonaId] = readPersonaFields();
+    }
+
+    function showPersona(personaId) {
+        const persona = { ...getPersona(personaId), ...personaDrafts[personaId] };
+        editingPersonaId = persona.id;
+        personaEditorDropdown.value = persona.id;
+        personaNameInput.value = persona.name;
+        personaPromptTextarea.value = persona.prompt;
+        fillModelDropdown(personaModelDropdown, installedChatModels, persona.model, 'Use the AI model setting');
+        fillPersonaVoiceDropdown(persona.voice);
+        renderPersonaToolOptions(personaToolsList, persona.enabledTools, persona.builtIn);
+        [personaNameInput, personaPromptTextarea, personaModelDropdown, personaVoiceDropdown, deletePersonaButton].forEach(element => {
+            element.disabled = Boolean(persona.builtIn);
+        });
+        personaReadOnlyNote.classList.toggle('hidden', !persona.builtIn);
+    }
+
+    // Refills the persona lists, e.g. after one is added or removed. The choice of
+    // persona for new chats isn't saved until settings are, so it's kept if it still exists.
+    function refreshPersonaSettings(selectedId, defaultId = defaultPersonaDropdown.value) {
+        fillPersonaDropdown(personaEditorDropdown, selectedId);
+        fillPersonaDropdown(defaultPersonaDropdown, getPersona(defaultId) ? defaultId : getDefaultPersonaId());
+        showPersona(selectedId);
+    }
+
     userInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter' && !e.shiftKey) {
             e.preventDefault();
@@ -188,144 +349,754 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
     sendButton.addEventListener('click', () => handleSendMessage('text'));
+    stopButton.addEventListener('click', () => {
+        conversation.stop();
+    });
     micButton.addEventListener('click', () => {
-        if (isRecording) {
-            recognition.stop();
+        if (micListener.isActive) {
+            micListener.stop();
         } else {
-            recognition.start();
+            micListener.start();
         }
     });
+    conversationButton.addEventListener('click', () => {
+        if (conversationListener.isActive) {
+            conversationListener.stop();
+            if (conversation.activeSpeaker) conversation.activeSpeaker.cancel();
+        } else {
+            micListener.stop();
+            conversationListener.start();
+        }
+    });
+    // A turn saves Aura's reply, its tools and its reminders to the active chat, so the
+    // user stays in that chat until the turn is over.
+    function canLeaveActiveChat(chatId = null) {
+        if (!conversation.turnInProgress || chatId === chatManager.getActiveChatId()) return true;
+        showErrorToast('Aura is still replying in this chat. Wait for it to finish, or stop it, before switching chats.');
+        return false;
+    }
+
     newChatButton.addEventListener('click', () => {
+        if (!canLeaveActiveChat()) return;
         chatManager.createNewChat();
         refreshUI();
     });
     
     chatListContainer.addEventListener('click', (event) => {
         const deleteButton = event.target.closest('.delete-chat-button');
-        const chatTab = event.target.closest('[data-chat-id]');
+        const actionButton = event.target.closest('[data-chat-action]');
+        const chatTab = event.target.closest('.chat-tab');
         if (deleteButton) {
             event.stopPropagation();
+            const chatId = deleteButton.getAttribute('data-chat-id');
+            if (chatId === chatManager.getActiveChatId() && !canLeaveActiveChat()) return;
             if (confirm('Are you sure you want to delete this chat?')) {
-                chatManager.deleteChat(deleteButton.getAttribute('data-chat-id'));
+                chatManager.deleteChat(chatId);
                 refreshUI();
             }
-        } else if (chatTab) {
+        } else if (actionButton) {
+            handleChatAction(chatTab, actionButton.dataset.chatAction);
+        } else if (chatTab && !event.target.closest('.chat-options, .chat-title-input')) {
+            if (!canLeaveActiveChat(chatTab.getAttribute('data-chat-id'))) return;
             chatManager.setActiveChat(chatTab.getAttribute('data-chat-id'));
             refreshUI();
         }
     });
+    chatListContainer.addEventListener('dblclick', (event) => {
+        const chatTitle = event.target.closest('.chat-title');
+        if (chatTitle) startRenamingChat(chatTitle.closest('.chat-tab'));
+    });
+    chatListContainer.addEventListener('change', (event) => {
+        if (!event.target.classList.contains('chat-folder-input')) return;
+        chatManager.setChatFolder(event.target.closest('.chat-tab').dataset.chatId, event.target.value);
+        refreshUI();
+    });
+
+    function handleChatAction(chatTab, action) {
+        const chatId = chatTab.dataset.chatId;
+        if (action === 'options') {
+            chatTab.querySelector('.chat-options').classList.toggle('hidden');
+            return;
+        }
+        if (action === 'rename') {
+            startRenamingChat(chatTab);
+            return;
+        }
+        if (action === 'pin') {
+            chatManager.togglePinned(chatId);
+        } else if (action === 'archive') {
+            if (chatId === chatManager.getActiveChatId() && !canLeaveActiveChat()) return;
+            chatManager.setArchived(chatId, !chatManager.state.chats[chatId].archived);
+        }
+        refreshUI();
+    }
+
+    // Swaps the chat's title for a text box. Enter or clicking away saves; Escape cancels.
+    function startRenamingChat(chatTab) {
+        const chatId = chatTab.dataset.chatId;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'chat-title-input flex-1 min-w-0 p-1 bg-gray-900 border border-gray-700 rounded text-sm focus:outline-none focus:ring-2 focus:ring-pink-500';
+        input.value = chatManager.state.chats[chatId].title;
+        input.maxLength = CHAT_TITLE_MAX_LENGTH;
+        let isFinished = false;
+        const finish = (shouldSave) => {
+            if (isFinished) return;
+            isFinished = true;
+            if (shouldSave) chatManager.renameChat(chatId, input.value);
+            renderChatList(chatManager.state.chats, chatManager.getActiveChatId());
+        };
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') finish(true);
+            if (event.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+        chatTab.querySelector('.chat-title').replaceWith(input);
+        input.focus();
+        input.select();
+    }
+
+    async function generateTitleInBackground(chatId) {
+        if (chatsBeingTitled.has(chatId) || !chatManager.needsGeneratedTitle(chatId)) return;
+        chatsBeingTitled.add(chatId);
+        const title = await generateChatTitle(chatManager.state.chats[chatId].history);
+        chatsBeingTitled.delete(chatId);
+        // Only the sidebar is redrawn, so a reply that's streaming in isn't disturbed.
+        if (title && chatManager.renameChat(chatId, title, CHAT_TITLE_SOURCES.AI)) {
+            renderChatList(chatManager.state.chats, chatManager.getActiveChatId());
+        }
+    }
     
+    // Keyword search runs on every keystroke; searching by meaning waits for a pause
+    // in typing, since it calls the embedding model.
+    async function runChatSearch() {
+        const query = chatSearchInput.value.trim();
+        const run = ++searchRun;
+        chatListContainer.classList.toggle('hidden', query.length > 0);
+        chatSearchResultsContainer.classList.toggle('hidden', query.length === 0);
+        if (!query) return;
+        if (!semanticSearchCheckbox.checked) {
+            renderSearchResults(chatSearch.search(query));
+            return;
+        }
+        renderSearchStatus('Searching…');
+        try {
+            const results = await chatSearch.searchByMeaning(query, {
+                onProgress: (done, total) => renderSearchStatus(`Preparing your chats for search (${done} of ${total})…`),
+                isCancelled: () => run !== searchRun
+            });
+            if (run === searchRun) renderSearchResults(results);
+        } catch (error) {
+            if (run === searchRun) renderSearchStatus(error.message);
+        }
+    }
+
+    chatSearchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        if (semanticSearchCheckbox.checked && chatSearchInput.value.trim()) {
+            searchTimer = setTimeout(runChatSearch, 500);
+        } else {
+            runChatSearch();
+        }
+    });
+    chatSearchInput.addEventListener('keydown', (event) => {
+        if (event.key !== 'Escape') return;
+        chatSearchInput.value = '';
+        runChatSearch();
+    });
+    semanticSearchCheckbox.addEventListener('change', runChatSearch);
+
+    chatSearchResultsContainer.addEventListener('click', (event) => {
+        const result = event.target.closest('.search-result');
+        if (!result || !canLeaveActiveChat(result.dataset.chatId)) return;
+        chatManager.setActiveChat(result.dataset.chatId);
+        refreshUI();
+        if (result.dataset.toolId) {
+            renderToolsInModal(chatManager.getActiveChatTools());
+            openToolsModal();
+            flashElement([...toolsModalContent.querySelectorAll('[data-tool-id]')].find(tool => tool.dataset.toolId === result.dataset.toolId));
+        } else {
+            flashElement(chatMessages.querySelector(`[data-message-index="${result.dataset.messageIndex}"] .chat-bubble`));
+        }
+    });
+
+    chatMessages.addEventListener('click', async (event) => {
+        const button = event.target.closest('[data-message-action]');
+        const messageRow = button && button.closest('[data-message-index]');
+        if (!messageRow || conversation.turnInProgress) return;
+        const index = Number(messageRow.dataset.messageIndex);
+        const message = chatManager.getActiveChatHistory()[index];
+
+        switch (button.dataset.messageAction) {
+            case 'copy':
+                await navigator.clipboard.writeText(message.content);
+                button.textContent = 'Copied';
+                break;
+            case 'edit':
+                showMessageEditor(messageRow, message.content);
+                break;
+            case 'cancel_edit':
+                refreshUI();
+                break;
+            case 'save_edit': {
+                const text = messageRow.querySelector('.message-edit-text').value.trim();
+                if (!text) return;
+                lastInputMode = 'text';
+                await conversation.editMessage(index, text);
+                break;
+            }
+            case 'regenerate':
+                lastInputMode = 'text';
+                await conversation.regenerateReply(index);
+                break;
+            case 'delete': {
+                const question = message.branch
+                    ? 'Delete this version of the conversation from here on, along with any tools it created?'
+                    : 'Delete this message?';
+                if (!confirm(question)) return;
+                chatManager.deleteMessage(index);
+                refreshUI();
+                break;
+            }
+            case 'previous_branch':
+            case 'next_branch':
+                chatManager.switchBranch(index, button.dataset.messageAction === 'next_branch' ? 1 : -1);
+                refreshUI();
+                break;
+        }
+    });
+
     toolsButton.addEventListener('click', () => {
         renderToolsInModal(chatManager.getActiveChatTools());
         openToolsModal();
     });
     closeToolsButton.addEventListener('click', closeToolsModal);
     
-    toolsModalContent.addEventListener('change', async (event) => {
-        const target = event.target;
-        if (target.type === 'checkbox' && target.dataset.toolType === 'checklist') {
-            const itemIndex = parseInt(target.dataset.itemIndex);
-            const toolId = target.dataset.toolId;
-            if (target.checked && toolId) {
-                const itemText = chatManager.completeAndRemoveChecklistItem(toolId, itemIndex);
-                renderToolsInModal(chatManager.getActiveChatTools());
-                if (itemText) {
-                    closeToolsModal();
-                    await triggerAIFollowUp({ type: 'checklist_item_completed', text: itemText });
-                }
-            }
+    // Routes interactions inside the toolbox to the owning tool's actions. Buttons act
+    // on click and form controls on change, unless they ask for another event with
+    // data-action-on (e.g. a slider that updates as it's dragged).
+    const toolInteractionListener = async (event) => {
+        const target = event.target.closest('[data-action]');
+        if (!target) return;
+        const isFormControl = ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName);
+        const actionEvent = target.dataset.actionOn || (isFormControl ? 'change' : 'click');
+        if (event.type !== actionEvent) return;
+
+        const toolElement = target.closest('[data-tool-type]');
+        const tool = toolElement && getTool(toolElement.dataset.toolType);
+        const handler = tool && tool.actions[target.dataset.action];
+        if (!handler) return;
+
+        await handler.call(tool, {
+            event,
+            target,
+            toolElement,
+            toolId: toolElement.dataset.toolId,
+            refresh: () => renderToolsInModal(chatManager.getActiveChatTools()),
+            requestFollowUp: followUp => conversation.followUp(followUp),
+            speak: speakText
+        });
+    };
+
+    ['click', 'change', 'input'].forEach(eventType => toolsModalContent.addEventListener(eventType, toolInteractionListener));
+
+    moodDashboardButton.addEventListener('click', () => {
+        renderMoodDashboard(chatManager.getMoodJournal());
+        openMoodDashboardModal();
+    });
+    closeMoodDashboardButton.addEventListener('click', closeMoodDashboardModal);
+    moodDashboardContent.addEventListener('click', (event) => {
+        const deleteButton = event.target.closest('[data-action="delete_mood_entry"]');
+        if (deleteButton && confirm('Delete this mood entry?')) {
+            chatManager.deleteMoodEntry(deleteButton.dataset.entryId);
+            renderMoodDashboard(chatManager.getMoodJournal());
         }
     });
+    
+    function populateNotificationSettings() {
+        const permission = getNotificationPermission();
+        notificationStatusText.textContent = {
+            granted: 'Aura will notify you when a reminder is due while it\'s open in a background tab.',
+            denied: 'Notifications are blocked for this page. Allow them in your browser\'s site settings to get them.',
+            default: 'Get a notification when a reminder is due while Aura is open in a background tab.',
+            unsupported: 'Your browser doesn\'t support notifications. Reminders will appear when you open Aura.'
+        }[permission];
+        enableNotificationsButton.classList.toggle('hidden', permission !== 'default');
+    }
 
-    const toolInteractionListener = async (event) => {
+    remindersButton.addEventListener('click', () => {
+        reminderTextInput.value = '';
+        reminderTimeInput.value = '';
+        moodCheckinTimeInput.value = reminderManager.getMoodCheckinTime();
+        populateNotificationSettings();
+        renderRemindersInModal(reminderManager.getUpcomingReminders());
+        openRemindersModal();
+    });
+    closeRemindersButton.addEventListener('click', closeRemindersModal);
+
+    addReminderButton.addEventListener('click', () => {
+        if (!reminderTextInput.value.trim() || !reminderTimeInput.value) {
+            alert('Enter what to be reminded about and when.');
+            return;
+        }
+        if (!reminderManager.addReminder(reminderTextInput.value, reminderTimeInput.value)) {
+            alert('Pick a time in the future.');
+            return;
+        }
+        reminderTextInput.value = '';
+        reminderTimeInput.value = '';
+        renderRemindersInModal(reminderManager.getUpcomingReminders());
+    });
+
+    remindersModalContent.addEventListener('click', (event) => {
+        const target = event.target.closest('[data-action="delete_reminder"]');
+        if (!target) return;
+        reminderManager.deleteReminder(target.closest('[data-reminder-id]').dataset.reminderId);
+        renderRemindersInModal(reminderManager.getUpcomingReminders());
+    });
+
+    moodCheckinTimeInput.addEventListener('change', () => {
+        reminderManager.saveMoodCheckinTime(moodCheckinTimeInput.value);
+    });
+
+    enableNotificationsButton.addEventListener('click', async () => {
+        await Notification.requestPermission();
+        populateNotificationSettings();
+    });
+
+    function refreshAffirmationLibrary() {
+        const isFavoritesOnly = affirmationFilterDropdown.value === 'favorites';
+        renderAffirmationsInModal(isFavoritesOnly ? affirmationLibrary.getFavorites() : affirmationLibrary.getAffirmations());
+    }
+
+    affirmationsButton.addEventListener('click', () => {
+        affirmationTextInput.value = '';
+        affirmationFilterDropdown.value = 'all';
+        refreshAffirmationLibrary();
+        openAffirmationsModal();
+    });
+    closeAffirmationsButton.addEventListener('click', closeAffirmationsModal);
+    affirmationFilterDropdown.addEventListener('change', refreshAffirmationLibrary);
+
+    addAffirmationButton.addEventListener('click', () => {
+        if (!affirmationLibrary.addAffirmation(affirmationTextInput.value, AFFIRMATION_SOURCES.USER)) {
+            alert('Write an affirmation to add.');
+            return;
+        }
+        affirmationTextInput.value = '';
+        refreshAffirmationLibrary();
+    });
+
+    affirmationsModalContent.addEventListener('click', (event) => {
         const target = event.target.closest('[data-action]');
         if (!target) return;
+        const affirmationId = target.closest('[data-affirmation-id]').dataset.affirmationId;
 
-        const action = target.dataset.action;
+        if (target.dataset.action === 'toggle_favorite') {
+            affirmationLibrary.toggleFavorite(affirmationId);
+        } else if (target.dataset.action === 'read_affirmation') {
+            speakText(affirmationLibrary.getAffirmations().find(affirmation => affirmation.id === affirmationId).text);
+        } else if (target.dataset.action === 'delete_affirmation') {
+            affirmationLibrary.deleteAffirmation(affirmationId);
+        }
+        refreshAffirmationLibrary();
+    });
 
-        switch (action) {
-            case 'log_mood': {
-                const mood = target.dataset.mood;
-                chatManager.logMoodToTracker(mood);
-                renderToolsInModal(chatManager.getActiveChatTools());
-                closeToolsModal();
-                await triggerAIFollowUp({ type: 'mood_logged', mood: mood });
-                break;
-            }
-            case 'commit_affirmation': {
-                target.textContent = 'Committed!';
-                target.disabled = true;
-                break;
-            }
-            case 'start_breathing': {
-                const container = target.closest('.breathing-exercise-container');
-                if (!container) return;
-                const pacer = container.querySelector('.breathing-pacer');
-                const status = container.querySelector('.breathing-status');
-                target.disabled = true;
-                if (breathInterval) clearInterval(breathInterval);
-
-                const cycle = {
-                    inhale: parseInt(target.dataset.cycleInhale),
-                    hold: parseInt(target.dataset.cycleHold),
-                    exhale: parseInt(target.dataset.cycleExhale),
-                };
-                const totalCycleTime = (cycle.inhale + cycle.hold + cycle.exhale) * 1000;
-                let loops = 3;
-
-                const doBreathCycle = () => {
-                    if (loops <= 0) {
-                        clearInterval(breathInterval);
-                        status.textContent = 'Complete!';
-                        target.disabled = false;
-                        closeToolsModal();
-                        triggerAIFollowUp({ type: 'breathing_complete' });
-                        return;
-                    }
-                    status.textContent = 'Breathe In...';
-                    pacer.className = 'breathing-pacer inhale';
-                    setTimeout(() => {
-                        status.textContent = 'Hold...';
-                        pacer.className = 'breathing-pacer hold';
-                        setTimeout(() => {
-                            status.textContent = 'Breathe Out...';
-                            pacer.className = 'breathing-pacer exhale';
-                            loops--;
-                        }, cycle.hold * 1000);
-                    }, cycle.inhale * 1000);
-                };
-                doBreathCycle();
-                breathInterval = setInterval(doBreathCycle, totalCycleTime);
-                break;
+    function showCardOfTheDay() {
+        cardOfTheDay = affirmationLibrary.getCardOfTheDay();
+        renderCardOfTheDay(cardOfTheDay);
+        openCardOfTheDayModal();
+        affirmationLibrary.markCardOfTheDayShown();
+    }
+
+    // A starter affirmation isn't in the library yet, so favouriting it adds it.
+    favoriteCardOfTheDayButton.addEventListener('click', () => {
+        cardOfTheDay = cardOfTheDay.id
+            ? affirmationLibrary.toggleFavorite(cardOfTheDay.id)
+            : affirmationLibrary.addAffirmation(cardOfTheDay.text, AFFIRMATION_SOURCES.AURA, { favorite: true });
+        renderCardOfTheDay(cardOfTheDay);
+    });
+    readCardOfTheDayButton.addEventListener('click', () => speakText(cardOfTheDay.text));
+    closeCardOfTheDayButton.addEventListener('click', closeCardOfTheDayModal);
+
+    memoriesButton.addEventListener('click', () => {
+        memoryScopeDropdown.value = memoryManager.getScope();
+        renderMemoriesInModal(memoryManager.getMemories());
+        openMemoriesModal();
+    });
+    closeMemoriesButton.addEventListener('click', closeMemoriesModal);
+
+    memoryScopeDropdown.addEventListener('change', () => {
+        memoryManager.saveScope(memoryScopeDropdown.value);
+        renderMemoriesInModal(memoryManager.getMemories());
+    });
+
+    memoriesModalContent.addEventListener('click', async (event) => {
+        const target = event.target.closest('[data-action]');
+        if (!target) return;
+        const row = target.closest('[data-memory-id]');
+        const memoryId = row.dataset.memoryId;
+
+        if (target.dataset.action === 'save_memory') {
+            const text = row.querySelector('.memory-text').value.trim();
+            if (!text) return;
+            target.disabled = true;
+            const saved = await memoryManager.updateMemory(memoryId, text);
+            target.disabled = false;
+            target.textContent = saved ? 'Saved!' : 'Failed';
+        } else if (target.dataset.action === 'delete_memory') {
+            memoryManager.deleteMemory(memoryId);
+            renderMemoriesInModal(memoryManager.getMemories());
+        }
+    });
+
+    function populateCrisisSettings() {
+        const currentLocale = getCrisisLocale();
+        crisisLocaleDropdown.innerHTML = '';
+        Object.keys(CRISIS_RESOURCES).forEach(locale => {
+            const option = document.createElement('option');
+            option.textContent = locale === 'international' ? 'International' : locale;
+            option.value = locale;
+            if (locale === currentLocale) {
+                option.selected = true;
             }
+            crisisLocaleDropdown.appendChild(option);
+        });
+        crisisResourcesTextarea.value = crisisResourcesToText(getCrisisResources(currentLocale));
+        crisisClassifierCheckbox.checked = isCrisisClassifierEnabled();
+        renderSafetyLog(getSafetyLog(), safetyLogList, chatManager.state.chats);
+    }
+
+    function populateLockSettings() {
+        const isLocked = isLockEnabled();
+        lockStatusText.textContent = !isLockSupported()
+            ? 'Lock mode needs a secure context (https or localhost) in this browser.'
+            : isLocked ? 'Your chats are encrypted with your passphrase.' : 'Your chats are stored without encryption.';
+        [currentPassphraseInput, changePassphraseButton, disableLockButton, lockNowButton, autoLockDropdown].forEach(element => {
+            element.classList.toggle('hidden', !isLocked);
+        });
+        enableLockButton.classList.toggle('hidden', isLocked);
+        [newPassphraseInput, confirmPassphraseInput, enableLockButton].forEach(element => {
+            element.disabled = !isLockSupported();
+        });
+        [currentPassphraseInput, newPassphraseInput, confirmPassphraseInput].forEach(input => { input.value = ''; });
+        autoLockDropdown.value = String(getAutoLockMinutes());
+    }
+
+    function populateSyncSettings() {
+        syncServerUrlInput.value = getSyncServerUrl();
+        syncTokenInput.value = getSyncToken();
+        showSyncStatusText(syncManager.status, syncManager.statusMessage);
+    }
+
+    function showSyncStatusText(status, message) {
+        syncStatusText.textContent = status === SYNC_STATUSES.OFF ? 'Your data is only stored on this device.' : message;
+    }
+
+    // Returns the new passphrase, or null after telling the user what's wrong with it.
+    function readNewPassphrase() {
+        const passphrase = newPassphraseInput.value;
+        if (passphrase.length < 8) {
+            alert('Please choose a passphrase of at least 8 characters.');
+            return null;
         }
-    };
+        if (passphrase !== confirmPassphraseInput.value) {
+            alert("The passphrases don't match.");
+            return null;
+        }
+        return passphrase;
+    }
 
-    toolsModalContent.addEventListener('click', toolInteractionListener);
-    
-    settingsButton.addEventListener('click', () => {
-        systemPromptTextarea.value = getSystemPrompt();
+    // Locking reloads the page, which drops the decrypted chats from memory.
+    async function lockApp() {
+        if (conversation.turnInProgress) {
+            resetAutoLockTimer();
+            return;
+        }
+        await chatManager.flush();
+        location.reload();
+    }
+
+    function resetAutoLockTimer() {
+        clearTimeout(autoLockTimer);
+        const minutes = getAutoLockMinutes();
+        if (!isLockEnabled() || minutes <= 0) return;
+        autoLockTimer = setTimeout(lockApp, minutes * 60 * 1000);
+    }
+
+    function populateSpeechSettings() {
+        const currentLanguage = getSpeechLanguage();
+        speechLanguageDropdown.innerHTML = '';
+        Object.entries(SPEECH_LANGUAGES).forEach(([language, name]) => {
+            const option = document.createElement('option');
+            option.textContent = name;
+            option.value = language;
+            if (language === currentLanguage) {
+                option.selected = true;
+            }
+            speechLanguageDropdown.appendChild(option);
+        });
+        speechRateInput.value = getSpeechRate();
+        speechPitchInput.value = getSpeechPitch();
+        speechRateValue.textContent = `${Number(speechRateInput.value).toFixed(1)}×`;
+        speechPitchValue.textContent = Number(speechPitchInput.value).toFixed(1);
+    }
+
+    function populateSettings() {
         populateVoiceDropdown();
-        populateModelDropdown();
+        personaDrafts = {};
+        refreshPersonaSettings(getActivePersona().id, getDefaultPersonaId());
+        populateSpeechSettings();
+        populateModelDropdowns();
+        populateCrisisSettings();
+        populateLockSettings();
+        populateSyncSettings();
+    }
+
+    settingsButton.addEventListener('click', () => {
+        populateSettings();
         openSettingsModal();
     });
 
+    speechRateInput.addEventListener('input', () => {
+        speechRateValue.textContent = `${Number(speechRateInput.value).toFixed(1)}×`;
+    });
+    speechPitchInput.addEventListener('input', () => {
+        speechPitchValue.textContent = Number(speechPitchInput.value).toFixed(1);
+    });
+
+    refreshModelsButton.addEventListener('click', populateModelDropdowns);
+    parameterModelDropdown.addEventListener('change', () => {
+        modelParameterDrafts[parameterModel] = readModelParameterInputs();
+        showModelParameters(parameterModelDropdown.value);
+    });
+
+    chatPersonaDropdown.addEventListener('change', () => {
+        chatManager.setChatPersona(chatManager.getActiveChatId(), chatPersonaDropdown.value);
+        refreshUI();
+    });
+
+    personaEditorDropdown.addEventListener('change', () => {
+        stashPersonaDraft();
+        showPersona(personaEditorDropdown.value);
+    });
+
+    newPersonaButton.addEventListener('click', () => {
+        stashPersonaDraft();
+        const persona = savePersona({ name: 'New persona', prompt: NEW_PERSONA_PROMPT });
+        refreshPersonaSettings(persona.id);
+        refreshUI();
+    });
+
+    duplicatePersonaButton.addEventListener('click', () => {
+        stashPersonaDraft();
+        const persona = savePersona({ ...readPersonaFields(), name: `${personaNameInput.value} (copy)` });
+        refreshPersonaSettings(persona.id);
+        refreshUI();
+    });
+
+    deletePersonaButton.addEventListener('click', () => {
+        const persona = getPersona(editingPersonaId);
+        if (!persona || persona.builtIn) return;
+        if (!confirm(`Delete the "${persona.name}" persona? Chats that use it will switch to the persona for new chats.`)) return;
+        deletePersona(persona.id);
+        delete personaDrafts[persona.id];
+        refreshPersonaSettings(getDefaultPersonaId());
+        refreshUI();
+    });
+
+    exportPersonaButton.addEventListener('click', () => {
+        const persona = readPersonaFields();
+        downloadFile(personaFileName(persona), JSON.stringify(exportPersona(persona), null, 2), 'application/json');
+    });
+
+    importPersonaButton.addEventListener('click', () => importPersonaInput.click());
+    importPersonaInput.addEventListener('change', async () => {
+        const file = importPersonaInput.files[0];
+        importPersonaInput.value = '';
+        if (!file) return;
+
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            alert('That file could not be read as JSON.');
+            return;
+        }
+        const errors = validatePersonaImport(data);
+        if (errors.length > 0) {
+            alert(`This persona can't be imported:\n\n- ${errors.join('\n- ')}`);
+            return;
+        }
+        stashPersonaDraft();
+        refreshPersonaSettings(importPersona(data).id);
+        refreshUI();
+    });
+
+    crisisLocaleDropdown.addEventListener('change', () => {
+        crisisResourcesTextarea.value = crisisResourcesToText(getCrisisResources(crisisLocaleDropdown.value));
+    });
+
+    clearSafetyLogButton.addEventListener('click', () => {
+        if (confirm('Are you sure you want to clear the safety log?')) {
+            clearSafetyLog();
+            renderSafetyLog(getSafetyLog(), safetyLogList, chatManager.state.chats);
+        }
+    });
+
+    exportAllButton.addEventListener('click', () => {
+        downloadFile(backupFileName('json'), JSON.stringify(createBackup(), null, 2), 'application/json');
+    });
+    exportChatButton.addEventListener('click', () => {
+        downloadFile(backupFileName('json'), JSON.stringify(createBackup(chatManager.getActiveChatId()), null, 2), 'application/json');
+    });
+    exportMarkdownButton.addEventListener('click', () => {
+        downloadFile(backupFileName('md'), backupToMarkdown(createBackup()), 'text/markdown');
+    });
+
+    importBackupButton.addEventListener('click', () => importBackupInput.click());
+    importBackupInput.addEventListener('change', async () => {
+        const file = importBackupInput.files[0];
+        importBackupInput.value = '';
+        if (!file) return;
+
+        let backup;
+        try {
+            backup = JSON.parse(await file.text());
+        } catch (error) {
+            alert('That file could not be read as JSON.');
+            return;
+        }
+        const errors = validateBackup(backup);
+        if (errors.length > 0) {
+            alert(`This backup can't be imported:\n\n- ${errors.join('\n- ')}`);
+            return;
+        }
+
+        const result = importBackup(backup, importConflictDropdown.value);
+        alert(`Import complete: ${result.added} added, ${result.replaced} replaced, ${result.copied} copied, ${result.skipped} unchanged.`);
+        populateSettings();
+        refreshUI();
+    });
+
+    enableLockButton.addEventListener('click', async () => {
+        const passphrase = readNewPassphrase();
+        if (!passphrase) return;
+        // Lock mode only encrypts what's on this device, not the copy already synced.
+        const deleteServerCopy = syncManager.hasSyncedData() && confirm(`Your chats have already been synced to the Aura server at ${getSyncServerUrl()}, which keeps them unencrypted. Lock mode can't encrypt that copy.\n\nDelete it from the server? Other devices keep their own chats. Choose Cancel to leave it there.`);
+        await chatManager.enableLock(passphrase);
+        populateLockSettings();
+        resetAutoLockTimer();
+        syncManager.sync();
+        if (!deleteServerCopy) return;
+        try {
+            await syncManager.deleteServerCopy();
+            alert('Your chats have been deleted from the Aura server.');
+        } catch (error) {
+            alert(`Your chats couldn't be deleted from the Aura server, so its copy is still there: ${error.message}`);
+        }
+    });
+
+    changePassphraseButton.addEventListener('click', async () => {
+        const passphrase = readNewPassphrase();
+        if (!passphrase) return;
+        if (await chatManager.changePassphrase(currentPassphraseInput.value, passphrase)) {
+            alert('Your passphrase has been changed.');
+            populateLockSettings();
+        } else {
+            alert("Your current passphrase isn't right.");
+        }
+    });
+
+    disableLockButton.addEventListener('click', async () => {
+        if (!confirm('Your chats will be stored without encryption. Continue?')) return;
+        if (await chatManager.disableLock(currentPassphraseInput.value)) {
+            populateLockSettings();
+            resetAutoLockTimer();
+            syncManager.sync();
+        } else {
+            alert("Your current passphrase isn't right.");
+        }
+    });
+
+    lockNowButton.addEventListener('click', lockApp);
+
+    syncNowButton.addEventListener('click', () => {
+        syncManager.configure(syncServerUrlInput.value, syncTokenInput.value);
+    });
+
+    ['click', 'keydown', 'mousemove', 'touchstart'].forEach(eventName => {
+        document.addEventListener(eventName, resetAutoLockTimer, { passive: true });
+    });
+
     cancelSettingsButton.addEventListener('click', closeToolsModal);
 
     saveSettingsButton.addEventListener('click', () => {
-        saveSystemPrompt(systemPromptTextarea.value);
+        stashPersonaDraft();
+        Object.entries(personaDrafts).forEach(([personaId, fields]) => savePersona({ ...fields, id: personaId }));
+        saveDefaultPersonaId(defaultPersonaDropdown.value);
         saveVoiceName(voiceSelectDropdown.value);
-        saveModelName(modelSelectDropdown.value);
-        closeSettingsModal();
-    });
-
-    resetSettingsButton.addEventListener('click', () => {
-        if (confirm('Are you sure you want to reset the prompt to its default state? Any custom changes in this text box will be lost.')) {
-            systemPromptTextarea.value = getDefaultSystemPrompt();
-            localStorage.removeItem(PROMPT_STORAGE_KEY);
+        saveSpeechLanguage(speechLanguageDropdown.value);
+        saveSpeechRate(Number(speechRateInput.value));
+        saveSpeechPitch(Number(speechPitchInput.value));
+        // The model lists are empty until Ollama has answered.
+        if (modelSelectDropdown.value) {
+            saveModelName(modelSelectDropdown.value);
+            saveToolModelName(toolModelSelectDropdown.value);
+            modelParameterDrafts[parameterModel] = readModelParameterInputs();
+            Object.entries(modelParameterDrafts).forEach(([model, parameters]) => saveModelParameters(model, parameters));
+        }
+        if (isLockEnabled()) {
+            saveAutoLockMinutes(Number(autoLockDropdown.value));
+            resetAutoLockTimer();
         }
+        saveCrisisLocale(crisisLocaleDropdown.value);
+        saveCrisisClassifierEnabled(crisisClassifierCheckbox.checked);
+        // Only store hotlines that differ from the region's defaults.
+        const locale = crisisLocaleDropdown.value;
+        const resources = parseCrisisResourcesText(crisisResourcesTextarea.value);
+        const isDefault = crisisResourcesToText(resources) === crisisResourcesToText(CRISIS_RESOURCES[locale]);
+        saveCustomCrisisResources(locale, isDefault ? [] : resources);
+        syncManager.configure(syncServerUrlInput.value, syncTokenInput.value);
+        closeSettingsModal();
+        refreshUI();
     });
 
     setupSpeechRecognition();
+    resetAutoLockTimer();
     refreshUI();
+    if (affirmationLibrary.shouldShowCardOfTheDay()) showCardOfTheDay();
+    checkOllamaHealth().then(health => {
+        if (!health.ok) showErrorToast(health.message);
+    });
+    Object.assign(conversation.view, {
+        showTypingIndicator,
+        hideTypingIndicator,
+        setGeneratingState,
+        addMessage,
+        updateMessageContent,
+        addSourcesToMessage,
+        addToolStatusMessage,
+        removeToolStatusMessages,
+        addToolErrorMessage,
+        addNoticeMessage,
+        renderCrisisCard,
+        refresh: refreshUI
+    });
+    // Replies are read aloud when the user spoke their message.
+    conversation.createSpeaker = () => (lastInputMode === 'voice' ? new SentenceSpeaker() : null);
+    // Memory extraction and naming the chat run in the background so they never delay the conversation.
+    conversation.onMessageAnswered = (chatId, message) => {
+        memoryManager.rememberFromMessage(message, chatId);
+        generateTitleInBackground(chatId);
+    };
+    reminderManager.start(dueReminders => conversation.deliverReminders(dueReminders));
+    syncManager.onStatusChange = (status, message) => {
+        renderSyncStatus(status, message);
+        showSyncStatusText(status, message);
+    };
+    // A turn holds on to the chat it's taken in.
+    syncManager.canApplyChanges = () => !conversation.turnInProgress;
+    syncManager.onRemoteChanges = refreshUI;
+    syncManager.start();
 });
\ No newline at end of file
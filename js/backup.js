@@ -0,0 +1,192 @@
+// backup.js
+// This file exports Aura's local data to portable files and imports it back.
+// A backup is a versioned JSON document holding chats (with their tools and
+// memories), the mood journal, reminders and settings; a chat can also be exported as a
+// readable Markdown transcript.
+
+// --- Backup Format ---
+
+const BACKUP_FORMAT = 'aura-backup';
+const BACKUP_VERSION = 1;
+// The localStorage settings that travel with a full backup.
+const BACKUP_SETTINGS_KEYS = [
+    PROMPT_STORAGE_KEY,
+    VOICE_STORAGE_KEY,
+    SPEECH_LANGUAGE_STORAGE_KEY,
+    SPEECH_RATE_STORAGE_KEY,
+    SPEECH_PITCH_STORAGE_KEY,
+    MODEL_STORAGE_KEY,
+    MODEL_PARAMETERS_STORAGE_KEY,
+    TOOL_MODEL_STORAGE_KEY,
+    PERSONAS_STORAGE_KEY,
+    DEFAULT_PERSONA_STORAGE_KEY,
+    MEMORY_SCOPE_STORAGE_KEY,
+    CRISIS_LOCALE_STORAGE_KEY,
+    CRISIS_CUSTOM_RESOURCES_STORAGE_KEY,
+    CRISIS_CLASSIFIER_STORAGE_KEY,
+    MOOD_CHECKIN_TIME_STORAGE_KEY,
+    BREATHING_PREFERENCES_STORAGE_KEY
+];
+const BACKUP_ROLES = ['user', 'assistant', 'ai', 'system'];
+
+// Builds a backup of every chat, or of a single chat when chatId is given.
+// Settings, the safety log, the mood journal, reminders, the breathing practice log
+// and the affirmation library are only included in full backups.
+function createBackup(chatId = null) {
+    const allChats = chatManager.state.chats;
+    const backup = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        chats: chatId ? { [chatId]: allChats[chatId] } : allChats
+    };
+    if (!chatId) {
+        backup.settings = {};
+        BACKUP_SETTINGS_KEYS.forEach(key => {
+            const value = localStorage.getItem(key);
+            if (value !== null) backup.settings[key] = value;
+        });
+        backup.safetyLog = getSafetyLog();
+        backup.moodJournal = chatManager.getMoodJournal();
+        backup.reminders = reminderManager.getReminders();
+        backup.practiceLog = chatManager.getPracticeLog();
+        backup.affirmations = affirmationLibrary.getAffirmations();
+    }
+    return backup;
+}
+
+// Returns a list of human-readable problems; an empty list means the backup is valid.
+function validateBackup(backup) {
+    const errors = [];
+    if (!backup || typeof backup !== 'object') return ['The file is not a JSON object.'];
+    if (backup.format !== BACKUP_FORMAT) errors.push('The file is not an Aura backup.');
+    if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+        errors.push(`Unsupported backup version "${backup.version}".`);
+    }
+    if (!backup.chats || typeof backup.chats !== 'object' || Array.isArray(backup.chats)) {
+        errors.push('The backup has no chats.');
+        return errors;
+    }
+
+    Object.entries(backup.chats).forEach(([key, chat]) => {
+        const label = `Chat "${key}"`;
+        if (!chat || typeof chat !== 'object') {
+            errors.push(`${label} is not an object.`);
+            return;
+        }
+        if (chat.id !== key) errors.push(`${label} has a mismatched id.`);
+        if (typeof chat.title !== 'string') errors.push(`${label} has no title.`);
+        if (!Array.isArray(chat.history)) {
+            errors.push(`${label} has no message history.`);
+        } else if (!chat.history.every(m => m && BACKUP_ROLES.includes(m.role) && typeof m.content === 'string')) {
+            errors.push(`${label} contains malformed messages.`);
+        }
+        if (chat.folder !== undefined && typeof chat.folder !== 'string') errors.push(`${label} has an invalid folder.`);
+        if (chat.personaId !== undefined && typeof chat.personaId !== 'string') errors.push(`${label} has an invalid persona.`);
+        if (chat.tools !== undefined && (typeof chat.tools !== 'object' || Array.isArray(chat.tools))) {
+            errors.push(`${label} has malformed tools.`);
+        }
+        ['memories', 'completed_tasks', 'accomplishments'].forEach(field => {
+            if (chat[field] !== undefined && !Array.isArray(chat[field])) errors.push(`${label} has malformed ${field}.`);
+        });
+    });
+
+    if (backup.settings !== undefined) {
+        const isValidSettings = typeof backup.settings === 'object'
+            && Object.values(backup.settings).every(value => typeof value === 'string');
+        if (!isValidSettings) errors.push('The backup has malformed settings.');
+    }
+    if (backup.safetyLog !== undefined && !Array.isArray(backup.safetyLog)) {
+        errors.push('The backup has a malformed safety log.');
+    }
+    if (backup.moodJournal !== undefined) {
+        const isValidJournal = Array.isArray(backup.moodJournal) && backup.moodJournal.every(entry =>
+            entry && typeof entry.id === 'string' && typeof entry.mood === 'string' && typeof entry.timestamp === 'string');
+        if (!isValidJournal) errors.push('The backup has a malformed mood journal.');
+    }
+    if (backup.reminders !== undefined) {
+        const isValidReminders = Array.isArray(backup.reminders) && backup.reminders.every(reminder =>
+            reminder && typeof reminder.id === 'string' && typeof reminder.text === 'string' && !isNaN(new Date(reminder.at).getTime()));
+        if (!isValidReminders) errors.push('The backup has malformed reminders.');
+    }
+    if (backup.practiceLog !== undefined) {
+        const isValidPracticeLog = Array.isArray(backup.practiceLog) && backup.practiceLog.every(session =>
+            session && typeof session.id === 'string' && typeof session.startedAt === 'string' && typeof session.durationSeconds === 'number');
+        if (!isValidPracticeLog) errors.push('The backup has a malformed breathing practice log.');
+    }
+    if (backup.affirmations !== undefined) {
+        const isValidAffirmations = Array.isArray(backup.affirmations) && backup.affirmations.every(affirmation =>
+            affirmation && typeof affirmation.id === 'string' && typeof affirmation.text === 'string' && typeof affirmation.createdAt === 'string');
+        if (!isValidAffirmations) errors.push('The backup has a malformed affirmation library.');
+    }
+    return errors;
+}
+
+// Merges a validated backup into the app. Chats are matched by id; conflictStrategy
+// decides what happens when both sides have a different chat with the same id:
+// 'replace' takes the backup's version, 'keep-both' imports it as a copy, 'skip' keeps ours.
+function importBackup(backup, conflictStrategy = 'keep-both') {
+    // Older backups have no journal; migrating them pulls it out of their mood trackers.
+    const imported = chatManager.migrateState({ chats: JSON.parse(JSON.stringify(backup.chats)), moodJournal: backup.moodJournal });
+    const result = chatManager.mergeChats(imported.chats, conflictStrategy);
+    chatManager.mergeMoodEntries(imported.moodJournal);
+    if (backup.reminders) reminderManager.mergeReminders(backup.reminders);
+    if (backup.practiceLog) chatManager.mergePracticeSessions(backup.practiceLog);
+    if (backup.affirmations) affirmationLibrary.mergeAffirmations(backup.affirmations);
+
+    if (backup.settings) {
+        Object.entries(backup.settings)
+            .filter(([key]) => BACKUP_SETTINGS_KEYS.includes(key))
+            .forEach(([key, value]) => localStorage.setItem(key, value));
+    }
+    if (backup.safetyLog) {
+        const log = getSafetyLog();
+        const seen = new Set(log.map(entry => `${entry.timestamp}|${entry.chatId}`));
+        backup.safetyLog
+            .map(toSafetyLogEntry)
+            .filter(entry => !seen.has(`${entry.timestamp}|${entry.chatId}`))
+            .forEach(entry => log.push(entry));
+        log.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        saveSafetyLog(log);
+    }
+    return result;
+}
+
+function chatToMarkdown(chat) {
+    let markdown = `# ${chat.title}\n\n`;
+    chat.history.forEach(message => {
+        if (message.role === 'system') return;
+        markdown += `**${message.role === 'user' ? 'You' : 'Aura'}:** ${message.content}\n\n`;
+        if (message.sources && message.sources.length > 0) {
+            message.sources.forEach((source, index) => {
+                markdown += `> [${index + 1}] [${source.title}](${source.url})\n`;
+            });
+            markdown += '\n';
+        }
+    });
+    markdown += `## Toolbox\n\n${toolsToString(chat.tools || {})}\n`;
+    return markdown;
+}
+
+function backupToMarkdown(backup) {
+    const chats = Object.values(backup.chats).sort((a, b) => a.id - b.id);
+    const header = `_Exported from Aura on ${new Date(backup.exportedAt).toLocaleString()}_\n\n`;
+    return header + chats.map(chatToMarkdown).join('\n---\n\n');
+}
+
+// Names files like "aura-backup-2024-05-01.json".
+function backupFileName(extension) {
+    return `aura-backup-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+function downloadFile(fileName, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
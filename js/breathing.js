@@ -0,0 +1,183 @@
+// breathing.js
+// This file is the engine behind the Breathing Exercise tool: the named breathing
+// patterns, a session timer that derives the current phase from a single start
+// time (so it never drifts), and optional sound and vibration cues.
+
+// --- Breathing Patterns ---
+
+const BREATHING_PREFERENCES_STORAGE_KEY = 'aura_breathing_preferences';
+const BREATHING_PHASE_LABELS = { inhale: 'Breathe In...', hold: 'Hold...', exhale: 'Breathe Out...', rest: 'Hold...' };
+// Each phase sounds a short tone at its own pitch, and vibrates with its own rhythm.
+const BREATHING_PHASE_TONES = { inhale: 528, hold: 440, exhale: 396, rest: 440 };
+const BREATHING_PHASE_VIBRATIONS = { inhale: [200], hold: [60, 60, 60], exhale: [400], rest: [60, 60, 60] };
+const BREATHING_TICK_MS = 100;
+
+// 'rest' is the hold after breathing out, e.g. the fourth side of box breathing.
+const BREATHING_PATTERNS = {
+    box: {
+        name: 'Box breathing (4-4-4-4)',
+        phases: [{ phase: 'inhale', seconds: 4 }, { phase: 'hold', seconds: 4 }, { phase: 'exhale', seconds: 4 }, { phase: 'rest', seconds: 4 }]
+    },
+    '4-7-8': {
+        name: '4-7-8 breathing',
+        phases: [{ phase: 'inhale', seconds: 4 }, { phase: 'hold', seconds: 7 }, { phase: 'exhale', seconds: 8 }]
+    },
+    coherent: {
+        name: 'Coherent breathing (5-5)',
+        phases: [{ phase: 'inhale', seconds: 5 }, { phase: 'exhale', seconds: 5 }]
+    }
+};
+
+// The pattern Aura generated for a particular exercise, e.g. { inhale: 4, hold: 4, exhale: 6 }.
+function cycleToPhases(cycle) {
+    return [
+        { phase: 'inhale', seconds: cycle.inhale },
+        { phase: 'hold', seconds: cycle.hold },
+        { phase: 'exhale', seconds: cycle.exhale },
+        { phase: 'rest', seconds: cycle.rest || 0 }
+    ].filter(step => step.seconds > 0);
+}
+
+function getBreathingPreferences() {
+    const defaults = { pattern: 'custom', length: 3, unit: 'rounds', sound: false, vibration: false };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(BREATHING_PREFERENCES_STORAGE_KEY)) };
+    } catch (error) {
+        return defaults;
+    }
+}
+function saveBreathingPreferences(preferences) { localStorage.setItem(BREATHING_PREFERENCES_STORAGE_KEY, JSON.stringify(preferences)); }
+
+// --- Breathing Session ---
+
+// Runs a pattern for a number of rounds. Rather than chaining timers, every tick works
+// out where the session is from the time elapsed since it started (minus any time spent
+// paused), so slow ticks or a throttled background tab never knock it out of step.
+class BreathingSession {
+    constructor({ phases, rounds, onPhase, onTick, onComplete }) {
+        this.phases = phases;
+        this.rounds = rounds;
+        this.cycleSeconds = phases.reduce((total, step) => total + step.seconds, 0);
+        this.totalSeconds = this.cycleSeconds * rounds;
+        this.onPhase = onPhase;
+        this.onTick = onTick;
+        this.onComplete = onComplete;
+        this.startedAt = null;
+        this.pausedAt = null;
+        this.pausedMs = 0;
+        this.currentStepKey = null;
+        this.timer = null;
+    }
+
+    // Rounds needed to fill a number of minutes, rounded up to finish the last cycle.
+    static roundsForMinutes(phases, minutes) {
+        const cycleSeconds = phases.reduce((total, step) => total + step.seconds, 0);
+        return Math.max(1, Math.ceil((minutes * 60) / cycleSeconds));
+    }
+
+    get isPaused() { return this.pausedAt !== null; }
+    get isRunning() { return this.timer !== null; }
+
+    elapsedSeconds(now = performance.now()) {
+        if (this.startedAt === null) return 0;
+        return ((this.pausedAt !== null ? this.pausedAt : now) - this.startedAt - this.pausedMs) / 1000;
+    }
+
+    // Where the session is at a given elapsed time: { round, step, stepIndex, stepRemaining }.
+    positionAt(elapsed) {
+        const round = Math.floor(elapsed / this.cycleSeconds);
+        let offset = elapsed - round * this.cycleSeconds;
+        for (let stepIndex = 0; stepIndex < this.phases.length; stepIndex++) {
+            const step = this.phases[stepIndex];
+            if (offset < step.seconds) return { round, step, stepIndex, stepRemaining: step.seconds - offset };
+            offset -= step.seconds;
+        }
+        return { round, step: this.phases[0], stepIndex: 0, stepRemaining: this.phases[0].seconds };
+    }
+
+    start() {
+        this.startedAt = performance.now();
+        this.resume();
+    }
+
+    pause() {
+        if (!this.isRunning) return;
+        clearInterval(this.timer);
+        this.timer = null;
+        this.pausedAt = performance.now();
+    }
+
+    resume() {
+        if (this.pausedAt !== null) {
+            this.pausedMs += performance.now() - this.pausedAt;
+            this.pausedAt = null;
+        }
+        // Announce the current phase again, with the time it has left.
+        this.currentStepKey = null;
+        this.timer = setInterval(() => this.tick(), BREATHING_TICK_MS);
+        this.tick();
+    }
+
+    // Ends the session early. Resolves the same way as finishing, with completed: false.
+    stop() {
+        this.finish(false);
+    }
+
+    tick() {
+        const elapsed = this.elapsedSeconds();
+        if (elapsed >= this.totalSeconds) {
+            this.finish(true);
+            return;
+        }
+        const position = this.positionAt(elapsed);
+        const stepKey = `${position.round}:${position.stepIndex}`;
+        if (stepKey !== this.currentStepKey) {
+            this.currentStepKey = stepKey;
+            this.onPhase(position.step, position.round + 1, position.stepRemaining);
+        }
+        this.onTick({ round: position.round + 1, remainingSeconds: Math.ceil(this.totalSeconds - elapsed), stepRemaining: Math.ceil(position.stepRemaining) });
+    }
+
+    finish(completed) {
+        if (this.startedAt === null) return;
+        const durationSeconds = Math.round(Math.min(this.elapsedSeconds(), this.totalSeconds));
+        clearInterval(this.timer);
+        this.timer = null;
+        this.startedAt = null;
+        this.onComplete({ completed, durationSeconds });
+    }
+}
+
+// --- Cues ---
+
+// Short sine tones through WebAudio. The context is created on first use, which is
+// always inside the click that started the session, as browsers require.
+let breathingAudioContext = null;
+
+function playBreathingTone(phase) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    if (!breathingAudioContext) breathingAudioContext = new AudioContextClass();
+    const context = breathingAudioContext;
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.type = 'sine';
+    oscillator.frequency.value = BREATHING_PHASE_TONES[phase];
+    // Fade in and out so the tone doesn't click.
+    gain.gain.setValueAtTime(0, context.currentTime);
+    gain.gain.linearRampToValueAtTime(0.2, context.currentTime + 0.05);
+    gain.gain.linearRampToValueAtTime(0, context.currentTime + 0.6);
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start();
+    oscillator.stop(context.currentTime + 0.6);
+}
+
+function vibrateForPhase(phase) {
+    if (navigator.vibrate) navigator.vibrate(BREATHING_PHASE_VIBRATIONS[phase]);
+}
+
+function formatDuration(totalSeconds) {
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
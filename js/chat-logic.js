@@ -5,14 +5,13 @@
 // --- App-wide Constants & Configuration ---
 
 // Keys for storing user settings in the browser's localStorage.
+// The single system prompt from before personas; it's moved into a persona on load.
 const PROMPT_STORAGE_KEY = 'aura_system_prompt';
 const VOICE_STORAGE_KEY = 'aura_voice_name';
 const MODEL_STORAGE_KEY = 'aura_model_name';
 
-// The default "brain" for Aura. This detailed prompt defines its persona, rules, and capabilities.
-const DEFAULT_SYSTEM_PROMPT = `You are a friendly and helpful assistant named Aura. You are an expert in mental health and project planning. Your goal is to be supportive, empathetic, and proactive.
-
-// =================================================================
+// What every persona needs to know to use Aura's tools, memory, reminders and search.
+const SYSTEM_PROMPT_CAPABILITIES = `// =================================================================
 // --- CORE BEHAVIOR: PROACTIVE TOOL CREATION & FOLLOW-UP ---
 // =================================================================
 // **1. Tool Creation**
@@ -23,30 +22,25 @@ const DEFAULT_SYSTEM_PROMPT = `You are a friendly and helpful assistant named Au
 // When the user interacts with a tool (e.g., logs a mood, completes a task), you will receive a [System Note] with that information.
 // You MUST respond conversationally to the System Note. For example, if the user logs their mood as "Sad", offer empathy. If they complete a task, congratulate them.
 
-**--- AVAILABLE TOOLS AND THEIR TRIGGERS ---**
+// **3. Memory**
+// You may be given [What You Remember About the User] from earlier conversations. Use these facts naturally when they are relevant, but don't recite them.
+// You may also be given [Mood Trends] from the user's mood journal. Gently point out meaningful patterns (e.g. "you've logged Sad three Mondays in a row") when it would help.
 
-1.  **Mood Tracker**
-    -   **Type:** \`mood_tracker\`
-    -   **Trigger:** Use this the FIRST time a user states a strong, simple emotion (e.g., "I feel sad," "I'm so happy").
-    -   **Condition:** DO NOT use this tag if a Mood Tracker tool already exists in the [Current Toolbox State].
-    -   **Example Tag:** \`<tool_create type="mood_tracker" />\`
+**--- AVAILABLE TOOLS ---**
+The tools you can create, and when to create them, are listed in [Available Tools].
+Some tools can also be changed after they're created with a \`<tool_update type="[tool_name]" id="[tool_id]" ... />\` tag. Take the id from the [Current Toolbox State].
 
-2.  **Checklist**
-    -   **Type:** \`checklist\`
-    -   **Trigger:** Use this when a user wants a plan, needs to organize tasks, sets a goal, or feels stuck.
-    -   **Theme:** The \`theme\` attribute should be the topic of the checklist.
-    -   **Example Tag:** \`<tool_create type="checklist" theme="plan the user's upcoming beach trip" />\`
+**--- REMINDERS ---**
+-   **Trigger:** Use this when the user asks to be reminded of something, or agrees when you offer to remind them (e.g. of a plan, an appointment, or a task).
+-   **Tag:** \`<reminder_create at="[YYYY-MM-DDTHH:MM]" text="[what to remind them of]" />\`. Use the user's local time, worked out from the current time in [Reminders]. You'll be prompted to bring it up when it's due.
 
-3.  **Affirmation Card**
-    -   **Type:** \`affirmation_card\`
-    -   **Trigger:** Use this when a user expresses self-doubt, needs motivation, or feels discouraged.
-    -   **Theme:** The \`theme\` attribute should be the reason for the affirmation.
-    -   **Example Tag:** \`<tool_create type="affirmation_card" theme="building confidence for a new job" />\`
+**--- WEB SEARCH ---**
+-   **Trigger:** Use this when the user asks about current events, facts you are unsure of, or anything that needs up-to-date information.
+-   **Tag:** \`<tool_search query="[search_query]" />\`. Say briefly that you're looking it up; you will then receive the results in a [System Note] and answer with citations.`;
+// The default "brain" for Aura. This detailed prompt defines its persona, rules, and capabilities.
+const DEFAULT_SYSTEM_PROMPT = `You are a friendly and helpful assistant named Aura. You are an expert in mental health and project planning. Your goal is to be supportive, empathetic, and proactive.
 
-4.  **Breathing Exercise**
-    -   **Type:** \`breathing_exercise\`
-    -   **Trigger:** Use this when a user expresses feelings of high stress, anxiety, or panic.
-    -   **Example Tag:** \`<tool_create type="breathing_exercise" />\`
+${SYSTEM_PROMPT_CAPABILITIES}
 
 // =================================================================
 // --- CONVERSATIONAL STYLE ---
@@ -56,36 +50,230 @@ const DEFAULT_SYSTEM_PROMPT = `You are a friendly and helpful assistant named Au
 const DEFAULT_MODEL = 'gemma3:4b';
 const DEFAULT_EMBEDDING_MODEL = 'mxbai-embed-large:latest';
 const STATE_STORAGE_KEY = 'multi_chat_app_state';
-const OLLAMA_API_BASE_URL = 'http://localhost:11434';
+// Where a chat's title came from. Only a placeholder title is replaced by one Aura writes.
+const CHAT_TITLE_SOURCES = { DEFAULT: 'default', AI: 'ai', USER: 'user' };
+const CHAT_TITLE_MAX_LENGTH = 40;
+
+// The hidden tags Aura embeds in its replies, and the attributes each one accepts:
+// tool_create makes a tool, tool_update changes one (e.g. adds checklist items, with the
+// tool's own updateAttributes), tool_search looks something up and reminder_create
+// schedules a reminder. A tag with a missing or unknown attribute is ignored.
+const RESPONSE_TAGS = {
+    tool_create: { required: ['type'], optional: ['theme'] },
+    tool_update: { required: ['type', 'id'], optional: [] },
+    tool_search: { required: ['query'], optional: [] },
+    reminder_create: { required: ['at', 'text'], optional: [] }
+};
+// Matches a well-formed tag: its name, then only name="value" attributes.
+const RESPONSE_TAG_REGEX = /<(tool_create|tool_update|tool_search|reminder_create)((?:\s+[a-z_]+="[^"]*")*)\s*\/>/g;
+const TAG_ATTRIBUTE_REGEX = /([a-z_]+)="([^"]*)"/g;
+// Matches anything that looks like one of the tags, well-formed or not, so none are ever shown.
+const ANY_RESPONSE_TAG_REGEX = /<\/?(?:tool_create|tool_update|tool_search|reminder_create)\b(?:"[^"]*"|[^"<>])*>/g;
+// Tag values end up in prompts, so they're kept short.
+const TAG_VALUE_MAX_LENGTH = 500;
+
+// Checklist items get their own ids so they can be edited and reordered safely.
+let checklistItemCounter = 0;
+function createChecklistItemId() {
+    return `item-${Date.now()}-${checklistItemCounter++}`;
+}
+
+// Messages are synced by id, so they keep theirs wherever they move in the history.
+let messageCounter = 0;
+function createMessageId() {
+    return `message-${Date.now()}-${messageCounter++}`;
+}
+
+// Numbers a tool id that's already taken in its chat, e.g. "checklist-1-2".
+function uniqueToolId(id, takenIds) {
+    let uniqueId = id;
+    for (let copy = 2; takenIds.has(uniqueId); copy++) uniqueId = `${id}-${copy}`;
+    return uniqueId;
+}
+
+// Mood entries, practice sessions and thought record entries can be added in the same
+// millisecond, so their ids carry a counter too.
+let journalRecordCounter = 0;
+function createJournalRecordId(prefix) {
+    return `${prefix}-${Date.now()}-${journalRecordCounter++}`;
+}
 
 class ChatManager {
-    constructor() {
-        this.state = this.loadState() || {
+    constructor(storage) {
+        this.storage = storage;
+        this.state = {
             chats: {},
-            activeChatId: null
+            activeChatId: null,
+            moodJournal: [],
+            reminders: [],
+            practiceLog: [],
+            affirmations: []
         };
-        if (!this.state.activeChatId) {
+        // Called with a user-facing message whenever saving fails.
+        this.onSaveError = null;
+        // Called whenever the state changes, e.g. to sync it.
+        this.onSave = null;
+    }
+
+    // Loads the saved chats. In lock mode, requestUnlock must resolve with the
+    // cipher for the user's passphrase before anything can be read.
+    async init(requestUnlock = null) {
+        if (isLockEnabled() && requestUnlock) {
+            this.storage.setCipher(await requestUnlock());
+        }
+        const savedState = await this.loadState();
+        if (savedState) {
+            this.state = savedState;
+        }
+        if (!this.state.activeChatId || !this.state.chats[this.state.activeChatId]) {
             this.createNewChat();
         }
     }
 
-    loadState() {
+    async loadState() {
         try {
-            const serializedState = localStorage.getItem(STATE_STORAGE_KEY);
-            return serializedState ? JSON.parse(serializedState) : null;
+            const savedState = await this.storage.load();
+            return savedState ? this.migrateState(savedState) : null;
         } catch (error) {
-            console.error("Error loading state from localStorage:", error);
+            console.error("Error loading state from storage:", error);
+            // Fall back to localStorage if the database can't be opened (e.g. in some private modes).
+            if (!(this.storage instanceof LocalStorageAdapter)) {
+                this.storage = new LocalStorageAdapter(this.storage.cipher);
+                return this.loadState();
+            }
             return null;
         }
     }
 
-    saveState() {
-        try {
-            const serializedState = JSON.stringify(this.state);
-            localStorage.setItem(STATE_STORAGE_KEY, serializedState);
-        } catch (error) {
-            console.error("Error saving state to localStorage:", error);
+    // --- Lock Mode ---
+    // The lock config only changes once everything has been rewritten with the new key,
+    // so the saved config always matches what's stored. If the rewrite fails, the old
+    // lock (or no lock) stays in place.
+
+    async enableLock(passphrase) {
+        const { cipher, config } = await createLock(passphrase);
+        await this.storage.rewriteAll(this.state, cipher);
+        saveLockConfig(config);
+    }
+
+    async changePassphrase(currentPassphrase, newPassphrase) {
+        if (!(await unlockWithPassphrase(currentPassphrase))) return false;
+        await this.enableLock(newPassphrase);
+        return true;
+    }
+
+    async disableLock(currentPassphrase) {
+        if (!(await unlockWithPassphrase(currentPassphrase))) return false;
+        await this.storage.rewriteAll(this.state, null);
+        removeLockConfig();
+        return true;
+    }
+
+    // Resolves once every pending change has been written.
+    flush() {
+        return this.storage.save(this.state);
+    }
+
+    async eraseAllData() {
+        await this.storage.clear();
+        removeLockConfig();
+    }
+
+    // Older versions stored Aura's turns with the role 'ai', which Ollama's chat API doesn't know.
+    migrateState(state) {
+        Object.values(state.chats || {}).forEach(chat => {
+            (chat.history || []).forEach(message => {
+                if (message.role === 'ai') message.role = 'assistant';
+            });
+        });
+        // Mood history used to live on each chat's mood tracker, capped at 10 entries.
+        // It now lives in one global, unbounded journal.
+        if (!Array.isArray(state.moodJournal)) {
+            state.moodJournal = [];
+            Object.values(state.chats || {}).forEach(chat => {
+                ((chat.tools && chat.tools.mood_tracker) || []).forEach(tracker => {
+                    (tracker.history || []).forEach((entry, index) => {
+                        state.moodJournal.push({
+                            id: `mood-${new Date(entry.timestamp).getTime()}-${chat.id}-${index}`,
+                            mood: entry.mood,
+                            intensity: DEFAULT_MOOD_INTENSITY,
+                            note: '',
+                            tags: [],
+                            timestamp: entry.timestamp,
+                            chatId: chat.id
+                        });
+                    });
+                    delete tracker.history;
+                });
+            });
+            state.moodJournal.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
         }
+        // Checklist items used to be removed when ticked and remembered in `completed_tasks`,
+        // capped at 20. Items now keep their done state, and every completion is logged.
+        Object.values(state.chats || {}).forEach(chat => {
+            ((chat.tools && chat.tools.checklist) || []).forEach(checklist => {
+                (checklist.items || []).forEach(item => {
+                    if (!item.id) item.id = createChecklistItemId();
+                    // Due dates the model wrote before they were checked may not be dates at all.
+                    if (item.due === undefined || (item.due && !CHECKLIST_DUE_DATE_PATTERN.test(item.due))) item.due = null;
+                    if (item.completedAt === undefined) item.completedAt = null;
+                });
+            });
+            if (!Array.isArray(chat.accomplishments)) {
+                chat.accomplishments = (chat.completed_tasks || []).map(text => ({ text, checklistId: null, itemId: null, completedAt: null }));
+            }
+            delete chat.completed_tasks;
+            // Early affirmation cards held a single string.
+            ((chat.tools && chat.tools.affirmation_card) || []).forEach(card => {
+                if (!Array.isArray(card.text)) card.text = [String(card.text)];
+            });
+            // Chats from before titles were generated, and before pinning, archiving and folders.
+            if (!chat.titleSource) {
+                const firstMessage = (chat.history || [])[0];
+                const placeholder = firstMessage ? `${firstMessage.content.substring(0, 20)}...` : 'New Chat';
+                chat.titleSource = chat.title === placeholder ? CHAT_TITLE_SOURCES.DEFAULT : CHAT_TITLE_SOURCES.USER;
+            }
+            if (!chat.updatedAt) chat.updatedAt = new Date(Number(chat.id) || Date.now()).toISOString();
+            if (chat.pinned === undefined) chat.pinned = false;
+            if (chat.archived === undefined) chat.archived = false;
+            if (chat.folder === undefined) chat.folder = '';
+            // Chats from before personas used the one system prompt, which is now the default persona.
+            if (!chat.personaId) chat.personaId = getDefaultPersonaId();
+            // A branch left open when Aura was closed mid-reply.
+            if (chat.pendingBranch) this.restorePendingBranch(chat);
+            // Messages from before sync have no id or time. They're given times a
+            // millisecond apart from when the chat was created, which keeps them in order.
+            const chatCreatedAt = Number(chat.id) || 0;
+            const addMessageIds = (messages, start) => messages.forEach((message, offset) => {
+                if (!message.id) message.id = createMessageId();
+                if (!message.createdAt) message.createdAt = new Date(chatCreatedAt + start + offset).toISOString();
+                if (message.branch) message.branch.tails.forEach(tail => tail && addMessageIds(tail, start + offset));
+            });
+            addMessageIds(chat.history || [], 0);
+            // Tools are synced by id too, and the model may have given two the same one.
+            const toolIds = new Set();
+            Object.values(chat.tools || {}).forEach(instances => (instances || []).forEach(tool => {
+                tool.id = uniqueToolId(tool.id, toolIds);
+                toolIds.add(tool.id);
+            }));
+        });
+        if (!Array.isArray(state.reminders)) state.reminders = [];
+        if (!Array.isArray(state.practiceLog)) state.practiceLog = [];
+        if (!Array.isArray(state.affirmations)) state.affirmations = [];
+        return state;
+    }
+
+    saveState() {
+        if (this.onSave) this.onSave();
+        Promise.resolve()
+            .then(() => this.storage.save(this.state))
+            .catch(error => {
+                console.error("Error saving state to storage:", error);
+                if (!this.onSaveError) return;
+                this.onSaveError(isQuotaError(error)
+                    ? "Your browser's storage is full, so Aura couldn't save your latest changes. Export a backup and delete old chats to free up space."
+                    : `Aura couldn't save your latest changes: ${error.message}`);
+            });
     }
 
     createNewChat() {
@@ -93,10 +281,16 @@ class ChatManager {
         this.state.chats[newChatId] = {
             id: newChatId,
             title: 'New Chat',
+            titleSource: CHAT_TITLE_SOURCES.DEFAULT,
+            updatedAt: new Date().toISOString(),
+            pinned: false,
+            archived: false,
+            folder: '',
+            personaId: getDefaultPersonaId(),
             history: [],
             memories: [],
             tools: {},
-            completed_tasks: []
+            accomplishments: []
         };
         this.state.activeChatId = newChatId;
         this.saveState();
@@ -113,27 +307,249 @@ class ChatManager {
         if (this.state.chats[chatId]) {
             delete this.state.chats[chatId];
             if (this.state.activeChatId === chatId) {
-                const chatIds = Object.keys(this.state.chats).sort((a, b) => b - a);
-                this.state.activeChatId = chatIds.length > 0 ? chatIds[0] : null;
-                if (!this.state.activeChatId) {
-                    this.createNewChat();
-                }
+                this.activateLatestChat();
             }
             this.saveState();
         }
     }
 
-    addMessageToActiveChat(role, content) {
+    // Switches to the most recently active chat that isn't archived, or a new one.
+    activateLatestChat() {
+        const [latestChat] = Object.values(this.state.chats)
+            .filter(chat => !chat.archived)
+            .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+        if (latestChat) {
+            this.state.activeChatId = latestChat.id;
+        } else {
+            this.createNewChat();
+        }
+    }
+
+    // --- Chat Organisation ---
+
+    // Returns false if the title wasn't changed. Aura's titles never replace one the user chose.
+    renameChat(chatId, title, source = CHAT_TITLE_SOURCES.USER) {
+        const chat = this.state.chats[chatId];
+        const trimmedTitle = title.trim().slice(0, CHAT_TITLE_MAX_LENGTH);
+        if (!chat || !trimmedTitle) return false;
+        if (source === CHAT_TITLE_SOURCES.AI && chat.titleSource === CHAT_TITLE_SOURCES.USER) return false;
+        chat.title = trimmedTitle;
+        chat.titleSource = source;
+        this.saveState();
+        return true;
+    }
+
+    // A chat gets a title from Aura once it has a reply, unless it's been named already.
+    needsGeneratedTitle(chatId) {
+        const chat = this.state.chats[chatId];
+        return Boolean(chat) && chat.titleSource === CHAT_TITLE_SOURCES.DEFAULT
+            && chat.history.some(message => message.role === 'assistant');
+    }
+
+    togglePinned(chatId) {
+        const chat = this.state.chats[chatId];
+        if (!chat) return;
+        chat.pinned = !chat.pinned;
+        this.saveState();
+    }
+
+    // Archiving the open chat switches to the latest one that's still in the list.
+    setArchived(chatId, archived) {
+        const chat = this.state.chats[chatId];
+        if (!chat) return;
+        chat.archived = archived;
+        if (archived && this.state.activeChatId === chatId) {
+            this.activateLatestChat();
+        }
+        this.saveState();
+    }
+
+    setChatFolder(chatId, folder) {
+        const chat = this.state.chats[chatId];
+        if (!chat) return;
+        chat.folder = folder.trim();
+        this.saveState();
+    }
+
+    setChatPersona(chatId, personaId) {
+        const chat = this.state.chats[chatId];
+        if (!chat || !getPersona(personaId)) return;
+        chat.personaId = personaId;
+        this.saveState();
+    }
+
+    // The folders in use, in alphabetical order.
+    getFolders() {
+        const folders = Object.values(this.state.chats).map(chat => chat.folder).filter(Boolean);
+        return [...new Set(folders)].sort((a, b) => a.localeCompare(b));
+    }
+
+    // Merges imported chats into the current state. See importBackup for the conflict strategies.
+    mergeChats(incomingChats, conflictStrategy) {
+        const result = { added: 0, replaced: 0, copied: 0, skipped: 0 };
+        // Memories are stored by id across all chats, so an imported chat's memories need
+        // new ones wherever their ids are taken by another chat.
+        const memoryIds = new Set(Object.values(this.state.chats).flatMap(chat => (chat.memories || []).map(memory => memory.id)));
+        const withUniqueMemoryIds = chat => ({
+            ...chat,
+            memories: (chat.memories || []).map(memory => {
+                let id = memory.id;
+                for (let copy = 1; memoryIds.has(id); copy++) id = `${memory.id}-copy${copy}`;
+                memoryIds.add(id);
+                return id === memory.id ? memory : { ...memory, id };
+            })
+        });
+        Object.values(incomingChats).forEach(chat => {
+            const existingChat = this.state.chats[chat.id];
+            if (!existingChat) {
+                this.state.chats[chat.id] = withUniqueMemoryIds(chat);
+                result.added++;
+            } else if (JSON.stringify(existingChat) === JSON.stringify(chat) || conflictStrategy === 'skip') {
+                result.skipped++;
+            } else if (conflictStrategy === 'replace') {
+                // The replaced chat's memories go with it, so their ids are free again.
+                (existingChat.memories || []).forEach(memory => memoryIds.delete(memory.id));
+                this.state.chats[chat.id] = withUniqueMemoryIds(chat);
+                result.replaced++;
+            } else {
+                // Chat ids are creation timestamps, so the copy gets the next free one.
+                let copyId = (Number(chat.id) || Date.now()) + 1;
+                while (this.state.chats[copyId]) copyId++;
+                this.state.chats[copyId] = { ...withUniqueMemoryIds(chat), id: String(copyId), title: `${chat.title} (imported)` };
+                result.copied++;
+            }
+        });
+        this.saveState();
+        return result;
+    }
+
+    addMessageToActiveChat(role, content, details = {}) {
         if (this.state.activeChatId) {
-            const history = this.state.chats[this.state.activeChatId].history;
-            history.push({ role, content });
-            if (history.length === 1 && role === 'user') {
-                this.state.chats[this.state.activeChatId].title = content.substring(0, 20) + '...';
+            const activeChat = this.state.chats[this.state.activeChatId];
+            const message = { id: createMessageId(), role, content, createdAt: new Date().toISOString(), ...details };
+            activeChat.history.push(message);
+            activeChat.updatedAt = new Date().toISOString();
+            // The first message after startBranch begins the new branch.
+            if (activeChat.pendingBranch && activeChat.pendingBranch.index === activeChat.history.length - 1) {
+                message.branch = activeChat.pendingBranch.branch;
+                delete activeChat.pendingBranch;
+            }
+            // A placeholder until Aura names the chat (see generateChatTitle).
+            if (activeChat.history.length === 1 && role === 'user' && activeChat.titleSource !== CHAT_TITLE_SOURCES.USER) {
+                activeChat.title = content.substring(0, 20) + '...';
             }
             this.saveState();
         }
     }
     
+    // --- Branches ---
+    // Editing or regenerating a message never overwrites it. The history from that
+    // message on (a "tail") is set aside, and the new message starts another tail in its
+    // place. The first message of the tail being shown carries the branch point,
+    // { tails, active }, where tails[active] is null because that tail is the history.
+    // Tools created by replies in a tail that's set aside are removed with it, and put
+    // back if it's shown again.
+
+    // Sets aside the history from `index` on. The next message added starts the new branch.
+    startBranch(index) {
+        const activeChat = this.state.chats[this.state.activeChatId];
+        if (!activeChat || !activeChat.history[index]) return;
+        const branch = activeChat.history[index].branch || { tails: [null], active: 0 };
+        const previous = branch.active;
+        branch.tails[previous] = this.setAsideTail(activeChat, index);
+        branch.tails.push(null);
+        branch.active = branch.tails.length - 1;
+        activeChat.pendingBranch = { index, branch, previous };
+        this.saveState();
+    }
+
+    // Brings back the history startBranch set aside if nothing was added in its place,
+    // e.g. when a regenerated reply was stopped before any text arrived.
+    cancelBranch() {
+        const activeChat = this.state.chats[this.state.activeChatId];
+        if (!activeChat || !activeChat.pendingBranch) return;
+        this.restorePendingBranch(activeChat);
+        this.saveState();
+    }
+
+    restorePendingBranch(chat) {
+        const { branch, previous } = chat.pendingBranch;
+        delete chat.pendingBranch;
+        branch.tails.pop();
+        branch.active = previous;
+        this.restoreTail(chat, branch);
+    }
+
+    // Shows the previous (-1) or next (1) alternative at the branch starting at `index`.
+    switchBranch(index, offset) {
+        const activeChat = this.state.chats[this.state.activeChatId];
+        const branch = activeChat && activeChat.history[index] && activeChat.history[index].branch;
+        if (!branch || !branch.tails[branch.active + offset]) return;
+        branch.tails[branch.active] = this.setAsideTail(activeChat, index);
+        branch.active += offset;
+        this.restoreTail(activeChat, branch);
+        this.saveState();
+    }
+
+    // Deletes one message. A message that starts a branch takes its whole alternative
+    // with it (and the tools it created), and the neighbouring alternative is shown.
+    deleteMessage(index) {
+        const activeChat = this.state.chats[this.state.activeChatId];
+        const message = activeChat && activeChat.history[index];
+        if (!message) return;
+        if (message.branch) {
+            const branch = message.branch;
+            this.setAsideTail(activeChat, index);
+            branch.tails.splice(branch.active, 1);
+            branch.active = Math.min(branch.active, branch.tails.length - 1);
+            this.restoreTail(activeChat, branch);
+        } else {
+            activeChat.history.splice(index, 1);
+            this.forgetSummaryFrom(activeChat, index);
+        }
+        this.saveState();
+    }
+
+    setAsideTail(chat, index) {
+        const tail = chat.history.splice(index);
+        delete tail[0].branch;
+        tail.forEach(message => (message.createdTools || []).forEach(created => {
+            const tools = (chat.tools && chat.tools[created.type]) || [];
+            const position = tools.findIndex(tool => tool.id === created.id);
+            if (position !== -1) created.data = tools.splice(position, 1)[0];
+        }));
+        this.forgetSummaryFrom(chat, index);
+        return tail;
+    }
+
+    restoreTail(chat, branch) {
+        const tail = branch.tails[branch.active];
+        branch.tails[branch.active] = null;
+        if (branch.tails.length > 1) tail[0].branch = branch;
+        chat.history.push(...tail);
+        tail.forEach(message => (message.createdTools || []).forEach(created => {
+            if (!created.data) return;
+            if (!chat.tools) chat.tools = {};
+            if (!Array.isArray(chat.tools[created.type])) chat.tools[created.type] = [];
+            chat.tools[created.type].push(created.data);
+            delete created.data;
+        }));
+    }
+
+    // The conversation summary covers the first `count` messages, so it's dropped when
+    // any of those change. It's rebuilt the next time the history doesn't fit.
+    forgetSummaryFrom(chat, index) {
+        if (chat.summary && chat.summary.count > index) delete chat.summary;
+    }
+
+    // Remembers which reply created a tool, so the tool goes if that reply's branch does.
+    linkToolToLatestReply(type, id) {
+        const reply = [...this.getActiveChatHistory()].reverse().find(message => message.role === 'assistant');
+        if (!reply) return;
+        reply.createdTools = [...(reply.createdTools || []), { type, id }];
+        this.saveState();
+    }
+
     addOrUpdateToolInActiveChat(toolName, toolData) {
         if (this.state.activeChatId && this.state.chats[this.state.activeChatId]) {
             const activeChat = this.state.chats[this.state.activeChatId];
@@ -143,6 +559,9 @@ class ChatManager {
             if (!Array.isArray(activeChat.tools[toolName])) {
                 activeChat.tools[toolName] = [];
             }
+            // The model writes tool ids, and often reuses the one from its instructions.
+            const toolIds = new Set(Object.values(activeChat.tools).flatMap(instances => (instances || []).map(tool => tool.id)));
+            toolData.id = uniqueToolId(toolData.id, toolIds);
             activeChat.tools[toolName].push(toolData);
             this.saveState();
         }
@@ -155,39 +574,144 @@ class ChatManager {
         return {};
     }
     
-    logMoodToTracker(mood) {
-        const activeChat = this.state.chats[this.state.activeChatId];
-        if (!activeChat || !activeChat.tools || !activeChat.tools.mood_tracker || activeChat.tools.mood_tracker.length === 0) {
-            return;
-        }
-        const moodTracker = activeChat.tools.mood_tracker[0];
-        if (!moodTracker.history) {
-            moodTracker.history = [];
-        }
-        moodTracker.history.push({ mood: mood, timestamp: new Date().toISOString() });
-        if(moodTracker.history.length > 10) {
-            moodTracker.history.shift();
-        }
+    addMoodEntry({ mood, intensity = DEFAULT_MOOD_INTENSITY, note = '', tags = [] }) {
+        const timestamp = new Date().toISOString();
+        const entry = { id: createJournalRecordId('mood'), mood, intensity, note, tags, timestamp, chatId: this.state.activeChatId };
+        this.state.moodJournal.push(entry);
+        this.saveState();
+        return entry;
+    }
+
+    deleteMoodEntry(entryId) {
+        this.state.moodJournal = this.state.moodJournal.filter(entry => entry.id !== entryId);
+        this.saveState();
+    }
+
+    // Adds imported mood entries that aren't in the journal yet.
+    mergeMoodEntries(entries) {
+        const knownIds = new Set(this.state.moodJournal.map(entry => entry.id));
+        entries.filter(entry => !knownIds.has(entry.id)).forEach(entry => {
+            this.state.moodJournal.push({ intensity: DEFAULT_MOOD_INTENSITY, note: '', tags: [], ...entry });
+        });
+        this.state.moodJournal.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
         this.saveState();
     }
 
-    completeAndRemoveChecklistItem(toolId, itemIndex) {
+    getMoodJournal() { return this.state.moodJournal; }
+
+    // The breathing practice log: one entry per session, finished or stopped early.
+    addPracticeSession({ pattern, patternName, rounds, durationSeconds, completed, startedAt }) {
+        const session = { id: createJournalRecordId('practice'), pattern, patternName, rounds, durationSeconds, completed, startedAt, chatId: this.state.activeChatId };
+        this.state.practiceLog.push(session);
+        this.saveState();
+        return session;
+    }
+
+    mergePracticeSessions(sessions) {
+        const knownIds = new Set(this.state.practiceLog.map(session => session.id));
+        sessions.filter(session => !knownIds.has(session.id)).forEach(session => this.state.practiceLog.push(session));
+        this.state.practiceLog.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+        this.saveState();
+    }
+
+    getPracticeLog() { return this.state.practiceLog; }
+
+    findChecklistInActiveChat(toolId) {
         const activeChat = this.state.chats[this.state.activeChatId];
         if (!activeChat || !activeChat.tools || !activeChat.tools.checklist) return null;
-        const checklistArray = activeChat.tools.checklist;
-        const toolIndex = checklistArray.findIndex(list => list.id === toolId);
-        if (toolIndex === -1) return null;
-        const checklist = checklistArray[toolIndex];
-        const [completedItem] = checklist.items.splice(itemIndex, 1);
-        if (checklist.items.length === 0) {
-            checklistArray.splice(toolIndex, 1);
+        return activeChat.tools.checklist.find(list => list.id === toolId) || null;
+    }
+
+    // Ticks or unticks an item. Ticking logs it as an accomplishment; unticking takes that back.
+    setChecklistItemDone(toolId, itemId, done) {
+        const activeChat = this.state.chats[this.state.activeChatId];
+        const checklist = this.findChecklistInActiveChat(toolId);
+        const item = checklist && checklist.items.find(entry => entry.id === itemId);
+        if (!item || item.done === done) return null;
+        item.done = done;
+        item.completedAt = done ? new Date().toISOString() : null;
+        if (done) {
+            activeChat.accomplishments.push({ text: item.text, checklistId: checklist.id, itemId: item.id, completedAt: item.completedAt });
+        } else {
+            const logIndex = activeChat.accomplishments.map(entry => entry.itemId).lastIndexOf(item.id);
+            if (logIndex !== -1) activeChat.accomplishments.splice(logIndex, 1);
         }
-        activeChat.completed_tasks.push(completedItem.text);
-        if (activeChat.completed_tasks.length > 20) {
-            activeChat.completed_tasks.shift();
+        this.saveState();
+        return item;
+    }
+
+    addChecklistItems(toolId, newItems) {
+        const checklist = this.findChecklistInActiveChat(toolId);
+        if (!checklist) return [];
+        const added = newItems
+            .filter(newItem => newItem.text && newItem.text.trim())
+            .map(newItem => ({ id: createChecklistItemId(), text: newItem.text.trim(), done: false, due: newItem.due || null, completedAt: null }));
+        checklist.items.push(...added);
+        this.saveState();
+        return added;
+    }
+
+    updateChecklistItem(toolId, itemId, { text, due }) {
+        const checklist = this.findChecklistInActiveChat(toolId);
+        const item = checklist && checklist.items.find(entry => entry.id === itemId);
+        if (!item) return;
+        if (text && text.trim()) item.text = text.trim();
+        if (due !== undefined && (due || null) !== item.due) {
+            item.due = due || null;
+            item.dueReminderDelivered = false;
         }
         this.saveState();
-        return completedItem.text;
+    }
+
+    // Moves an item up (offset -1) or down (offset 1) the list.
+    moveChecklistItem(toolId, itemId, offset) {
+        const checklist = this.findChecklistInActiveChat(toolId);
+        if (!checklist) return;
+        const index = checklist.items.findIndex(entry => entry.id === itemId);
+        const newIndex = index + offset;
+        if (index === -1 || newIndex < 0 || newIndex >= checklist.items.length) return;
+        const [item] = checklist.items.splice(index, 1);
+        checklist.items.splice(newIndex, 0, item);
+        this.saveState();
+    }
+
+    deleteChecklistItem(toolId, itemId) {
+        const checklist = this.findChecklistInActiveChat(toolId);
+        if (!checklist) return;
+        checklist.items = checklist.items.filter(entry => entry.id !== itemId);
+        this.saveState();
+    }
+
+    getActiveChatAccomplishments() {
+        const activeChat = this.state.chats[this.state.activeChatId];
+        return (activeChat && activeChat.accomplishments) || [];
+    }
+
+    // Once crisis language is detected in a chat, its resources card stays pinned for good.
+    pinCrisisCardInActiveChat() {
+        const activeChat = this.state.chats[this.state.activeChatId];
+        if (!activeChat) return;
+        activeChat.crisisCardPinned = true;
+        this.saveState();
+    }
+
+    isCrisisCardPinnedInActiveChat() {
+        const activeChat = this.state.chats[this.state.activeChatId];
+        return Boolean(activeChat && activeChat.crisisCardPinned);
+    }
+
+    // The running summary of turns that no longer fit in the model's context window.
+    getActiveChatSummary() {
+        const activeChat = this.state.chats[this.state.activeChatId];
+        if (!activeChat || !activeChat.summary) return { text: '', count: 0 };
+        return activeChat.summary;
+    }
+
+    setActiveChatSummary(text, count) {
+        const activeChat = this.state.chats[this.state.activeChatId];
+        if (!activeChat) return;
+        activeChat.summary = { text, count };
+        this.saveState();
     }
 
     getActiveChatHistory() { return this.state.activeChatId ? this.state.chats[this.state.activeChatId].history : []; }
@@ -195,140 +719,305 @@ class ChatManager {
 }
 
 
-async function generateToolJson(prompt) {
-    const modelToUse = getModelName();
-    try {
-        const response = await fetch(`${OLLAMA_API_BASE_URL}/api/generate`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ model: modelToUse, prompt, stream: false, format: 'json' })
-        });
-        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-        const data = await response.json();
-        return JSON.parse(data.response);
-    } catch (error) {
-        console.error('Error generating tool JSON:', error);
-        return null;
-    }
+// How many times a tool's JSON is requested before giving up, including the first try.
+const MAX_TOOL_JSON_ATTEMPTS = 3;
+
+async function requestJsonCompletion(prompt) {
+    const response = await fetch(`${OLLAMA_API_BASE_URL}/api/generate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: getToolModelName(), prompt, stream: false, format: 'json', options: getModelOptions(getToolModelName()) })
+    });
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    const data = await response.json();
+    return data.response;
 }
 
-async function createToolByType(type, theme = '') {
-    switch (type) {
-        case 'mood_tracker': {
-            const prompt = `You are an AI assistant that creates JSON for a "Mood Tracker" tool.
-- Your output MUST be only the raw JSON object.
-- The object must have this exact structure: { "type": "mood_tracker", "id": "mood-${Date.now()}", "title": "Your Mood Tracker", "options": ["Happy", "Okay", "Neutral", "Sad", "Angry"], "history": [] }`;
-            return await generateToolJson(prompt);
-        }
-        case 'checklist': {
-            const prompt = `An AI assistant needs to create a checklist for a user based on the theme: "${theme}".
-- Create a friendly, encouraging title for the checklist.
-- Create 3 to 5 short, actionable checklist items.
-- Your output MUST be only the raw JSON object with this exact structure: { "type": "checklist", "id": "checklist-${Date.now()}", "title": "...", "items": [{"text": "...", "done": false}] }`;
-            return await generateToolJson(prompt);
-        }
-        case 'affirmation_card': {
-             const prompt = `You are an AI assistant that creates JSON for an "Affirmation Card".
-- The theme is: "${theme}".
-- Generate a friendly, encouraging title.
-- Generate an array of 2-3 short, powerful affirmation strings for the "text" property.
-- Your output MUST be only the raw JSON object with this exact structure: { "type": "affirmation_card", "id": "affirm-${Date.now()}", "title": "...", "text": ["...", "..."], "buttonText": "I will remember this." }`;
-            return await generateToolJson(prompt);
+// Asks the model for a JSON object. With a schema, the result is validated and
+// repaired, and invalid output is retried with the problems sent back to the model.
+// Resolves with null if no valid object could be produced.
+async function generateToolJson(prompt, schema = null) {
+    const maxAttempts = schema ? MAX_TOOL_JSON_ATTEMPTS : 1;
+    let attemptPrompt = prompt;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        let output;
+        try {
+            output = await requestJsonCompletion(attemptPrompt);
+        } catch (error) {
+            // Retrying won't help if Ollama itself can't be reached.
+            console.error('Error generating tool JSON:', error);
+            return null;
         }
-        case 'breathing_exercise': {
-            const prompt = `Create a JSON object for a standard breathing exercise. The output must be ONLY the raw JSON object with this exact structure: { "type": "breathing_exercise", "id": "breathe-${Date.now()}", "title": "A Quick Breathing Exercise", "cycle": { "inhale": 4, "hold": 4, "exhale": 6 } }`;
-            return await generateToolJson(prompt);
+
+        let errors;
+        try {
+            const data = JSON.parse(output);
+            if (!schema) return data;
+            const result = validateToolData(schema, data);
+            if (result.errors.length === 0) return result.value;
+            errors = result.errors;
+        } catch (error) {
+            errors = [`The output is not valid JSON (${error.message}).`];
         }
-        default:
-            return null;
+
+        console.warn(`Invalid tool JSON (attempt ${attempt} of ${maxAttempts}):`, errors);
+        attemptPrompt = `${prompt}
+
+Your previous output was:
+${output}
+
+It has these problems:
+- ${errors.join('\n- ')}
+Fix them and output only the corrected raw JSON object.`;
     }
+    return null;
 }
 
-function toolsToString(tools) {
-    let toolString = '';
-    const toolOrder = ['mood_tracker', 'checklist', 'affirmation_card', 'breathing_exercise'];
-
-    toolOrder.forEach(toolName => {
-        if (tools[toolName] && tools[toolName].length > 0) {
-            tools[toolName].forEach(toolInstance => {
-                switch (toolName) {
-                    case 'mood_tracker':
-                         toolString += `- Mood Tracker: "${toolInstance.title}" is available.\n`;
-                         break;
-                    case 'checklist':
-                        toolString += `- Checklist: "${toolInstance.title}"\n`;
-                        toolInstance.items.forEach((item, index) => {
-                            toolString += `  ${index + 1}. ${item.text}\n`;
-                        });
-                        break;
-                    case 'affirmation_card':
-                        toolString += `- Affirmation Card: "${toolInstance.title}"\n`;
-                        if (Array.isArray(toolInstance.text)) {
-                            toolInstance.text.forEach(affirmation => {
-                                toolString += `  - "${affirmation}"\n`;
-                            });
-                        }
-                        break;
-                    case 'breathing_exercise':
-                        toolString += `- Breathing Exercise: "${toolInstance.title}" is available.\n`;
-                        break;
-                }
-            });
+async function createToolByType(type, theme = '') {
+    const tool = getTool(type);
+    if (!tool) return null;
+    return await generateToolJson(tool.buildPrompt(cleanTagValue(theme)), tool.schema);
+}
+
+// Creates every tool requested by the <tool_create> tags in a parsed response, then
+// applies any <tool_update> tags to existing tools. onCreating is called with the tool
+// types about to be generated, and onFailed with the note left in the chat for each
+// tool that couldn't be built. Resolves with the tools that were created.
+async function applyToolTags(tags, { onCreating = () => {}, onFailed = () => {} } = {}) {
+    // Tools the chat's persona can't use are ignored, even if the model asks for them.
+    const createTags = tags.filter(tag => tag.name === 'tool_create' && isToolEnabled(tag.attributes.type));
+    if (createTags.length > 0) {
+        onCreating([...new Set(createTags.map(tag => tag.attributes.type))]);
+    }
+
+    const createdTools = [];
+    for (const { attributes } of createTags) {
+        const toolType = attributes.type;
+        const toolData = await createToolByType(toolType, attributes.theme || '');
+        if (toolData) {
+            chatManager.addOrUpdateToolInActiveChat(toolType, toolData);
+            chatManager.linkToolToLatestReply(toolType, toolData.id);
+            createdTools.push(toolData);
+        } else {
+            // Kept in the history so the user knows the tool never appeared. The model
+            // isn't sent it (see isConversationEntry); the toolbox state shows what exists.
+            const errorText = `Aura tried to create a ${getTool(toolType).name}, but couldn't build a working one from the model's answer. You can ask for it again.`;
+            chatManager.addMessageToActiveChat('system', errorText, { toolError: toolType });
+            onFailed(errorText);
+        }
+    }
+
+    tags.filter(tag => tag.name === 'tool_update').forEach(({ attributes }) => {
+        const tool = getTool(attributes.type);
+        if (!tool.applyUpdate || !tool.applyUpdate(attributes.id, attributes)) {
+            console.warn('Ignored a tool update that matched no tool:', attributes);
         }
     });
+    return createdTools;
+}
 
-    return toolString.trim() || 'None';
+function toolsToString(tools) {
+    const lines = [];
+    getRegisteredTools().forEach(tool => {
+        (tools[tool.type] || []).forEach(toolInstance => lines.push(tool.summarize(toolInstance)));
+    });
+    return lines.join('\n') || 'None';
 }
 
-async function getOllamaResponse(prompt, toolFollowUp = null) {
-    const modelToUse = getModelName();
-    const systemPrompt = getSystemPrompt();
+async function getOllamaResponse(prompt, toolFollowUp = null, { onToken = null, signal = null, safetyNote = null } = {}) {
+    const modelToUse = getChatModelName();
+    const systemPrompt = getActivePersona().prompt;
     const chatHistory = chatManager.getActiveChatHistory();
     const activeTools = chatManager.getActiveChatTools();
     const toolsStateString = toolsToString(activeTools);
+    const recalledMemories = prompt ? await memoryManager.recall(prompt) : [];
+    const moodTrends = moodTrendsToString(chatManager.getMoodJournal());
     
-    let userPromptSegment = `User: ${prompt}`;
+    let systemNote = null;
 
     if (toolFollowUp) {
-        if (toolFollowUp.type === 'mood_logged') {
-            userPromptSegment = `[System Note: The user just logged their mood as "${toolFollowUp.mood}". Respond with empathy and ask an open-ended question about it.]`;
-        } else if (toolFollowUp.type === 'checklist_item_completed') {
-            userPromptSegment = `[System Note: The user just completed the task "${toolFollowUp.text}" from their checklist. Acknowledge this specific accomplishment and offer encouragement.]`;
-        } else if (toolFollowUp.type === 'breathing_complete') {
-            userPromptSegment = `[System Note: The user just finished a breathing exercise. Gently ask how they are feeling now.]`;
+        if (toolFollowUp.type === 'search_results') {
+            systemNote = toolFollowUp.results
+                ? `[System Note: You searched the web for "${toolFollowUp.query}". Here are the results:\n${searchResultsToString(toolFollowUp.results)}\nAnswer the user's question using these results and cite them inline as [1], [2], etc. If they don't answer the question, say so honestly. Do not search again.]`
+                : `[System Note: You tried to search the web for "${toolFollowUp.query}", but the search failed. Let the user know and answer as best you can without it. Do not search again.]`;
+        } else if (toolFollowUp.type === 'reminders_due') {
+            systemNote = buildRemindersNote(toolFollowUp.reminders);
+        } else {
+            // Every other follow-up comes from a tool; its definition knows what to tell Aura.
+            systemNote = toolFollowUpNote(toolFollowUp);
         }
     }
-    
-    const fullPrompt = `${systemPrompt}\n\n[Current Toolbox State]:\n${toolsStateString}\n\n[Conversation History]:\n${historyToString(chatHistory)}\n\n${userPromptSegment}`;
 
+    // The user's message is already the last entry in the chat history.
+    const messages = await buildChatMessages({
+        systemPrompt,
+        memories: recalledMemories,
+        availableTools: toolTriggersToString(getEnabledTools()),
+        toolsState: toolsStateString,
+        moodTrends,
+        reminders: remindersToString(reminderManager.getUpcomingReminders()),
+        history: chatHistory,
+        systemNotes: [systemNote, safetyNote].filter(Boolean)
+    });
+
+    let fullResponse = '';
     try {
-        const response = await fetch(`${OLLAMA_API_BASE_URL}/api/generate`, {
+        const response = await fetch(`${OLLAMA_API_BASE_URL}/api/chat`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ model: modelToUse, prompt: fullPrompt, stream: false })
+            body: JSON.stringify({ model: modelToUse, messages, stream: true, options: getModelOptions(modelToUse) }),
+            signal
         });
 
         if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-        const data = await response.json();
-        return data.response.trim();
+        await readNdjsonStream(response, chunk => {
+            if (chunk.error) throw new Error(chunk.error);
+            if (!chunk.message || !chunk.message.content) return;
+            fullResponse += chunk.message.content;
+            if (onToken) onToken(stripToolTags(fullResponse));
+        });
+        return fullResponse.trim();
     } catch (error) {
+        // A stopped generation is not an error: keep whatever Aura has said so far.
+        if (error.name === 'AbortError') {
+            return fullResponse.trim();
+        }
         console.error('Error in getOllamaResponse:', error);
         return `I'm sorry, an error occurred: ${error.message}`;
     }
 }
 
+// Returns the tags in a response that Aura should act on, in order, as
+// { name, attributes }, e.g. { name: 'tool_update', attributes: { type, id, add } }.
+// Only known tags with allowed attributes and, for tools, a registered type are kept.
+// A tag of the same kind as one in untrustedText (the user's message this turn, or web
+// search results) is ignored, since the model may only be repeating it, perhaps with an
+// attribute changed.
+function parseResponseTags(text, untrustedText = '') {
+    const echoedKinds = new Set(readResponseTags(untrustedText).map(tagKind));
+    return readResponseTags(text)
+        .filter(tag => isAllowedTag(tag) && !echoedKinds.has(tagKind(tag)))
+        .map(({ name, attributes }) => ({ name, attributes }));
+}
+
+// e.g. "tool_create checklist", or just "reminder_create".
+function tagKind({ name, attributes }) {
+    return attributes.type ? `${name} ${attributes.type}` : name;
+}
+
+function readResponseTags(text) {
+    return [...text.matchAll(RESPONSE_TAG_REGEX)].map(([, name, attributeText]) => {
+        const pairs = [...attributeText.matchAll(TAG_ATTRIBUTE_REGEX)].map(([, attribute, value]) => [attribute, cleanTagValue(value)]);
+        return {
+            name,
+            pairs,
+            attributes: Object.fromEntries(pairs)
+        };
+    });
+}
+
+function isAllowedTag({ name, pairs, attributes }) {
+    const rules = RESPONSE_TAGS[name];
+    const tool = rules.required.includes('type') ? getTool(attributes.type) : null;
+    if (rules.required.includes('type') && !tool) return false;
+    const allowed = [...rules.required, ...rules.optional, ...(name === 'tool_update' ? tool.updateAttributes || [] : [])];
+    const names = pairs.map(([attribute]) => attribute);
+    return names.length === new Set(names).size
+        && names.every(attribute => allowed.includes(attribute))
+        && rules.required.every(attribute => attributes[attribute]);
+}
+
+// Keeps a tag value to one short line of plain text, so it can't break out of the
+// quotes it's given in a prompt or carry markup.
+function cleanTagValue(value) {
+    return String(value)
+        .replace(/[\u0000-\u001f\u007f"`<>]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, TAG_VALUE_MAX_LENGTH);
+}
+
+// Reads an Ollama streaming response, which arrives as newline-delimited JSON objects.
+// Lines can be split across network chunks, so incomplete lines are buffered.
+async function readNdjsonStream(response, onChunk) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(line => {
+            if (line.trim()) onChunk(JSON.parse(line));
+        });
+    }
+    if (buffer.trim()) onChunk(JSON.parse(buffer));
+}
+
+// Removes tool tags from a (possibly still streaming) response. A trailing fragment
+// such as `<tool_cre` is hidden too, so half-received tags never flash on screen.
+function stripToolTags(text) {
+    let visible = text.replace(ANY_RESPONSE_TAG_REGEX, '');
+    const partialStart = visible.lastIndexOf('<');
+    if (partialStart !== -1) {
+        const tail = visible.slice(partialStart);
+        const looksLikeTag = Object.keys(RESPONSE_TAGS).some(name => `<${name}`.startsWith(tail) || tail.startsWith(`<${name}`));
+        if (looksLikeTag && !tail.includes('>')) {
+            visible = visible.slice(0, partialStart);
+        }
+    }
+    return visible.trim();
+}
+
+async function searchWeb(query) {
+    try {
+        const response = await fetch(`${PROXY_SERVER_URL}/api/search?query=${encodeURIComponent(query)}`, { headers: serverAuthHeaders() });
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json();
+        return {
+            answer: data.answer || '',
+            results: Array.isArray(data.results) ? data.results : []
+        };
+    } catch (error) {
+        console.error('Error searching the web:', error);
+        return null;
+    }
+}
+
+function searchResultsToString(search) {
+    let resultString = search.answer ? `Summary: ${search.answer}\n` : '';
+    search.results.forEach((result, index) => {
+        resultString += `[${index + 1}] ${result.title} (${result.url})\n${result.snippet}\n`;
+    });
+    return resultString.trim() || 'No results found.';
+}
+
+// Asks the model for a short title describing the conversation. Resolves with null
+// if none could be generated.
+async function generateChatTitle(history) {
+    const prompt = `You are an AI assistant that names conversations for a list of chats.
+- Write a short, descriptive title of 2 to 5 words for the conversation below, e.g. "Preparing for a job interview".
+- Don't use quotes or end the title with punctuation.
+- The conversation is:
+${historyToString(history.filter(message => message.role === 'user' || message.role === 'assistant').slice(0, 4))}
+- Your output MUST be only the raw JSON object with this exact structure: { "title": "..." }`;
+    const result = await generateToolJson(prompt);
+    if (!result || typeof result.title !== 'string') return null;
+    const title = result.title.replace(/^["'\s]+|["'.!?\s]+$/g, '').slice(0, CHAT_TITLE_MAX_LENGTH).trim();
+    return title || null;
+}
+
 function historyToString(history) {
     return history.map(m => {
         return `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`;
     }).join('\n');
 }
 
-function getSystemPrompt() { return localStorage.getItem(PROMPT_STORAGE_KEY) || DEFAULT_SYSTEM_PROMPT; }
-function saveSystemPrompt(prompt) { localStorage.setItem(PROMPT_STORAGE_KEY, prompt); }
 function getVoiceName() { return localStorage.getItem(VOICE_STORAGE_KEY); }
 function saveVoiceName(voiceName) { localStorage.setItem(VOICE_STORAGE_KEY, voiceName); }
 function getModelName() { return localStorage.getItem(MODEL_STORAGE_KEY) || DEFAULT_MODEL; }
 function saveModelName(modelName) { localStorage.setItem(MODEL_STORAGE_KEY, modelName); }
-function getDefaultSystemPrompt() { return DEFAULT_SYSTEM_PROMPT; }
 
-const chatManager = new ChatManager();
\ No newline at end of file
+const chatManager = new ChatManager(createStorageAdapter());
\ No newline at end of file
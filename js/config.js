@@ -1,3 +1,5 @@
 // This file configures the base URLs for the application.
 const OLLAMA_API_BASE_URL = 'http://localhost:11434';
-// const PROXY_SERVER_URL = 'http://localhost:3000'; // URL for our new backend proxy => future resource.
\ No newline at end of file
+// URL for the backend proxy in js/server.js. Point it at any server with the same
+// /api/search contract (e.g. one started with SEARCH_PROVIDER=stub) to test offline.
+const PROXY_SERVER_URL = 'http://localhost:3000';
@@ -0,0 +1,245 @@
+// conversation.js
+// This file runs the turns of a conversation with Aura. A turn starts when the user
+// sends (or edits) a message, asks for another reply, uses a tool or has a reminder come
+// due, and lasts until Aura has replied and done whatever the reply asked for: creating
+// tools, scheduling reminders, searching the web. The page shows a turn through the
+// hooks in `view`, which app.js fills in with ui.js's functions; left as they are, turns
+// run without a page, as they do in the tests.
+
+// --- Conversation View ---
+
+// Everything a turn shows on the page, named after the ui.js functions that do it.
+// refresh redraws the whole chat.
+const CONVERSATION_VIEW_HOOKS = [
+    'showTypingIndicator', 'hideTypingIndicator', 'setGeneratingState', 'addMessage', 'updateMessageContent',
+    'addSourcesToMessage', 'addToolStatusMessage', 'removeToolStatusMessages', 'addToolErrorMessage',
+    'addNoticeMessage', 'renderCrisisCard', 'refresh'
+];
+
+// --- Conversation ---
+
+class Conversation {
+    constructor(chatManager) {
+        this.chatManager = chatManager;
+        this.view = Object.fromEntries(CONVERSATION_VIEW_HOOKS.map(hook => [hook, () => null]));
+        // Set for the whole of a turn: the safety check, Aura's reply and whatever it
+        // leads to (tools, a web search). Nothing else may start a turn meanwhile. All of
+        // it is saved to the active chat, so the page doesn't let the user switch chats
+        // until the turn is over (see canLeaveActiveChat in app.js).
+        this.turnInProgress = false;
+        // Resolves once the turn in progress, if any, has finished.
+        this.turnFinished = Promise.resolve();
+        this.activeGeneration = null;
+        // Reads the reply being streamed aloud, if createSpeaker gave one.
+        this.activeSpeaker = null;
+        // Returns a SentenceSpeaker to read the next reply aloud, or null to keep it silent.
+        this.createSpeaker = () => null;
+        // Called with the chat id and the message once a message from the user has been
+        // answered, for work that mustn't delay the conversation (e.g. naming the chat).
+        this.onMessageAnswered = null;
+    }
+
+    // --- Turns ---
+
+    // Runs a turn, unless one is already in progress, and resolves with its result.
+    async runTurn(turn) {
+        if (this.turnInProgress) return null;
+        this.turnInProgress = true;
+        let finishTurn;
+        this.turnFinished = new Promise(resolve => { finishTurn = resolve; });
+        try {
+            return await turn();
+        } finally {
+            this.turnInProgress = false;
+            finishTurn();
+        }
+    }
+
+    // Stops the reply being generated. What's been said so far is kept.
+    stop() {
+        if (this.activeGeneration) this.activeGeneration.abort();
+    }
+
+    // Sends a message from the user and resolves with Aura's reply: { rawResponse, tags, tools }.
+    sendMessage(message) {
+        return this.runTurn(() => this.replyToUserMessage(message));
+    }
+
+    // Replaces the user's message at `index` with `message`, in a new branch of the conversation.
+    editMessage(index, message) {
+        return this.runTurn(() => this.replyToUserMessage(message, index));
+    }
+
+    // Sets the reply at `index` aside as an alternative and asks Aura for another.
+    regenerateReply(index) {
+        return this.runTurn(async () => {
+            const message = this.chatManager.getActiveChatHistory()[index - 1].content;
+            this.chatManager.startBranch(index);
+            this.view.refresh();
+            const safetyNote = await this.checkMessageSafety(message);
+            return this.replyToMessage(message, safetyNote);
+        });
+    }
+
+    // Lets Aura respond to something other than a message, e.g. a tool being used.
+    followUp(followUp) {
+        return this.runTurn(() => this.replyToFollowUp(followUp));
+    }
+
+    // Brings up due reminders as proactive messages from Aura, in the chat each one
+    // belongs to. They're marked delivered first so the next check can't repeat them.
+    // While a turn is in progress they wait for the next check.
+    deliverReminders(dueReminders) {
+        return this.runTurn(async () => {
+            const remindersByChat = new Map();
+            dueReminders.forEach(reminder => {
+                const chatId = this.chatManager.state.chats[reminder.chatId] ? reminder.chatId : this.chatManager.getActiveChatId();
+                if (!remindersByChat.has(chatId)) remindersByChat.set(chatId, []);
+                remindersByChat.get(chatId).push(reminder);
+                reminderManager.markDelivered(reminder);
+            });
+            for (const [chatId, reminders] of remindersByChat) {
+                this.chatManager.setActiveChat(chatId);
+                this.view.refresh();
+                await this.replyToFollowUp({ type: 'reminders_due', reminders });
+            }
+        });
+    }
+
+    // --- Replies ---
+
+    // With branchIndex, the message replaces the one at that position in a new branch.
+    async replyToUserMessage(message, branchIndex = null) {
+        const chatId = this.chatManager.getActiveChatId();
+        if (branchIndex !== null) {
+            this.chatManager.startBranch(branchIndex);
+            this.view.refresh();
+        }
+        this.view.addMessage('user', message);
+        this.chatManager.addMessageToActiveChat('user', message);
+
+        const safetyNote = await this.checkMessageSafety(message);
+        const reply = await this.replyToMessage(message, safetyNote);
+        if (this.onMessageAnswered) this.onMessageAnswered(chatId, message);
+        return reply;
+    }
+
+    // The safety check runs before every reply to a message reaches the model. If the
+    // message is a concern, the crisis card is pinned and the note for the reply returned.
+    async checkMessageSafety(message) {
+        const crisis = await assessCrisisRisk(message);
+        if (!crisis) return null;
+        const resources = getCrisisResources();
+        this.chatManager.pinCrisisCardInActiveChat();
+        logSafetyEvent(this.chatManager.getActiveChatId(), crisis);
+        this.view.renderCrisisCard(resources);
+        return buildSafetyNote(resources);
+    }
+
+    // Streams Aura's reply to the user's message, which is the last one in the history,
+    // then acts on any tags in it.
+    async replyToMessage(message, safetyNote = null) {
+        const { rawResponse, chatBubble, aborted } = await this.streamReply(message, null, safetyNote);
+        // The reply is stored first so any tool errors appear after it in the history.
+        this.finalizeReply(chatBubble, stripToolTags(rawResponse));
+        // A regenerated reply that was stopped before saying anything leaves the old one in place.
+        this.chatManager.cancelBranch();
+        // What's left of a stopped reply is kept, but nothing it asked for is done. Nor is
+        // anything a reply under the safety note asks for, which is told not to create tools.
+        const tags = aborted || safetyNote ? [] : parseResponseTags(rawResponse, message);
+        const tools = await this.applyTags(tags);
+
+        // Only one search per turn: the follow-up is told not to search again.
+        const searchTag = tags.find(tag => tag.name === 'tool_search');
+        if (searchTag) {
+            await this.runWebSearch(searchTag.attributes.query, message);
+        }
+        this.view.refresh();
+        return { rawResponse, tags, tools };
+    }
+
+    async replyToFollowUp(followUp) {
+        const { rawResponse, chatBubble } = await this.streamReply('', followUp);
+        this.finalizeReply(chatBubble, stripToolTags(rawResponse));
+        this.view.refresh();
+    }
+
+    // Resolves a <tool_search> tag through the proxy, then lets Aura answer the user's
+    // message with the results.
+    async runWebSearch(query, message) {
+        this.view.addToolStatusMessage('web_search');
+        const search = await searchWeb(query);
+        this.view.removeToolStatusMessages();
+
+        const { rawResponse, chatBubble, aborted } = await this.streamReply('', { type: 'search_results', query, results: search });
+        const sources = search ? search.results.map(result => ({ title: result.title, url: result.url })) : [];
+        this.finalizeReply(chatBubble, stripToolTags(rawResponse), sources);
+        if (aborted) return;
+        // Web pages can carry tags too; the model repeating one from the results is ignored.
+        const tags = parseResponseTags(rawResponse, `${message}\n${search ? searchResultsToString(search) : ''}`);
+        await this.applyTags(tags);
+    }
+
+    // Streams a reply from Aura into a new chat bubble. Resolves with the raw response
+    // (tool tags included), the bubble it was rendered into, if any text arrived, and
+    // whether the user stopped it.
+    async streamReply(prompt, followUp = null, safetyNote = null) {
+        this.activeGeneration = new AbortController();
+        const { signal } = this.activeGeneration;
+        this.activeSpeaker = this.createSpeaker();
+        this.view.setGeneratingState(true);
+        this.view.showTypingIndicator();
+
+        let chatBubble = null;
+        const rawResponse = await getOllamaResponse(prompt, followUp, {
+            signal,
+            safetyNote,
+            onToken: (visibleText) => {
+                if (!visibleText) return;
+                if (!chatBubble) {
+                    this.view.hideTypingIndicator();
+                    chatBubble = this.view.addMessage('ai', visibleText);
+                } else {
+                    this.view.updateMessageContent(chatBubble, visibleText);
+                }
+                if (this.activeSpeaker) this.activeSpeaker.feed(visibleText);
+            }
+        });
+
+        this.view.hideTypingIndicator();
+        this.activeGeneration = null;
+        this.view.setGeneratingState(false);
+        return { rawResponse, chatBubble, aborted: signal.aborted };
+    }
+
+    // Shows the final text of a streamed reply and stores it in the chat history.
+    finalizeReply(chatBubble, text, sources = []) {
+        if (!text) return;
+        if (chatBubble) {
+            this.view.updateMessageContent(chatBubble, text);
+            this.view.addSourcesToMessage(chatBubble, sources);
+        } else {
+            this.view.addMessage('ai', text, sources);
+        }
+        this.chatManager.addMessageToActiveChat('assistant', text, sources.length > 0 ? { sources } : {});
+
+        // Whatever hasn't been read aloud while streaming is read now.
+        if (this.activeSpeaker) {
+            this.activeSpeaker.finish(text);
+        }
+    }
+
+    // Creates the tools a reply asks for, with a status bubble while they're generated,
+    // and schedules its reminders. Resolves with the tools created.
+    async applyTags(tags) {
+        const tools = await applyToolTags(tags, {
+            onCreating: toolTypes => toolTypes.forEach(toolType => this.view.addToolStatusMessage(toolType)),
+            onFailed: errorText => this.view.addToolErrorMessage(errorText)
+        });
+        this.view.removeToolStatusMessages();
+        reminderManager.addRemindersFromTags(tags).forEach(noticeText => this.view.addNoticeMessage(noticeText));
+        return tools;
+    }
+}
+
+const conversation = new Conversation(chatManager);
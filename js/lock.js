@@ -0,0 +1,105 @@
+// lock.js
+// This file implements the optional lock mode. A key is derived from the user's
+// passphrase with PBKDF2 and used to encrypt stored chats with AES-GCM. Only the
+// salt and an encrypted verifier are kept in localStorage; the passphrase and key
+// never are.
+
+// --- Lock Configuration ---
+
+const LOCK_CONFIG_STORAGE_KEY = 'aura_lock';
+const AUTO_LOCK_STORAGE_KEY = 'aura_auto_lock_minutes';
+const DEFAULT_AUTO_LOCK_MINUTES = 10;
+const PBKDF2_ITERATIONS = 310000;
+// Encrypted with the derived key and stored, so a wrong passphrase can be detected.
+const LOCK_VERIFIER_TEXT = 'aura-unlocked';
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+class StateCipher {
+    constructor(key) {
+        this.key = key;
+    }
+
+    static async fromPassphrase(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+        const keyMaterial = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        const key = await crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            keyMaterial,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+        return new StateCipher(key);
+    }
+
+    // Encrypts any JSON-serialisable value into a { iv, data } envelope.
+    async encrypt(value) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const plaintext = new TextEncoder().encode(JSON.stringify(value));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this.key, plaintext);
+        return { iv: bytesToBase64(iv), data: bytesToBase64(ciphertext) };
+    }
+
+    async decrypt(envelope) {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(envelope.iv) },
+            this.key,
+            base64ToBytes(envelope.data)
+        );
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+}
+
+function isLockSupported() { return Boolean(window.crypto && window.crypto.subtle); }
+
+function getLockConfig() {
+    try {
+        return JSON.parse(localStorage.getItem(LOCK_CONFIG_STORAGE_KEY));
+    } catch (error) {
+        console.error('Error loading lock settings:', error);
+        return null;
+    }
+}
+
+function isLockEnabled() { return Boolean(getLockConfig()); }
+function saveLockConfig(config) { localStorage.setItem(LOCK_CONFIG_STORAGE_KEY, JSON.stringify(config)); }
+function removeLockConfig() { localStorage.removeItem(LOCK_CONFIG_STORAGE_KEY); }
+
+// Derives a cipher for a new passphrase. The config isn't saved here, so callers can
+// decide when it takes effect relative to re-encrypting the data.
+async function createLock(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const cipher = await StateCipher.fromPassphrase(passphrase, salt);
+    const config = {
+        salt: bytesToBase64(salt),
+        iterations: PBKDF2_ITERATIONS,
+        verifier: await cipher.encrypt(LOCK_VERIFIER_TEXT)
+    };
+    return { cipher, config };
+}
+
+// Resolves with the cipher for the saved lock, or null if the passphrase is wrong.
+async function unlockWithPassphrase(passphrase) {
+    const config = getLockConfig();
+    if (!config) return null;
+    const cipher = await StateCipher.fromPassphrase(passphrase, base64ToBytes(config.salt), config.iterations);
+    try {
+        return (await cipher.decrypt(config.verifier)) === LOCK_VERIFIER_TEXT ? cipher : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function getAutoLockMinutes() {
+    const savedMinutes = localStorage.getItem(AUTO_LOCK_STORAGE_KEY);
+    return savedMinutes === null ? DEFAULT_AUTO_LOCK_MINUTES : Number(savedMinutes);
+}
+function saveAutoLockMinutes(minutes) { localStorage.setItem(AUTO_LOCK_STORAGE_KEY, String(minutes)); }
@@ -0,0 +1,160 @@
+// memory.js
+// This file gives Aura a long-term memory. Salient facts about the user are
+// extracted from the conversation, embedded through Ollama and stored locally,
+// then the most relevant ones are recalled on every turn.
+
+// --- Memory Configuration ---
+
+const MEMORY_SCOPE_STORAGE_KEY = 'aura_memory_scope';
+const MEMORY_SCOPES = { SHARED: 'shared', CHAT: 'chat' };
+// How many memories are injected into the prompt, and how similar they must be to count.
+const MEMORY_TOP_K = 3;
+const MEMORY_MIN_SIMILARITY = 0.5;
+// A new fact this similar to an existing memory is treated as a duplicate.
+const MEMORY_DUPLICATE_SIMILARITY = 0.9;
+
+class MemoryManager {
+    constructor(chatManager) {
+        this.chatManager = chatManager;
+    }
+
+    getScope() {
+        return localStorage.getItem(MEMORY_SCOPE_STORAGE_KEY) || MEMORY_SCOPES.SHARED;
+    }
+
+    saveScope(scope) {
+        localStorage.setItem(MEMORY_SCOPE_STORAGE_KEY, scope);
+    }
+
+    // Memories live on the chat they were learned in. In shared mode every chat's
+    // memories are visible; otherwise only that chat's (the active one by default).
+    getMemories(chatId = this.chatManager.getActiveChatId()) {
+        const chats = this.chatManager.state.chats;
+        if (this.getScope() === MEMORY_SCOPES.CHAT) {
+            const chat = chats[chatId];
+            return chat && chat.memories ? chat.memories : [];
+        }
+        return Object.values(chats).flatMap(chat => chat.memories || []);
+    }
+
+    findMemory(memoryId) {
+        for (const chat of Object.values(this.chatManager.state.chats)) {
+            const memory = (chat.memories || []).find(m => m.id === memoryId);
+            if (memory) return { chat, memory };
+        }
+        return null;
+    }
+
+    // The chat is looked up again once the embedding is back, since it may have been
+    // deleted meanwhile.
+    async addMemory(text, chatId = this.chatManager.getActiveChatId()) {
+        if (!this.chatManager.state.chats[chatId]) return null;
+        const embedding = await getEmbedding(text);
+        const chat = this.chatManager.state.chats[chatId];
+        if (!embedding || !chat) return null;
+
+        const isDuplicate = this.getMemories(chatId).some(m => cosineSimilarity(m.embedding, embedding) >= MEMORY_DUPLICATE_SIMILARITY);
+        if (isDuplicate) return null;
+
+        if (!Array.isArray(chat.memories)) {
+            chat.memories = [];
+        }
+        const now = new Date().toISOString();
+        const memory = { id: `memory-${Date.now()}-${chat.memories.length}`, text, embedding, createdAt: now, updatedAt: now };
+        chat.memories.push(memory);
+        this.chatManager.saveState();
+        return memory;
+    }
+
+    async updateMemory(memoryId, text) {
+        const found = this.findMemory(memoryId);
+        if (!found) return false;
+        const embedding = await getEmbedding(text);
+        if (!embedding) return false;
+        found.memory.text = text;
+        found.memory.embedding = embedding;
+        found.memory.updatedAt = new Date().toISOString();
+        this.chatManager.saveState();
+        return true;
+    }
+
+    deleteMemory(memoryId) {
+        const found = this.findMemory(memoryId);
+        if (!found) return;
+        found.chat.memories = found.chat.memories.filter(m => m.id !== memoryId);
+        this.chatManager.saveState();
+    }
+
+    // Returns the memories most similar to the query, best match first.
+    async recall(query, k = MEMORY_TOP_K) {
+        const memories = this.getMemories().filter(m => Array.isArray(m.embedding));
+        if (!query || memories.length === 0) return [];
+        const queryEmbedding = await getEmbedding(query);
+        if (!queryEmbedding) return [];
+
+        return memories
+            .map(memory => ({ memory, score: cosineSimilarity(memory.embedding, queryEmbedding) }))
+            .filter(result => result.score >= MEMORY_MIN_SIMILARITY)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k)
+            .map(result => result.memory);
+    }
+
+    // Asks the model for lasting facts in the user's message and stores any new ones.
+    // The facts are kept in the chat the message was sent in, even if the user has moved
+    // to another by the time they're extracted.
+    async rememberFromMessage(message, chatId = this.chatManager.getActiveChatId()) {
+        const prompt = `You are an AI assistant that extracts long-term memories about a user from their message.
+- Only extract lasting, personal facts worth remembering in future conversations (e.g. their name, job, relationships, goals, preferences, ongoing struggles).
+- Ignore small talk, questions, and passing feelings.
+- Write each fact as a short sentence about "the user".
+- The message is: "${message}"
+- Your output MUST be only the raw JSON object with this exact structure: { "facts": ["..."] }. Use an empty array if there is nothing worth remembering.`;
+        const result = await generateToolJson(prompt);
+        if (!result || !Array.isArray(result.facts)) return [];
+
+        const added = [];
+        for (const fact of result.facts) {
+            if (typeof fact !== 'string' || !fact.trim()) continue;
+            const memory = await this.addMemory(fact.trim(), chatId);
+            if (memory) added.push(memory);
+        }
+        return added;
+    }
+}
+
+async function getEmbedding(text) {
+    try {
+        const response = await fetch(`${OLLAMA_API_BASE_URL}/api/embeddings`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model: DEFAULT_EMBEDDING_MODEL, prompt: text })
+        });
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json();
+        return Array.isArray(data.embedding) && data.embedding.length > 0 ? data.embedding : null;
+    } catch (error) {
+        console.error('Error getting embedding:', error);
+        return null;
+    }
+}
+
+function cosineSimilarity(a, b) {
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return 0;
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+function memoriesToString(memories) {
+    return memories.map(memory => `- ${memory.text}`).join('\n') || 'None';
+}
+
+const memoryManager = new MemoryManager(chatManager);
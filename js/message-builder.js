@@ -0,0 +1,135 @@
+// message-builder.js
+// This file turns a chat into the structured messages sent to Ollama's /api/chat
+// endpoint. Ollama applies each model's own chat template to these messages, so
+// we never hand-format "User:"/"Assistant:" transcripts for the conversation.
+// It also keeps long chats inside the model's context window by summarising the
+// oldest turns once they no longer fit.
+
+// --- Context Window Budget ---
+
+// The context window requested from Ollama unless the model's num_ctx is set (see
+// models.js), and the share of it kept free for the reply.
+const DEFAULT_CONTEXT_TOKENS = 4096;
+const RESPONSE_TOKEN_RESERVE = 1024;
+
+// A rough, model-independent estimate: most tokenizers average ~4 characters per token.
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+function countMessageTokens(messages) {
+    // Every message also carries a few tokens of template overhead (role markers etc.).
+    return messages.reduce((total, message) => total + estimateTokens(message.content) + 4, 0);
+}
+
+// History from before the switch to /api/chat stored Aura's turns as 'ai'.
+function toChatRole(role) {
+    if (role === 'user' || role === 'system') return role;
+    return 'assistant';
+}
+
+// Notes Aura adds to the chat for the user (a tool that failed to build, a reminder
+// that was set) aren't part of the conversation. Sent as system messages in the middle
+// of it, the model would take them as instructions.
+function isConversationEntry(historyEntry) {
+    return !historyEntry.toolError && !historyEntry.notice;
+}
+
+function toChatMessage(historyEntry) {
+    return { role: toChatRole(historyEntry.role), content: historyEntry.content };
+}
+
+// The system prompt plus the context sections, each sent as its own system message.
+function buildContextMessages({ systemPrompt, availableTools, memories, toolsState, moodTrends, reminders, summary }) {
+    const messages = [{ role: 'system', content: systemPrompt }];
+    if (availableTools) {
+        messages.push({ role: 'system', content: `[Available Tools]:\n${availableTools}` });
+    }
+    if (memories && memories.length > 0) {
+        messages.push({ role: 'system', content: `[What You Remember About the User]:\n${memoriesToString(memories)}` });
+    }
+    messages.push({ role: 'system', content: `[Current Toolbox State]:\n${toolsState}` });
+    if (moodTrends) {
+        messages.push({ role: 'system', content: `[Mood Trends]:\n${moodTrends}` });
+    }
+    if (reminders) {
+        messages.push({ role: 'system', content: `[Reminders]:\n${reminders}` });
+    }
+    if (summary) {
+        messages.push({ role: 'system', content: `[Summary of Earlier Conversation]:\n${summary}` });
+    }
+    return messages;
+}
+
+// Returns the index of the oldest history entry that still fits in the budget
+// when keeping every entry after it. Returns history.length if nothing fits.
+function firstFittingIndex(history, budget) {
+    let used = 0;
+    for (let i = history.length - 1; i >= 0; i--) {
+        used += countMessageTokens([history[i]]);
+        if (used > budget) return i + 1;
+    }
+    return 0;
+}
+
+async function buildChatMessages({ systemPrompt, availableTools = '', memories, toolsState, moodTrends = '', reminders = '', history, systemNotes = [] }) {
+    const { text: summaryText, count: summarizedCount } = chatManager.getActiveChatSummary();
+    const noteMessages = systemNotes.map(note => ({ role: 'system', content: note }));
+    const contextTokens = getContextTokens();
+    const historyBudget = (summary) => contextTokens - RESPONSE_TOKEN_RESERVE
+        - countMessageTokens(buildContextMessages({ systemPrompt, availableTools, memories, toolsState, moodTrends, reminders, summary }))
+        - countMessageTokens(noteMessages);
+
+    let summary = summaryText;
+    let recentHistory = history.slice(summarizedCount);
+    let startIndex = firstFittingIndex(recentHistory, historyBudget(summary));
+
+    if (startIndex > 0) {
+        // Summarise down to half the budget so we aren't re-summarising on every turn.
+        const keepFrom = Math.max(startIndex, firstFittingIndex(recentHistory, Math.floor(historyBudget(summary) / 2)));
+        const newSummary = await summarizeConversation(summary, recentHistory.slice(0, keepFrom));
+        if (newSummary) {
+            summary = newSummary;
+            chatManager.setActiveChatSummary(summary, summarizedCount + keepFrom);
+            recentHistory = recentHistory.slice(keepFrom);
+            startIndex = firstFittingIndex(recentHistory, historyBudget(summary));
+        }
+    }
+
+    // Whatever still doesn't fit (e.g. if summarising failed) is simply trimmed.
+    return [
+        ...buildContextMessages({ systemPrompt, availableTools, memories, toolsState, moodTrends, reminders, summary }),
+        ...recentHistory.slice(startIndex).filter(isConversationEntry).map(toChatMessage),
+        ...noteMessages
+    ];
+}
+
+// Folds older turns into a running summary so their gist survives trimming.
+async function summarizeConversation(previousSummary, history) {
+    const turns = history.filter(isConversationEntry);
+    if (turns.length === 0) return previousSummary;
+    const instructions = `You summarise conversations between a user and their AI companion, Aura.
+- Write a short paragraph in the third person covering the user's situation, feelings, plans, and anything Aura promised or suggested.
+- If an earlier summary is provided, merge it with the new turns into one updated summary.
+- Output only the summary text.`;
+    const transcript = `${previousSummary ? `[Earlier Summary]:\n${previousSummary}\n\n` : ''}[New Turns]:\n${historyToString(turns)}`;
+
+    try {
+        const response = await fetch(`${OLLAMA_API_BASE_URL}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model: getChatModelName(),
+                messages: [{ role: 'system', content: instructions }, { role: 'user', content: transcript }],
+                stream: false,
+                options: getModelOptions(getChatModelName())
+            })
+        });
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json();
+        return data.message && data.message.content ? data.message.content.trim() : null;
+    } catch (error) {
+        console.error('Error summarising conversation:', error);
+        return null;
+    }
+}
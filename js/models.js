@@ -0,0 +1,114 @@
+// models.js
+// This file finds the models installed in Ollama and keeps the settings that go
+// with them: generation parameters per model (sent as Ollama `options`), and an
+// optional separate, smaller model for generating tool JSON.
+
+// --- Model Settings ---
+
+const MODEL_PARAMETERS_STORAGE_KEY = 'aura_model_parameters';
+const TOOL_MODEL_STORAGE_KEY = 'aura_tool_model';
+// The parameters that can be set per model, with the range the settings accept.
+// A parameter that isn't set is left to the model's own default, except num_ctx.
+const MODEL_PARAMETERS = {
+    temperature: { label: 'Temperature', min: 0, max: 2, step: 0.05 },
+    top_p: { label: 'Top P', min: 0, max: 1, step: 0.05 },
+    num_ctx: { label: 'Context window (tokens)', min: 512, max: 131072, step: 512 },
+    seed: { label: 'Seed', min: 0, max: 2147483647, step: 1 }
+};
+
+function getAllModelParameters() {
+    try {
+        return JSON.parse(localStorage.getItem(MODEL_PARAMETERS_STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function getModelParameters(model) {
+    return getAllModelParameters()[model] || {};
+}
+
+// Keeps only parameters that are set and in range; an empty set is removed.
+function saveModelParameters(model, parameters) {
+    const cleaned = {};
+    Object.entries(MODEL_PARAMETERS).forEach(([name, { min, max }]) => {
+        const value = parameters[name];
+        if (value === undefined || value === null || value === '' || isNaN(Number(value))) return;
+        cleaned[name] = Math.min(max, Math.max(min, Number(value)));
+    });
+    const allParameters = getAllModelParameters();
+    if (Object.keys(cleaned).length > 0) {
+        allParameters[model] = cleaned;
+    } else {
+        delete allParameters[model];
+    }
+    localStorage.setItem(MODEL_PARAMETERS_STORAGE_KEY, JSON.stringify(allParameters));
+}
+
+// The `options` sent with every request to this model.
+function getModelOptions(model) {
+    return { num_ctx: DEFAULT_CONTEXT_TOKENS, ...getModelParameters(model) };
+}
+
+function getContextTokens(model = getChatModelName()) {
+    return getModelOptions(model).num_ctx;
+}
+
+function getToolModelName() { return localStorage.getItem(TOOL_MODEL_STORAGE_KEY) || getModelName(); }
+// '' means tool JSON is generated by the conversation model.
+function getToolModelSetting() { return localStorage.getItem(TOOL_MODEL_STORAGE_KEY) || ''; }
+function saveToolModelName(modelName) { localStorage.setItem(TOOL_MODEL_STORAGE_KEY, modelName); }
+
+// --- Model Discovery ---
+
+// Lists the models installed in Ollama, sorted by name. Throws an error with a
+// user-facing message if Ollama can't be reached.
+async function fetchInstalledModels() {
+    let response;
+    try {
+        response = await fetch(`${OLLAMA_API_BASE_URL}/api/tags`);
+    } catch (error) {
+        throw new Error(`Can't reach Ollama at ${OLLAMA_API_BASE_URL}. Make sure it's running (start it with "ollama serve").`);
+    }
+    if (!response.ok) throw new Error(`Ollama responded with an error (status ${response.status}).`);
+    const data = await response.json();
+    return (data.models || [])
+        .map(model => ({
+            name: model.name,
+            size: model.size,
+            family: (model.details && model.details.family) || '',
+            parameterSize: (model.details && model.details.parameter_size) || '',
+            isEmbedding: /embed/i.test(model.name) || /bert/i.test((model.details && model.details.family) || '')
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Checks that Ollama is running and that the chosen models are installed.
+// Resolves with { ok, models, message }, where message explains any problem.
+async function checkOllamaHealth() {
+    let models;
+    try {
+        models = await fetchInstalledModels();
+    } catch (error) {
+        return { ok: false, models: [], message: error.message };
+    }
+    const installed = new Set(models.map(model => model.name));
+    const missing = [...new Set([getModelName(), getChatModelName(), getToolModelName()])].filter(name => !installed.has(name));
+    if (models.length === 0) {
+        return { ok: false, models, message: `Ollama is running, but no models are installed. Install one with "ollama pull ${DEFAULT_MODEL}".` };
+    }
+    if (missing.length > 0) {
+        return { ok: false, models, message: `Ollama is running, but ${missing.map(name => `"${name}"`).join(' and ')} ${missing.length === 1 ? "isn't" : "aren't"} installed. Pick another model in settings, or install it with "ollama pull ${missing[0]}".` };
+    }
+    return { ok: true, models, message: `Connected to Ollama. ${models.length} model${models.length === 1 ? '' : 's'} installed.` };
+}
+
+function formatModelSize(bytes) {
+    if (!bytes) return '';
+    return bytes >= 1e9 ? `${(bytes / 1e9).toFixed(1)} GB` : `${Math.round(bytes / 1e6)} MB`;
+}
+
+function describeModel(model) {
+    const details = [formatModelSize(model.size), model.family, model.parameterSize].filter(Boolean);
+    return details.length > 0 ? `${model.name} (${details.join(' · ')})` : model.name;
+}
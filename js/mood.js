@@ -0,0 +1,138 @@
+// mood.js
+// This file turns the global mood journal into trends: per-day and per-week
+// averages, the mood distribution, and recurring patterns. The same aggregates
+// drive the dashboard and the [Mood Trends] context given to the model.
+
+// --- Mood Scale ---
+
+const MOOD_OPTIONS = ['Happy', 'Okay', 'Neutral', 'Sad', 'Angry'];
+const MOOD_EMOJIS = { "Happy": '😊', "Okay": '🙂', "Neutral": '😐', "Sad": '😔', "Angry": '😠' };
+// A rough pleasant/unpleasant score for each mood, used to average and chart them.
+const MOOD_VALENCE = { "Happy": 2, "Okay": 1, "Neutral": 0, "Sad": -1, "Angry": -2 };
+const DEFAULT_MOOD_INTENSITY = 5;
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local calendar day, e.g. "2024-05-01", so entries group by the user's own days.
+function toDayKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function startOfWeek(date) {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    d.setDate(d.getDate() - d.getDay());
+    return d;
+}
+
+function averageValence(entries) {
+    const scored = entries.filter(entry => entry.mood in MOOD_VALENCE);
+    if (scored.length === 0) return null;
+    return scored.reduce((total, entry) => total + MOOD_VALENCE[entry.mood], 0) / scored.length;
+}
+
+// Returns a Map of day key -> { count, valence } for the last `days` days.
+function getMoodDailySummary(entries, days, now = new Date()) {
+    const since = now.getTime() - days * DAY_MS;
+    const byDay = new Map();
+    entries.filter(entry => new Date(entry.timestamp).getTime() >= since).forEach(entry => {
+        const key = toDayKey(entry.timestamp);
+        if (!byDay.has(key)) byDay.set(key, []);
+        byDay.get(key).push(entry);
+    });
+    const summary = new Map();
+    byDay.forEach((dayEntries, key) => summary.set(key, { count: dayEntries.length, valence: averageValence(dayEntries) }));
+    return summary;
+}
+
+// Returns one { weekStart, count, valence } per week, oldest first, including empty weeks.
+function getMoodWeeklyTrend(entries, weeks, now = new Date()) {
+    const currentWeek = startOfWeek(now);
+    const trend = [];
+    for (let i = weeks - 1; i >= 0; i--) {
+        const weekStart = new Date(currentWeek);
+        weekStart.setDate(weekStart.getDate() - i * 7);
+        const weekEnd = new Date(weekStart);
+        weekEnd.setDate(weekEnd.getDate() + 7);
+        const weekEntries = entries.filter(entry => {
+            const time = new Date(entry.timestamp);
+            return time >= weekStart && time < weekEnd;
+        });
+        trend.push({ weekStart, count: weekEntries.length, valence: averageValence(weekEntries) });
+    }
+    return trend;
+}
+
+function getMoodDistribution(entries) {
+    const distribution = {};
+    MOOD_OPTIONS.forEach(mood => { distribution[mood] = 0; });
+    entries.forEach(entry => { distribution[entry.mood] = (distribution[entry.mood] || 0) + 1; });
+    return distribution;
+}
+
+// Finds moods logged on the same weekday for several weeks running, ending with the
+// most recent occurrence of that weekday, e.g. "Sad" on the last three Mondays.
+function findWeekdayStreaks(entries, minimumStreak = 3, now = new Date()) {
+    const moodsByDay = new Map();
+    entries.forEach(entry => {
+        const key = toDayKey(entry.timestamp);
+        if (!moodsByDay.has(key)) moodsByDay.set(key, new Set());
+        moodsByDay.get(key).add(entry.mood);
+    });
+
+    const streaks = [];
+    for (let weekday = 0; weekday < 7; weekday++) {
+        const lastOccurrence = new Date(now);
+        lastOccurrence.setDate(lastOccurrence.getDate() - ((now.getDay() - weekday + 7) % 7));
+        MOOD_OPTIONS.forEach(mood => {
+            let streak = 0;
+            const day = new Date(lastOccurrence);
+            while ((moodsByDay.get(toDayKey(day)) || new Set()).has(mood)) {
+                streak++;
+                day.setDate(day.getDate() - 7);
+            }
+            if (streak >= minimumStreak) streaks.push({ mood, weekday: WEEKDAY_NAMES[weekday], weeks: streak });
+        });
+    }
+    return streaks;
+}
+
+function describeValence(valence) {
+    if (valence === null) return 'no data';
+    if (valence >= 1) return 'mostly positive';
+    if (valence > 0.25) return 'slightly positive';
+    if (valence >= -0.25) return 'mixed';
+    if (valence > -1) return 'slightly low';
+    return 'mostly low';
+}
+
+// A compact summary of the journal for the model's context.
+function moodTrendsToString(entries, now = new Date()) {
+    if (entries.length === 0) return '';
+    const lines = [];
+    const recentEntries = entries.filter(entry => now - new Date(entry.timestamp) <= 30 * DAY_MS);
+    const distribution = getMoodDistribution(recentEntries);
+    const mostCommon = Object.entries(distribution).sort((a, b) => b[1] - a[1])[0];
+    if (mostCommon && mostCommon[1] > 0) {
+        lines.push(`- Last 30 days: ${recentEntries.length} moods logged, most often "${mostCommon[0]}" (${mostCommon[1]} times).`);
+    }
+
+    const [previousWeek, thisWeek] = getMoodWeeklyTrend(entries, 2, now);
+    lines.push(`- This week has been ${describeValence(thisWeek.valence)}; last week was ${describeValence(previousWeek.valence)}.`);
+
+    findWeekdayStreaks(entries, 3, now).forEach(streak => {
+        lines.push(`- Logged "${streak.mood}" on ${streak.weeks} ${streak.weekday}s in a row.`);
+    });
+
+    const latest = entries[entries.length - 1];
+    const latestDetails = [`intensity ${latest.intensity}/10`];
+    if (latest.tags && latest.tags.length > 0) latestDetails.push(`tags: ${latest.tags.join(', ')}`);
+    if (latest.note) latestDetails.push(`note: "${latest.note}"`);
+    lines.push(`- Most recent: "${latest.mood}" on ${new Date(latest.timestamp).toDateString()} (${latestDetails.join('; ')}).`);
+    return lines.join('\n');
+}
+
+function parseMoodTags(text) {
+    return [...new Set(text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+}
@@ -0,0 +1,249 @@
+// personas.js
+// This file manages personas: named profiles that each bring their own system prompt,
+// and optionally their own model, voice and set of tools. Every chat is talking to one
+// persona. The built-in personas are read-only; the user's own are kept in localStorage
+// and can be duplicated, imported and exported.
+
+// --- Persona Settings ---
+
+const PERSONAS_STORAGE_KEY = 'aura_personas';
+const DEFAULT_PERSONA_STORAGE_KEY = 'aura_default_persona';
+const PERSONA_EXPORT_FORMAT = 'aura-persona';
+const PERSONA_EXPORT_VERSION = 1;
+const PERSONA_NAME_MAX_LENGTH = 40;
+const DEFAULT_PERSONA_ID = 'aura';
+// Where a new persona's prompt starts: a line to make its own, and what it can do.
+const NEW_PERSONA_PROMPT = `You are a friendly and helpful assistant named Aura.
+
+${SYSTEM_PROMPT_CAPABILITIES}`;
+
+// A persona with an empty model or voice uses the ones chosen in settings, and one
+// whose enabledTools is null can create every tool.
+const BUILT_IN_PERSONAS = [
+    {
+        id: DEFAULT_PERSONA_ID,
+        name: 'Aura',
+        prompt: DEFAULT_SYSTEM_PROMPT,
+        model: '',
+        voice: '',
+        enabledTools: null,
+        builtIn: true
+    },
+    {
+        id: 'companion',
+        name: 'Companion',
+        prompt: `You are a friendly and helpful assistant named Aura.
+You are a bot that specializes on mental health-related topics, but you can also respond to physical health when asked.
+You are designed to be supportive, empathetic, and engaging.
+You can provide information, answer questions, and engage in casual conversation.
+You should try your best to give relevant therapist-like answers, help the user analyze their feelings, and provide useful advice.
+You also should introduce yourself as Aura, and you should always end your responses with a friendly sign-off.
+Your goal is to be as human-like as possible. Keep your answers conversational, concise, and engaging, like you're chatting with a friend.
+Don't give overly long or hollow-sounding responses.
+
+${SYSTEM_PROMPT_CAPABILITIES}`,
+        model: '',
+        voice: '',
+        enabledTools: null,
+        builtIn: true
+    }
+];
+
+// The default system prompt Aura shipped with before personas. Saving settings stored
+// it word for word, so finding it means the user never changed it.
+const LEGACY_DEFAULT_SYSTEM_PROMPTS = [`You are a friendly and helpful assistant named Aura. You are an expert in mental health and project planning. Your goal is to be supportive, empathetic, and proactive.
+
+// =================================================================
+// --- CORE BEHAVIOR: PROACTIVE TOOL CREATION & FOLLOW-UP ---
+// =================================================================
+// **1. Tool Creation**
+// You can create tools for the user. When a tool is needed, embed a special XML tag in your response: \`<tool_create type="[tool_name]" theme="[optional_theme]" />\`.
+// The user will not see this tag. Your conversational text should naturally lead into the tool's creation.
+
+// **2. Tool Follow-Up**
+// When the user interacts with a tool (e.g., logs a mood, completes a task), you will receive a [System Note] with that information.
+// You MUST respond conversationally to the System Note. For example, if the user logs their mood as "Sad", offer empathy. If they complete a task, congratulate them.
+
+**--- AVAILABLE TOOLS AND THEIR TRIGGERS ---**
+
+1.  **Mood Tracker**
+    -   **Type:** \`mood_tracker\`
+    -   **Trigger:** Use this the FIRST time a user states a strong, simple emotion (e.g., "I feel sad," "I'm so happy").
+    -   **Condition:** DO NOT use this tag if a Mood Tracker tool already exists in the [Current Toolbox State].
+    -   **Example Tag:** \`<tool_create type="mood_tracker" />\`
+
+2.  **Checklist**
+    -   **Type:** \`checklist\`
+    -   **Trigger:** Use this when a user wants a plan, needs to organize tasks, sets a goal, or feels stuck.
+    -   **Theme:** The \`theme\` attribute should be the topic of the checklist.
+    -   **Example Tag:** \`<tool_create type="checklist" theme="plan the user's upcoming beach trip" />\`
+
+3.  **Affirmation Card**
+    -   **Type:** \`affirmation_card\`
+    -   **Trigger:** Use this when a user expresses self-doubt, needs motivation, or feels discouraged.
+    -   **Theme:** The \`theme\` attribute should be the reason for the affirmation.
+    -   **Example Tag:** \`<tool_create type="affirmation_card" theme="building confidence for a new job" />\`
+
+4.  **Breathing Exercise**
+    -   **Type:** \`breathing_exercise\`
+    -   **Trigger:** Use this when a user expresses feelings of high stress, anxiety, or panic.
+    -   **Example Tag:** \`<tool_create type="breathing_exercise" />\`
+
+// =================================================================
+// --- CONVERSATIONAL STYLE ---
+// =================================================================
+- Your tone is warm, encouraging, and relaxed. Use contractions (you're, it's, let's).
+- Be supportive and proactive. Confidently create tools you think will help and then inform the user what you've done.`];
+
+// Before personas there was a single, editable system prompt. A customised one
+// becomes the user's own persona, and the default for new chats. Old prompts only
+// knew the first four tools, so they're given what Aura can do now.
+function migrateLegacySystemPrompt() {
+    const legacyPrompt = localStorage.getItem(PROMPT_STORAGE_KEY);
+    if (legacyPrompt === null) return;
+    localStorage.removeItem(PROMPT_STORAGE_KEY);
+    if (!legacyPrompt.trim() || legacyPrompt === DEFAULT_SYSTEM_PROMPT || LEGACY_DEFAULT_SYSTEM_PROMPTS.includes(legacyPrompt)) return;
+    const prompt = legacyPrompt.includes(SYSTEM_PROMPT_CAPABILITIES) ? legacyPrompt : `${legacyPrompt}\n\n${SYSTEM_PROMPT_CAPABILITIES}`;
+    const persona = savePersona({ name: 'My Aura', prompt });
+    saveDefaultPersonaId(persona.id);
+}
+
+function getCustomPersonas() {
+    migrateLegacySystemPrompt();
+    try {
+        const personas = JSON.parse(localStorage.getItem(PERSONAS_STORAGE_KEY));
+        return Array.isArray(personas) ? personas : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function saveCustomPersonas(personas) {
+    localStorage.setItem(PERSONAS_STORAGE_KEY, JSON.stringify(personas));
+}
+
+// Built-in personas first, then the user's own in the order they were made.
+function getPersonas() {
+    return [...BUILT_IN_PERSONAS, ...getCustomPersonas()];
+}
+
+function getPersona(personaId) {
+    return getPersonas().find(persona => persona.id === personaId) || null;
+}
+
+// Falls back to Aura if the chosen persona has been deleted.
+function getDefaultPersonaId() {
+    // Listed first, so a legacy prompt has been moved into a persona before the default is read.
+    const personas = getPersonas();
+    const personaId = localStorage.getItem(DEFAULT_PERSONA_STORAGE_KEY);
+    return personas.some(persona => persona.id === personaId) ? personaId : DEFAULT_PERSONA_ID;
+}
+function saveDefaultPersonaId(personaId) { localStorage.setItem(DEFAULT_PERSONA_STORAGE_KEY, personaId); }
+
+// Keeps only the fields a persona can have, trimmed to what the app accepts.
+function cleanPersonaFields({ name = '', prompt = '', model = '', voice = '', enabledTools = null }) {
+    return {
+        name: String(name).trim().slice(0, PERSONA_NAME_MAX_LENGTH) || 'Untitled persona',
+        prompt: String(prompt),
+        model: String(model || ''),
+        voice: String(voice || ''),
+        enabledTools: Array.isArray(enabledTools) ? [...new Set(enabledTools.map(String))] : null
+    };
+}
+
+// Adds a persona, or updates one of the user's own if fields.id matches it.
+// Built-in personas can't be changed. Returns the saved persona, or null.
+function savePersona(fields) {
+    if (BUILT_IN_PERSONAS.some(persona => persona.id === fields.id)) return null;
+    const personas = getCustomPersonas();
+    const existing = personas.find(persona => persona.id === fields.id);
+    if (existing) {
+        Object.assign(existing, cleanPersonaFields(fields));
+        saveCustomPersonas(personas);
+        return existing;
+    }
+    const persona = { id: `persona-${Date.now()}-${personas.length}`, ...cleanPersonaFields(fields) };
+    personas.push(persona);
+    saveCustomPersonas(personas);
+    return persona;
+}
+
+// Chats that used a deleted persona fall back to the one for new chats.
+function deletePersona(personaId) {
+    const personas = getCustomPersonas();
+    const remaining = personas.filter(persona => persona.id !== personaId);
+    if (remaining.length === personas.length) return false;
+    saveCustomPersonas(remaining);
+    if (localStorage.getItem(DEFAULT_PERSONA_STORAGE_KEY) === personaId) {
+        localStorage.removeItem(DEFAULT_PERSONA_STORAGE_KEY);
+    }
+    return true;
+}
+
+// --- Import & Export ---
+
+function exportPersona(persona) {
+    return {
+        format: PERSONA_EXPORT_FORMAT,
+        version: PERSONA_EXPORT_VERSION,
+        persona: cleanPersonaFields(persona)
+    };
+}
+
+function personaFileName(persona) {
+    const slug = persona.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'persona';
+    return `aura-persona-${slug}.json`;
+}
+
+// Returns a list of problems; an empty list means the file can be imported.
+function validatePersonaImport(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object') return ['The file is not an Aura persona.'];
+    if (data.format !== PERSONA_EXPORT_FORMAT) errors.push('The file is not an Aura persona.');
+    if (!Number.isInteger(data.version) || data.version > PERSONA_EXPORT_VERSION) {
+        errors.push(`Unsupported persona version "${data.version}".`);
+    }
+    const persona = data.persona;
+    if (!persona || typeof persona !== 'object') {
+        errors.push('The file has no persona.');
+        return errors;
+    }
+    if (typeof persona.name !== 'string' || !persona.name.trim()) errors.push('The persona has no name.');
+    if (typeof persona.prompt !== 'string' || !persona.prompt.trim()) errors.push('The persona has no system prompt.');
+    ['model', 'voice'].forEach(field => {
+        if (persona[field] !== undefined && typeof persona[field] !== 'string') errors.push(`The persona has an invalid ${field}.`);
+    });
+    if (persona.enabledTools !== undefined && persona.enabledTools !== null
+        && !(Array.isArray(persona.enabledTools) && persona.enabledTools.every(type => typeof type === 'string'))) {
+        errors.push('The persona has an invalid list of tools.');
+    }
+    return errors;
+}
+
+// Imports a validated persona as a new one of the user's own.
+function importPersona(data) {
+    return savePersona({ ...data.persona, id: undefined });
+}
+
+// --- The Active Chat's Persona ---
+
+function getChatPersona(chat) {
+    return (chat && getPersona(chat.personaId)) || getPersona(getDefaultPersonaId());
+}
+
+function getActivePersona() {
+    return getChatPersona(chatManager.state.chats[chatManager.getActiveChatId()]);
+}
+
+function getChatModelName() { return getActivePersona().model || getModelName(); }
+function getChatVoiceName() { return getActivePersona().voice || getVoiceName(); }
+
+// The tool definitions the active chat's persona may create.
+function getEnabledTools() {
+    const { enabledTools } = getActivePersona();
+    return getRegisteredTools().filter(tool => !enabledTools || enabledTools.includes(tool.type));
+}
+
+function isToolEnabled(type) {
+    return getEnabledTools().some(tool => tool.type === type);
+}
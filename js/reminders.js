@@ -0,0 +1,229 @@
+// reminders.js
+// This file schedules Aura's check-ins: reminders set for a specific time (by the
+// user, or by Aura with a <reminder_create> tag), checklist items on their due date,
+// and an optional daily mood check-in. While Aura is open in a background tab, due
+// reminders raise a browser notification; as soon as the app is in view, they're
+// delivered as a proactive message from Aura.
+
+// --- Reminder Configuration ---
+
+const MOOD_CHECKIN_TIME_STORAGE_KEY = 'aura_mood_checkin_time';
+const MOOD_CHECKIN_LAST_STORAGE_KEY = 'aura_mood_checkin_last';
+// Checklist items are brought up at this hour on their due date.
+const DUE_DATE_REMINDER_HOUR = 9;
+const REMINDER_CHECK_INTERVAL_MS = 30 * 1000;
+const REMINDER_KINDS = { REMINDER: 'reminder', DUE_ITEM: 'due_item', MOOD_CHECKIN: 'mood_checkin' };
+
+// Aura can set several reminders in one reply, so ids carry a counter as well as the time.
+let reminderCounter = 0;
+
+class ReminderManager {
+    constructor(chatManager) {
+        this.chatManager = chatManager;
+        this.checkTimer = null;
+        // Reminders already shown as a notification this session, so they aren't repeated.
+        this.notifiedKeys = new Set();
+    }
+
+    getReminders() {
+        return this.chatManager.state.reminders;
+    }
+
+    getUpcomingReminders() {
+        return this.getReminders().filter(reminder => !reminder.deliveredAt).sort((a, b) => a.at.localeCompare(b.at));
+    }
+
+    // `at` is anything Date can parse; reminders in the past are rejected.
+    addReminder(text, at, source = 'user') {
+        const time = new Date(at);
+        if (!text.trim() || isNaN(time.getTime()) || time <= new Date()) return null;
+        const reminder = {
+            id: `reminder-${Date.now()}-${reminderCounter++}`,
+            text: text.trim(),
+            at: time.toISOString(),
+            chatId: this.chatManager.getActiveChatId(),
+            source,
+            createdAt: new Date().toISOString(),
+            deliveredAt: null
+        };
+        this.getReminders().push(reminder);
+        this.chatManager.saveState();
+        return reminder;
+    }
+
+    // Schedules every reminder Aura set with a <reminder_create> tag in a parsed response,
+    // and notes each one in the active chat. Returns the notes.
+    addRemindersFromTags(tags) {
+        const notices = [];
+        for (const { attributes: { at, text } } of tags.filter(tag => tag.name === 'reminder_create')) {
+            const reminder = this.addReminder(text, at, 'aura');
+            if (!reminder) {
+                console.warn('Ignored a reminder with an invalid or past time:', at, text);
+                continue;
+            }
+            const noticeText = `Reminder set for ${formatReminderTime(reminder.at)}: ${reminder.text}`;
+            this.chatManager.addMessageToActiveChat('system', noticeText, { notice: true });
+            notices.push(noticeText);
+        }
+        return notices;
+    }
+
+    deleteReminder(reminderId) {
+        this.chatManager.state.reminders = this.getReminders().filter(reminder => reminder.id !== reminderId);
+        this.chatManager.saveState();
+    }
+
+    // Adds imported reminders that aren't scheduled yet.
+    mergeReminders(reminders) {
+        const knownIds = new Set(this.getReminders().map(reminder => reminder.id));
+        reminders.filter(reminder => !knownIds.has(reminder.id)).forEach(reminder => this.getReminders().push(reminder));
+        this.chatManager.saveState();
+    }
+
+    getMoodCheckinTime() {
+        return localStorage.getItem(MOOD_CHECKIN_TIME_STORAGE_KEY) || '';
+    }
+
+    // Takes "HH:MM", or '' to turn the check-in off. If today's time has already
+    // passed, the first check-in is tomorrow's.
+    saveMoodCheckinTime(time) {
+        localStorage.setItem(MOOD_CHECKIN_TIME_STORAGE_KEY, time);
+        if (time && new Date() >= this.todayAt(time)) {
+            localStorage.setItem(MOOD_CHECKIN_LAST_STORAGE_KEY, toDayKey(new Date()));
+        }
+    }
+
+    todayAt(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const date = new Date();
+        date.setHours(hours, minutes, 0, 0);
+        return date;
+    }
+
+    // Everything due by `now` that hasn't been delivered yet.
+    getDueReminders(now = new Date()) {
+        const due = [];
+        this.getReminders()
+            .filter(reminder => !reminder.deliveredAt && new Date(reminder.at) <= now)
+            .forEach(reminder => due.push({ kind: REMINDER_KINDS.REMINDER, key: reminder.id, reminderId: reminder.id, text: reminder.text, chatId: reminder.chatId }));
+
+        const today = toDayKey(now);
+        const isPastReminderHour = now.getHours() >= DUE_DATE_REMINDER_HOUR;
+        Object.values(this.chatManager.state.chats).forEach(chat => {
+            ((chat.tools && chat.tools.checklist) || []).forEach(checklist => {
+                checklist.items
+                    .filter(item => item.due && !item.done && !item.dueReminderDelivered && (item.due < today || (item.due === today && isPastReminderHour)))
+                    .forEach(item => due.push({
+                        kind: REMINDER_KINDS.DUE_ITEM,
+                        key: item.id,
+                        toolId: checklist.id,
+                        itemId: item.id,
+                        text: item.text,
+                        checklistTitle: checklist.title,
+                        isOverdue: item.due < today,
+                        chatId: chat.id
+                    }));
+            });
+        });
+
+        const checkinTime = this.getMoodCheckinTime();
+        const loggedToday = this.chatManager.getMoodJournal().some(entry => toDayKey(entry.timestamp) === today);
+        if (checkinTime && now >= this.todayAt(checkinTime) && localStorage.getItem(MOOD_CHECKIN_LAST_STORAGE_KEY) !== today && !loggedToday) {
+            due.push({ kind: REMINDER_KINDS.MOOD_CHECKIN, key: `checkin-${today}`, text: 'Daily mood check-in', chatId: null });
+        }
+        return due;
+    }
+
+    markDelivered(dueReminder) {
+        switch (dueReminder.kind) {
+            case REMINDER_KINDS.REMINDER: {
+                const reminder = this.getReminders().find(entry => entry.id === dueReminder.reminderId);
+                if (reminder) reminder.deliveredAt = new Date().toISOString();
+                break;
+            }
+            case REMINDER_KINDS.DUE_ITEM: {
+                const checklist = Object.values(this.chatManager.state.chats)
+                    .flatMap(chat => (chat.tools && chat.tools.checklist) || [])
+                    .find(list => list.id === dueReminder.toolId);
+                const item = checklist && checklist.items.find(entry => entry.id === dueReminder.itemId);
+                if (item) item.dueReminderDelivered = true;
+                break;
+            }
+            case REMINDER_KINDS.MOOD_CHECKIN:
+                localStorage.setItem(MOOD_CHECKIN_LAST_STORAGE_KEY, toDayKey(new Date()));
+                break;
+        }
+        this.chatManager.saveState();
+    }
+
+    // Checks for due reminders now and every REMINDER_CHECK_INTERVAL_MS, and again
+    // whenever the app comes back into view. `deliver` is called with the due
+    // reminders while the app is visible, and must mark the ones it delivers.
+    start(deliver) {
+        const check = () => {
+            const due = this.getDueReminders();
+            if (due.length === 0) return;
+            if (document.hidden) {
+                this.notify(due);
+            } else {
+                deliver(due);
+            }
+        };
+        clearInterval(this.checkTimer);
+        this.checkTimer = setInterval(check, REMINDER_CHECK_INTERVAL_MS);
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) check();
+        });
+        check();
+    }
+
+    notify(dueReminders) {
+        if (getNotificationPermission() !== 'granted') return;
+        dueReminders.filter(reminder => !this.notifiedKeys.has(reminder.key)).forEach(reminder => {
+            this.notifiedKeys.add(reminder.key);
+            const notification = new Notification('Aura', { body: describeDueReminder(reminder), tag: reminder.key });
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+            };
+        });
+    }
+}
+
+function getNotificationPermission() {
+    return 'Notification' in window ? Notification.permission : 'unsupported';
+}
+
+function describeDueReminder(reminder) {
+    switch (reminder.kind) {
+        case REMINDER_KINDS.DUE_ITEM:
+            return `${reminder.isOverdue ? 'Overdue' : 'Due today'}: "${reminder.text}" from your checklist "${reminder.checklistTitle}"`;
+        case REMINDER_KINDS.MOOD_CHECKIN:
+            return 'Time for your daily mood check-in. How are you feeling?';
+        default:
+            return `Reminder: ${reminder.text}`;
+    }
+}
+
+function formatReminderTime(at) {
+    return new Date(at).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+// The [Reminders] context: the current time (so Aura can schedule relative to it)
+// and what's already scheduled, so it doesn't schedule things twice.
+function remindersToString(upcomingReminders, now = new Date()) {
+    const currentTime = now.toLocaleString([], { dateStyle: 'full', timeStyle: 'short' });
+    const lines = [`The current time is ${currentTime} (${Intl.DateTimeFormat().resolvedOptions().timeZone}).`];
+    if (upcomingReminders.length > 0) {
+        lines.push('Scheduled:');
+        upcomingReminders.slice(0, 5).forEach(reminder => lines.push(`- ${formatReminderTime(reminder.at)}: ${reminder.text}`));
+    }
+    return lines.join('\n');
+}
+
+function buildRemindersNote(dueReminders) {
+    const lines = dueReminders.map(reminder => `- ${describeDueReminder(reminder)}`).join('\n');
+    return `[System Note: The user hasn't sent a new message; you are reaching out on your own because these reminders are due:\n${lines}\nBring them up warmly and briefly, as a friend checking in. For a mood check-in, ask how they're feeling and suggest logging it in the Mood Tracker.]`;
+}
+
+const reminderManager = new ReminderManager(chatManager);
@@ -0,0 +1,179 @@
+// safety.js
+// This file is Aura's safety layer. Every user message is checked for suicide and
+// self-harm language before it reaches the model. The checks are deterministic
+// phrase rules, optionally backed by a classifier prompt. On a match the app pins
+// crisis resources to the chat, steers the model with a safety note and logs the
+// event locally for the user to review. The log records when and where the check was
+// triggered, never what was said: it's kept outside the chats, so lock mode can't
+// encrypt it.
+
+// --- Safety Configuration ---
+
+const CRISIS_LOCALE_STORAGE_KEY = 'aura_crisis_locale';
+const CRISIS_CUSTOM_RESOURCES_STORAGE_KEY = 'aura_crisis_custom_resources';
+const CRISIS_CLASSIFIER_STORAGE_KEY = 'aura_crisis_classifier';
+const SAFETY_LOG_STORAGE_KEY = 'aura_safety_log';
+
+// Phrases that always trigger the safety response. Matched against a normalised,
+// lower-cased copy of the message.
+const CRISIS_PATTERNS = [
+    /\bsuicid(e|al)\b/,
+    /\b(kill|hurt|harm|cut|hang|drown) (myself|my self)\b/,
+    /\b(end|take) my (own )?life\b/,
+    /\bend it all\b/,
+    /\bwant(ing)? to (die|be dead|disappear forever)\b/,
+    /\bwish i (was|were) (dead|never born)\b/,
+    /\b(better off|be better) dead\b/,
+    /\b(don't|do not|dont) want to (live|be alive|be here|wake up)( anymore)?\b/,
+    /\bno (reason|point) (to|in) (live|living|going on)\b/,
+    /\b(life is|life's) not worth living\b/,
+    /\bself[- ]?harm(ing)?\b/,
+    /\boverdos(e|ing)\b/
+];
+
+// Default hotlines per locale. Users can replace any locale's list in settings.
+const CRISIS_RESOURCES = {
+    'international': [
+        { name: 'Find a Helpline', contact: 'findahelpline.com' },
+        { name: 'Emergency services', contact: 'Call your local emergency number' }
+    ],
+    'en-US': [
+        { name: '988 Suicide & Crisis Lifeline', contact: 'Call or text 988' },
+        { name: 'Crisis Text Line', contact: 'Text HOME to 741741' }
+    ],
+    'en-CA': [
+        { name: '9-8-8 Suicide Crisis Helpline', contact: 'Call or text 988' }
+    ],
+    'en-GB': [
+        { name: 'Samaritans', contact: 'Call 116 123' },
+        { name: 'Shout', contact: 'Text SHOUT to 85258' }
+    ],
+    'en-AU': [
+        { name: 'Lifeline', contact: 'Call 13 11 14' }
+    ],
+    'id-ID': [
+        { name: 'Layanan SEJIWA', contact: 'Telepon 119 ext. 8' }
+    ]
+};
+
+// --- Settings ---
+
+function getCrisisLocale() {
+    const savedLocale = localStorage.getItem(CRISIS_LOCALE_STORAGE_KEY);
+    if (savedLocale && CRISIS_RESOURCES[savedLocale]) return savedLocale;
+    return CRISIS_RESOURCES[navigator.language] ? navigator.language : 'international';
+}
+function saveCrisisLocale(locale) { localStorage.setItem(CRISIS_LOCALE_STORAGE_KEY, locale); }
+function isCrisisClassifierEnabled() { return localStorage.getItem(CRISIS_CLASSIFIER_STORAGE_KEY) === 'true'; }
+function saveCrisisClassifierEnabled(enabled) { localStorage.setItem(CRISIS_CLASSIFIER_STORAGE_KEY, String(enabled)); }
+
+function getCustomCrisisResources() {
+    try {
+        return JSON.parse(localStorage.getItem(CRISIS_CUSTOM_RESOURCES_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error('Error loading custom crisis resources:', error);
+        return {};
+    }
+}
+
+function saveCustomCrisisResources(locale, resources) {
+    const customResources = getCustomCrisisResources();
+    if (resources.length > 0) {
+        customResources[locale] = resources;
+    } else {
+        delete customResources[locale];
+    }
+    localStorage.setItem(CRISIS_CUSTOM_RESOURCES_STORAGE_KEY, JSON.stringify(customResources));
+}
+
+function getCrisisResources(locale = getCrisisLocale()) {
+    return getCustomCrisisResources()[locale] || CRISIS_RESOURCES[locale] || CRISIS_RESOURCES['international'];
+}
+
+// Resources are edited in settings as one "Name | Contact" per line.
+function crisisResourcesToText(resources) {
+    return resources.map(resource => `${resource.name} | ${resource.contact}`).join('\n');
+}
+
+function parseCrisisResourcesText(text) {
+    return text.split('\n')
+        .map(line => line.split('|').map(part => part.trim()))
+        .filter(([name, contact]) => name && contact)
+        .map(([name, contact]) => ({ name, contact }));
+}
+
+// --- Detection ---
+
+function normalizeForSafety(text) {
+    return text.toLowerCase().replace(/[‘’]/g, "'").replace(/\s+/g, ' ');
+}
+
+// Returns the phrase that matched, or null if the message is clear.
+function detectCrisisLanguage(text) {
+    const normalized = normalizeForSafety(text);
+    for (const pattern of CRISIS_PATTERNS) {
+        const match = normalized.match(pattern);
+        if (match) return match[0];
+    }
+    return null;
+}
+
+// Asks the model for a second opinion on messages the phrase rules didn't catch.
+async function classifyCrisisRisk(message) {
+    const prompt = `You are a safety classifier for a mental health companion app.
+- Decide whether the user's message expresses thoughts of suicide, self-harm, or wanting to die, including indirect or euphemistic ones.
+- The message is: "${message}"
+- Your output MUST be only the raw JSON object with this exact structure: { "risk": "none" } or { "risk": "possible" } or { "risk": "high" }`;
+    const result = await generateToolJson(prompt);
+    return result && (result.risk === 'possible' || result.risk === 'high') ? result.risk : null;
+}
+
+// Runs the phrase rules, then the classifier if enabled. Resolves with
+// { source, matched, level } on a match, or null.
+async function assessCrisisRisk(message) {
+    const matchedPhrase = detectCrisisLanguage(message);
+    if (matchedPhrase) return { source: 'keyword', matched: matchedPhrase, level: 'high' };
+    if (isCrisisClassifierEnabled()) {
+        const risk = await classifyCrisisRisk(message);
+        if (risk) return { source: 'classifier', matched: `${risk} risk`, level: risk };
+    }
+    return null;
+}
+
+function buildSafetyNote(resources) {
+    const resourceList = resources.map(resource => `${resource.name}: ${resource.contact}`).join('; ');
+    return `[System Note: SAFETY PRIORITY. The user's last message may indicate thoughts of suicide or self-harm. Respond with warmth and without judgement. Acknowledge their pain, gently ask whether they are safe right now, and encourage them to reach out to the crisis resources now pinned at the top of the chat (${resourceList}) or to local emergency services. Do not create any tools in this reply, never describe methods of self-harm, and don't suggest that you can replace professional help.]`;
+}
+
+// --- Safety Log ---
+
+// Entries used to keep the message and the phrase that matched; older logs and backups
+// still have them.
+function toSafetyLogEntry({ timestamp, chatId, source, level, matched }) {
+    return { timestamp, chatId, source, level: level || (source === 'classifier' ? String(matched).replace(/ risk$/, '') : 'high') };
+}
+
+function getSafetyLog() {
+    let log;
+    try {
+        log = JSON.parse(localStorage.getItem(SAFETY_LOG_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.error('Error loading safety log:', error);
+        return [];
+    }
+    if (log.some(entry => 'message' in entry || 'matched' in entry)) {
+        log = log.map(toSafetyLogEntry);
+        saveSafetyLog(log);
+    }
+    return log;
+}
+
+function saveSafetyLog(log) { localStorage.setItem(SAFETY_LOG_STORAGE_KEY, JSON.stringify(log)); }
+
+function logSafetyEvent(chatId, assessment) {
+    const log = getSafetyLog();
+    log.push(toSafetyLogEntry({ timestamp: new Date().toISOString(), chatId, source: assessment.source, level: assessment.level }));
+    saveSafetyLog(log);
+}
+
+function clearSafetyLog() { localStorage.removeItem(SAFETY_LOG_STORAGE_KEY); }
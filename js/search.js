@@ -0,0 +1,149 @@
+// search.js
+// This file searches across every chat: the messages, the titles of the tools Aura
+// has created, and checklist items. Keyword search finds entries containing every
+// word of the query; semantic search embeds the query and the messages with the
+// same embedding model as long-term memory, and ranks them by meaning.
+
+// --- Search Configuration ---
+
+const SEARCH_RESULTS_LIMIT = 50;
+// How much text a snippet shows, starting a little before the first match.
+const SEARCH_SNIPPET_LENGTH = 120;
+const SEARCH_SNIPPET_LEAD = 40;
+// How similar an entry must be to the query to count as a semantic match.
+const SEARCH_MIN_SIMILARITY = 0.5;
+// Long messages are cut down before embedding; the start is enough to place them.
+const SEARCH_EMBEDDING_MAX_CHARS = 2000;
+// Where each kind of entry sorts within a chat: tools before messages.
+const SEARCH_KIND_ORDER = { tool: 0, checklist_item: 1, message: 2 };
+
+class ChatSearch {
+    constructor(chatManager) {
+        this.chatManager = chatManager;
+        // Embeddings by text, kept for the session. The first semantic search embeds
+        // every entry; later ones only embed what's new.
+        this.embeddings = new Map();
+    }
+
+    // Everything that can be searched, one entry per message, tool title and checklist item.
+    getEntries() {
+        const entries = [];
+        Object.values(this.chatManager.state.chats).forEach(chat => {
+            (chat.history || []).forEach((message, messageIndex) => {
+                if ((message.role === 'user' || message.role === 'assistant') && message.content) {
+                    entries.push({ chat, kind: 'message', role: message.role, messageIndex, text: message.content });
+                }
+            });
+            Object.entries(chat.tools || {}).forEach(([toolType, instances]) => {
+                (Array.isArray(instances) ? instances : []).forEach(tool => {
+                    if (tool.title) entries.push({ chat, kind: 'tool', toolType, toolId: tool.id, text: tool.title });
+                    if (toolType !== 'checklist') return;
+                    (tool.items || []).forEach(item => {
+                        if (item.text) entries.push({ chat, kind: 'checklist_item', toolType, toolId: tool.id, text: item.text });
+                    });
+                });
+            });
+        });
+        return entries;
+    }
+
+    // Entries containing every word of the query, newest chat first.
+    search(query) {
+        const terms = searchTerms(query);
+        if (terms.length === 0) return [];
+        return this.getEntries()
+            .filter(entry => {
+                const text = entry.text.toLowerCase();
+                return terms.every(term => text.includes(term));
+            })
+            .sort(compareSearchEntries)
+            .slice(0, SEARCH_RESULTS_LIMIT)
+            .map(entry => toSearchResult(entry, terms));
+    }
+
+    // Entries closest in meaning to the query, best match first. Resolves with null if
+    // isCancelled() turns true while entries are being embedded.
+    async searchByMeaning(query, { onProgress = () => {}, isCancelled = () => false } = {}) {
+        if (!query.trim()) return [];
+        const queryEmbedding = await getEmbedding(query);
+        if (!queryEmbedding) {
+            throw new Error(`Searching by meaning needs Ollama and the "${DEFAULT_EMBEDDING_MODEL}" model. Install it with "ollama pull ${DEFAULT_EMBEDDING_MODEL}".`);
+        }
+
+        const entries = this.getEntries();
+        const pending = [...new Set(entries.map(entry => entry.text))].filter(text => !this.embeddings.has(text));
+        for (let i = 0; i < pending.length; i++) {
+            if (isCancelled()) return null;
+            onProgress(i, pending.length);
+            const embedding = await getEmbedding(pending[i].slice(0, SEARCH_EMBEDDING_MAX_CHARS));
+            if (embedding) this.embeddings.set(pending[i], embedding);
+        }
+
+        const terms = searchTerms(query);
+        return entries
+            .map(entry => ({ entry, score: cosineSimilarity(this.embeddings.get(entry.text), queryEmbedding) }))
+            .filter(match => match.score >= SEARCH_MIN_SIMILARITY)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, SEARCH_RESULTS_LIMIT)
+            .map(match => ({ ...toSearchResult(match.entry, terms), score: match.score }));
+    }
+}
+
+function searchTerms(query) {
+    return [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))];
+}
+
+function compareSearchEntries(a, b) {
+    return (b.chat.id - a.chat.id)
+        || (SEARCH_KIND_ORDER[a.kind] - SEARCH_KIND_ORDER[b.kind])
+        || ((b.messageIndex || 0) - (a.messageIndex || 0));
+}
+
+function toSearchResult(entry, terms) {
+    return {
+        chatId: entry.chat.id,
+        chatTitle: entry.chat.title,
+        kind: entry.kind,
+        role: entry.role,
+        messageIndex: entry.messageIndex,
+        toolType: entry.toolType,
+        toolId: entry.toolId,
+        snippet: buildSnippet(entry.text, terms)
+    };
+}
+
+// A short excerpt of the text around the first match, with the [start, end) range of
+// every matched term in it so they can be highlighted.
+function buildSnippet(text, terms) {
+    const flatText = text.replace(/\s+/g, ' ').trim();
+    const lowerText = flatText.toLowerCase();
+    const matchPositions = terms.map(term => lowerText.indexOf(term)).filter(position => position >= 0);
+    const firstMatch = matchPositions.length > 0 ? Math.min(...matchPositions) : 0;
+    let start = Math.max(0, Math.min(firstMatch - SEARCH_SNIPPET_LEAD, flatText.length - SEARCH_SNIPPET_LENGTH));
+    // Start on a whole word.
+    const nextSpace = flatText.indexOf(' ', start);
+    if (start > 0 && nextSpace >= 0 && nextSpace < firstMatch) start = nextSpace + 1;
+    const end = Math.min(flatText.length, start + SEARCH_SNIPPET_LENGTH);
+    const snippetText = `${start > 0 ? '…' : ''}${flatText.slice(start, end)}${end < flatText.length ? '…' : ''}`;
+
+    const lowerSnippet = snippetText.toLowerCase();
+    const ranges = [];
+    terms.forEach(term => {
+        for (let position = lowerSnippet.indexOf(term); position >= 0; position = lowerSnippet.indexOf(term, position + term.length)) {
+            ranges.push([position, position + term.length]);
+        }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+    const highlights = [];
+    ranges.forEach(range => {
+        const last = highlights[highlights.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            highlights.push([...range]);
+        }
+    });
+    return { text: snippetText, highlights };
+}
+
+const chatSearch = new ChatSearch(chatManager);
@@ -1,46 +1,232 @@
 // server.js
+// Aura's local backend: a web search proxy, and a REST API over a copy of Aura's data
+// that devices keep in step with through /api/sync (see js/sync.js and js/sync-store.js).
 require('dotenv').config();
+const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
+const { SyncStore } = require('./sync-store');
 
 const app = express();
-const PORT = 3000;
+const PORT = process.env.PORT || 3000;
+// Set SEARCH_PROVIDER=stub to serve canned results without a Tavily key or network access.
+const SEARCH_PROVIDER = process.env.SEARCH_PROVIDER || 'tavily';
+// Set AURA_TOKEN to require it on every request. Without one, the server only listens
+// to this machine, so other devices can only sync with a token.
+const AURA_TOKEN = process.env.AURA_TOKEN || '';
+const HOST = AURA_TOKEN ? '0.0.0.0' : '127.0.0.1';
+// The pages allowed to call the server from a browser: index.html opened from disk
+// (whose origin is "null"), and pages served from this machine. Set AURA_ALLOWED_ORIGINS
+// (comma-separated) if you serve Aura from somewhere else.
+const ALLOWED_ORIGINS = (process.env.AURA_ALLOWED_ORIGINS || 'null').split(',').map(origin => origin.trim()).filter(Boolean);
+const LOOPBACK_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+const DATA_FILE = process.env.AURA_DATA_FILE || path.join(__dirname, '..', 'aura-data.json');
+// A device's first sync sends its whole history.
+const MAX_REQUEST_SIZE = '50mb';
+const MESSAGE_ROLES = ['user', 'assistant', 'system'];
 
-app.use(cors()); // Allow requests from your frontend
+const store = new SyncStore(DATA_FILE);
+
+function isAllowedOrigin(origin) {
+    if (ALLOWED_ORIGINS.includes(origin)) return true;
+    try {
+        return LOOPBACK_HOSTNAMES.includes(new URL(origin).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Requests without an Origin come from scripts and tools like curl, not web pages.
+app.use(cors({ origin: (origin, callback) => callback(null, !origin || isAllowedOrigin(origin)) }));
+
+// Compares hashes so the check takes the same time however much of the token matches.
+function hasValidToken(req) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) return false;
+    const hash = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(token), hash(AURA_TOKEN));
+}
+
+// Other websites open in the browser are turned away before they can change anything.
+app.use('/api', (req, res, next) => {
+    const origin = req.get('Origin');
+    if (origin && !isAllowedOrigin(origin)) return res.status(403).json({ error: `Requests from ${origin} aren't allowed. Add it to AURA_ALLOWED_ORIGINS.` });
+    if (!AURA_TOKEN || hasValidToken(req)) return next();
+    res.status(401).json({ error: 'A valid token is required. Set it in Aura\'s sync settings.' });
+});
+
+// Without a token, anyone who could reach the server could read your chats, so they're
+// only served to this machine (e.g. if it's reached through a proxy).
+app.use(['/api/sync', '/api/chats', '/api/settings'], (req, res, next) => {
+    if (AURA_TOKEN || LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress)) return next();
+    res.status(403).json({ error: 'Start the Aura server with AURA_TOKEN to sync with other devices.' });
+});
+
+app.use(express.json({ limit: MAX_REQUEST_SIZE }));
+
+// Runs an async route handler, answering with its error's status (or a 500) if it throws.
+function route(handler) {
+    return async (req, res) => {
+        try {
+            await handler(req, res);
+        } catch (error) {
+            if (!error.status) console.error(`Error handling ${req.method} ${req.path}:`, error);
+            res.status(error.status || 500).json({ error: error.status ? error.message : 'Something went wrong on the Aura server' });
+        }
+    };
+}
+
+// Each provider takes a query and resolves with { answer, results: [{ title, url, snippet }] }.
+const searchProviders = {
+    async tavily(query) {
+        const tavilyApiKey = process.env.TAVILY_API_KEY;
+        if (!tavilyApiKey) {
+            const error = new Error('Server is missing API key');
+            error.status = 500;
+            throw error;
+        }
+        const response = await axios.post('https://api.tavily.com/search', {
+            api_key: tavilyApiKey,
+            query,
+            search_depth: "basic",
+            include_answer: true,
+            max_results: 3
+        });
+        return {
+            answer: response.data.answer || '',
+            results: (response.data.results || []).map(result => ({
+                title: result.title,
+                url: result.url,
+                snippet: result.content
+            }))
+        };
+    },
+
+    async stub(query) {
+        return {
+            answer: `This is a stubbed answer for "${query}".`,
+            results: [
+                { title: `Stub result for ${query}`, url: 'https://example.com/stub-1', snippet: `A canned snippet about ${query}, served by the offline search stub.` },
+                { title: 'Another stub result', url: 'https://example.com/stub-2', snippet: 'A second canned snippet for testing citations.' }
+            ]
+        };
+    }
+};
 
 // The single endpoint for performing a web search
 app.get('/api/search', async (req, res) => {
     const userQuery = req.query.query;
-    const tavilyApiKey = process.env.TAVILY_API_KEY;
+    const search = searchProviders[SEARCH_PROVIDER];
 
     if (!userQuery) {
         return res.status(400).json({ error: 'Query parameter is required' });
     }
-    if (!tavilyApiKey) {
-        return res.status(500).json({ error: 'Server is missing API key' });
+    if (!search) {
+        return res.status(500).json({ error: `Unknown search provider "${SEARCH_PROVIDER}"` });
     }
 
     try {
-        console.log(`Performing live search for: "${userQuery}"`);
-        const response = await axios.post('https://api.tavily.com/search', {
-            api_key: tavilyApiKey,
-            query: userQuery,
-            search_depth: "basic",
-            include_answer: true,
-            max_results: 3
-        });
+        console.log(`Performing ${SEARCH_PROVIDER} search for: "${userQuery}"`);
+        res.json(await search(userQuery));
+    } catch (error) {
+        console.error('Error fetching search results:', error);
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch search results' });
+    }
+});
 
-        // We return Tavily's concise answer for the AI to use
-        const conciseResult = response.data.answer || "No specific answer found, but search results are available.";
-        res.json({ results: conciseResult });
+// --- Sync ---
 
-    } catch (error) {
-        console.error('Error fetching from Tavily API:', error);
-        res.status(500).json({ error: 'Failed to fetch search results' });
+// Takes { deviceId, since, changes } and answers with { seq, changes }: the changes
+// other devices made since the device's last sync.
+app.post('/api/sync', route(async (req, res) => {
+    res.json(await store.sync(req.body || {}));
+}));
+
+// Deletes the server's copy of everything. Devices keep their own.
+app.delete('/api/sync', route(async (req, res) => {
+    await store.clear();
+    res.status(204).end();
+}));
+
+// --- Chats, Messages and Tools ---
+
+function sendChatOr404(res, chat) {
+    if (!chat) return res.status(404).json({ error: 'Chat not found' });
+    res.json(chat);
+}
+
+app.get('/api/chats', route(async (req, res) => {
+    res.json(store.listChats());
+}));
+
+app.get('/api/chats/:chatId', route(async (req, res) => {
+    sendChatOr404(res, store.getChat(req.params.chatId));
+}));
+
+// Only a chat's title and organisation can be changed here.
+app.patch('/api/chats/:chatId', route(async (req, res) => {
+    const { title, pinned, archived, folder } = req.body || {};
+    const fields = Object.fromEntries(Object.entries({ title, pinned, archived, folder }).filter(([, value]) => value !== undefined));
+    if (fields.title !== undefined && (typeof fields.title !== 'string' || !fields.title.trim())) {
+        return res.status(400).json({ error: 'The title must be a non-empty string' });
+    }
+    if (fields.title !== undefined) fields.titleSource = 'user';
+    sendChatOr404(res, await store.updateChat(req.params.chatId, fields));
+}));
+
+app.delete('/api/chats/:chatId', route(async (req, res) => {
+    if (!(await store.deleteChat(req.params.chatId))) return res.status(404).json({ error: 'Chat not found' });
+    res.status(204).end();
+}));
+
+app.get('/api/chats/:chatId/messages', route(async (req, res) => {
+    if (!store.getChat(req.params.chatId)) return res.status(404).json({ error: 'Chat not found' });
+    res.json(store.listMessages(req.params.chatId));
+}));
+
+app.post('/api/chats/:chatId/messages', route(async (req, res) => {
+    const { role, content } = req.body || {};
+    if (!MESSAGE_ROLES.includes(role) || typeof content !== 'string' || !content.trim()) {
+        return res.status(400).json({ error: `A message needs a role (${MESSAGE_ROLES.join(', ')}) and some content` });
     }
+    const message = await store.addMessage(req.params.chatId, { role, content });
+    if (!message) return res.status(404).json({ error: 'Chat not found' });
+    res.status(201).json(message);
+}));
+
+app.get('/api/chats/:chatId/tools', route(async (req, res) => {
+    if (!store.getChat(req.params.chatId)) return res.status(404).json({ error: 'Chat not found' });
+    res.json(store.listTools(req.params.chatId));
+}));
+
+// --- Settings ---
+
+app.get('/api/settings', route(async (req, res) => {
+    res.json(store.getSettings());
+}));
+
+app.put('/api/settings/:key', route(async (req, res) => {
+    const { value } = req.body || {};
+    if (typeof value !== 'string') return res.status(400).json({ error: 'The setting\'s value must be a string' });
+    await store.putSetting(req.params.key, value);
+    res.json({ key: req.params.key, value });
+}));
+
+app.delete('/api/settings/:key', route(async (req, res) => {
+    await store.removeSetting(req.params.key);
+    res.status(204).end();
+}));
+
+// Bodies that aren't valid JSON, or are too large, get a JSON error like everything else.
+app.use((error, req, res, next) => {
+    if (!error.status) console.error(`Error handling ${req.method} ${req.path}:`, error);
+    res.status(error.status || 500).json({ error: error.status ? `The request body couldn't be read: ${error.message}` : 'Something went wrong on the Aura server' });
 });
 
-app.listen(PORT, () => {
-    console.log(`Aura proxy server listening on http://localhost:${PORT}`);
-});
\ No newline at end of file
+app.listen(PORT, HOST, () => {
+    const access = AURA_TOKEN ? 'on every network interface, token required' : 'on this machine only';
+    console.log(`Aura server listening on http://${HOST}:${PORT}, ${access} (search provider: ${SEARCH_PROVIDER}, data: ${DATA_FILE})`);
+});
@@ -0,0 +1,324 @@
+// storage.js
+// This file persists the app state. The IndexedDB adapter splits the state into
+// separate stores for chats, messages, tools, memories, moods, reminders, breathing
+// practice and affirmations, and only writes the records that changed since the last
+// save. A localStorage adapter with the same interface is kept as a fallback for
+// browsers where IndexedDB is unavailable.
+
+// --- IndexedDB Schema ---
+
+const DB_NAME = 'aura';
+const DB_VERSION = 5;
+const DB_STORES = ['meta', 'chats', 'messages', 'tools', 'memories', 'moods', 'reminders', 'practice', 'affirmations'];
+// The fields that make up each store's primary key (plus indexed fields), which stay
+// readable when lock mode encrypts the rest of a record.
+const DB_KEY_FIELDS = { meta: ['key'], chats: ['id'], messages: ['chatId', 'index'], tools: ['chatId', 'type', 'index'], memories: ['id'], moods: ['id'], reminders: ['id'], practice: ['id'], affirmations: ['id'] };
+const DB_INDEXED_FIELDS = { memories: ['chatId'] };
+
+// Schema migrations, keyed by the database version they upgrade to. Each one runs
+// inside the versionchange transaction, in order, for every version the user skipped.
+const DB_MIGRATIONS = {
+    1: (db) => {
+        db.createObjectStore('meta', { keyPath: 'key' });
+        db.createObjectStore('chats', { keyPath: 'id' });
+        db.createObjectStore('messages', { keyPath: ['chatId', 'index'] }).createIndex('chatId', 'chatId');
+        db.createObjectStore('tools', { keyPath: ['chatId', 'type', 'index'] }).createIndex('chatId', 'chatId');
+        db.createObjectStore('memories', { keyPath: 'id' }).createIndex('chatId', 'chatId');
+    },
+    // The global mood journal, which replaced the per-chat mood tracker history.
+    2: (db) => {
+        db.createObjectStore('moods', { keyPath: 'id' });
+    },
+    3: (db) => {
+        db.createObjectStore('reminders', { keyPath: 'id' });
+    },
+    // The breathing practice log.
+    4: (db) => {
+        db.createObjectStore('practice', { keyPath: 'id' });
+    },
+    // The affirmation library.
+    5: (db) => {
+        db.createObjectStore('affirmations', { keyPath: 'id' });
+    }
+};
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionToPromise(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new DOMException('Transaction aborted', 'AbortError'));
+    });
+}
+
+// Splits the in-memory app state into one list of records per store.
+function stateToRecords(state) {
+    const records = { meta: [{ key: 'activeChatId', value: state.activeChatId }], chats: [], messages: [], tools: [], memories: [], moods: state.moodJournal || [], reminders: state.reminders || [], practice: state.practiceLog || [], affirmations: state.affirmations || [] };
+    Object.values(state.chats).forEach(chat => {
+        const { history, tools, memories, ...chatRecord } = chat;
+        records.chats.push(chatRecord);
+        (history || []).forEach((message, index) => records.messages.push({ ...message, chatId: chat.id, index }));
+        Object.entries(tools || {}).forEach(([type, instances]) => {
+            (instances || []).forEach((data, index) => records.tools.push({ chatId: chat.id, type, index, data }));
+        });
+        (memories || []).forEach(memory => records.memories.push({ ...memory, chatId: chat.id }));
+    });
+    return records;
+}
+
+// In lock mode every record except the meta store is stored as its key fields plus an
+// encrypted copy of the whole record.
+async function encryptRecord(storeName, record, cipher) {
+    if (!cipher || storeName === 'meta') return record;
+    const encryptedRecord = { encrypted: await cipher.encrypt(record) };
+    [...DB_KEY_FIELDS[storeName], ...(DB_INDEXED_FIELDS[storeName] || [])].forEach(field => {
+        encryptedRecord[field] = record[field];
+    });
+    return encryptedRecord;
+}
+
+async function decryptRecord(record, cipher) {
+    if (!record.encrypted) return record;
+    if (!cipher) throw new Error('Your chats are locked. Unlock Aura to read them.');
+    return cipher.decrypt(record.encrypted);
+}
+
+// Parses state saved by LocalStorageAdapter, which encrypts it as a single blob in lock mode.
+async function parseStoredState(serializedState, cipher) {
+    const storedState = JSON.parse(serializedState);
+    return storedState.encrypted ? decryptRecord(storedState, cipher) : storedState;
+}
+
+// The inverse of stateToRecords.
+function recordsToState(records) {
+    const state = {
+        chats: {},
+        activeChatId: null,
+        moodJournal: records.moods.slice().sort((a, b) => a.timestamp.localeCompare(b.timestamp)),
+        reminders: records.reminders.slice().sort((a, b) => a.at.localeCompare(b.at)),
+        practiceLog: records.practice.slice().sort((a, b) => a.startedAt.localeCompare(b.startedAt)),
+        affirmations: records.affirmations.slice().sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    };
+    const activeChatMeta = records.meta.find(record => record.key === 'activeChatId');
+    if (activeChatMeta) state.activeChatId = activeChatMeta.value;
+
+    records.chats.forEach(chatRecord => {
+        state.chats[chatRecord.id] = { ...chatRecord, history: [], tools: {}, memories: [] };
+    });
+    records.messages
+        .filter(record => state.chats[record.chatId])
+        .sort((a, b) => a.index - b.index)
+        .forEach(({ chatId, index, ...message }) => state.chats[chatId].history.push(message));
+    records.tools
+        .filter(record => state.chats[record.chatId])
+        .sort((a, b) => a.index - b.index)
+        .forEach(({ chatId, type, data }) => {
+            const tools = state.chats[chatId].tools;
+            if (!tools[type]) tools[type] = [];
+            tools[type].push(data);
+        });
+    records.memories
+        .filter(record => state.chats[record.chatId])
+        .forEach(({ chatId, ...memory }) => state.chats[chatId].memories.push(memory));
+    return state;
+}
+
+class IndexedDBStorageAdapter {
+    constructor() {
+        this.dbPromise = null;
+        this.cipher = null;
+        // The serialised form of every record last written, keyed by store and primary key.
+        this.writtenRecords = new Map();
+        this.latestState = null;
+        this.isSaveQueued = false;
+        this.saveQueue = Promise.resolve();
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = (event) => {
+                    for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+                        DB_MIGRATIONS[version](request.result);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('The Aura database is open in another tab with an older version.'));
+            });
+        }
+        return this.dbPromise;
+    }
+
+    recordKey(storeName, record) {
+        return `${storeName}:${JSON.stringify(DB_KEY_FIELDS[storeName].map(field => record[field]))}`;
+    }
+
+    rememberWrittenRecords(records) {
+        this.writtenRecords.clear();
+        DB_STORES.forEach(storeName => {
+            records[storeName].forEach(record => {
+                this.writtenRecords.set(this.recordKey(storeName, record), JSON.stringify(record));
+            });
+        });
+    }
+
+    async load() {
+        const db = await this.open();
+        const transaction = db.transaction(DB_STORES, 'readonly');
+        const results = await Promise.all(DB_STORES.map(storeName => requestToPromise(transaction.objectStore(storeName).getAll())));
+        const records = {};
+        for (let i = 0; i < DB_STORES.length; i++) {
+            records[DB_STORES[i]] = await Promise.all(results[i].map(record => decryptRecord(record, this.cipher)));
+        }
+
+        if (records.chats.length === 0) {
+            return this.migrateFromLocalStorage();
+        }
+        this.rememberWrittenRecords(records);
+        return recordsToState(records);
+    }
+
+    // Upgrades the single-key localStorage state used before IndexedDB. The old key is
+    // only removed once its contents are safely written to the database.
+    async migrateFromLocalStorage() {
+        const serializedState = localStorage.getItem(STATE_STORAGE_KEY);
+        if (!serializedState) return null;
+        const legacyState = await parseStoredState(serializedState, this.cipher);
+        await this.writeState(legacyState);
+        localStorage.removeItem(STATE_STORAGE_KEY);
+        return legacyState;
+    }
+
+    setCipher(cipher) {
+        this.cipher = cipher;
+    }
+
+    // Deletes the whole database, e.g. when a locked user has forgotten their passphrase.
+    async clear() {
+        const db = await this.open();
+        db.close();
+        await requestToPromise(indexedDB.deleteDatabase(DB_NAME));
+        localStorage.removeItem(STATE_STORAGE_KEY);
+    }
+
+    // Writes every record again under a new cipher (null to decrypt them), after any
+    // saves already queued. It's one transaction, so the database is never left half
+    // re-encrypted, and the new cipher is only used for saves once it has committed.
+    rewriteAll(state, cipher) {
+        this.latestState = state;
+        this.saveQueue = this.saveQueue.catch(() => {}).then(async () => {
+            await this.writeState(this.latestState, { cipher, rewrite: true });
+            this.cipher = cipher;
+        });
+        return this.saveQueue;
+    }
+
+    // Saves are queued so they never interleave, and saves requested while one is
+    // running collapse into a single write of the newest state.
+    save(state) {
+        this.latestState = state;
+        if (!this.isSaveQueued) {
+            this.isSaveQueued = true;
+            this.saveQueue = this.saveQueue.catch(() => {}).then(() => {
+                this.isSaveQueued = false;
+                return this.writeState(this.latestState);
+            });
+        }
+        return this.saveQueue;
+    }
+
+    async writeState(state, { cipher = this.cipher, rewrite = false } = {}) {
+        const db = await this.open();
+        const records = stateToRecords(state);
+        const seenKeys = new Set();
+        const changedRecords = [];
+
+        DB_STORES.forEach(storeName => {
+            records[storeName].forEach(record => {
+                const key = this.recordKey(storeName, record);
+                const serialized = JSON.stringify(record);
+                seenKeys.add(key);
+                if (rewrite || this.writtenRecords.get(key) !== serialized) {
+                    changedRecords.push({ storeName, key, record, serialized });
+                }
+            });
+        });
+
+        // Encryption is async, so it must finish before the transaction opens or the
+        // transaction would auto-commit while we wait.
+        for (const change of changedRecords) {
+            change.storedRecord = await encryptRecord(change.storeName, change.record, cipher);
+        }
+
+        const transaction = db.transaction(DB_STORES, 'readwrite');
+        changedRecords.forEach(change => transaction.objectStore(change.storeName).put(change.storedRecord));
+
+        // Anything written before but missing now was deleted from the state.
+        const deletedKeys = [...this.writtenRecords.keys()].filter(key => !seenKeys.has(key));
+        deletedKeys.forEach(key => {
+            const separator = key.indexOf(':');
+            const storeName = key.slice(0, separator);
+            const keyValues = JSON.parse(key.slice(separator + 1));
+            transaction.objectStore(storeName).delete(keyValues.length === 1 ? keyValues[0] : keyValues);
+        });
+
+        await transactionToPromise(transaction);
+        changedRecords.forEach(change => this.writtenRecords.set(change.key, change.serialized));
+        deletedKeys.forEach(key => this.writtenRecords.delete(key));
+    }
+}
+
+class LocalStorageAdapter {
+    constructor(cipher = null) {
+        this.cipher = cipher;
+        this.saveQueue = Promise.resolve();
+    }
+
+    async load() {
+        const serializedState = localStorage.getItem(STATE_STORAGE_KEY);
+        return serializedState ? parseStoredState(serializedState, this.cipher) : null;
+    }
+
+    // Queued like the IndexedDB adapter, since encrypting makes saves async.
+    save(state) {
+        this.saveQueue = this.saveQueue.catch(() => {}).then(() => this.writeState(state, this.cipher));
+        return this.saveQueue;
+    }
+
+    async writeState(state, cipher) {
+        const storedState = cipher ? { encrypted: await cipher.encrypt(state) } : state;
+        localStorage.setItem(STATE_STORAGE_KEY, JSON.stringify(storedState));
+    }
+
+    async clear() {
+        localStorage.removeItem(STATE_STORAGE_KEY);
+    }
+
+    setCipher(cipher) {
+        this.cipher = cipher;
+    }
+
+    rewriteAll(state, cipher) {
+        this.saveQueue = this.saveQueue.catch(() => {}).then(async () => {
+            await this.writeState(state, cipher);
+            this.cipher = cipher;
+        });
+        return this.saveQueue;
+    }
+}
+
+function createStorageAdapter() {
+    return window.indexedDB ? new IndexedDBStorageAdapter() : new LocalStorageAdapter();
+}
+
+function isQuotaError(error) {
+    return Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
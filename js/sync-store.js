@@ -0,0 +1,268 @@
+// sync-store.js
+// This file keeps the server's copy of Aura's data for js/server.js, in a single JSON
+// file. The data is stored as records: the ones the app splits its state into (see
+// stateToRecords in storage.js), plus one per setting. Every record carries the time it
+// last changed and the device that changed it. When two devices change the same
+// record, the later change wins, and a deleted record is kept as a tombstone so the
+// deletion reaches every device. Each stored change gets the next sequence number,
+// which devices use as a cursor to fetch only what's new.
+
+const fs = require('fs');
+
+// The fields that identify a record in each collection. Mirrors SYNC_KEY_FIELDS in sync.js.
+const SYNC_KEY_FIELDS = {
+    chats: ['id'],
+    messages: ['chatId', 'id'],
+    tools: ['chatId', 'type', 'id'],
+    memories: ['id'],
+    moods: ['id'],
+    reminders: ['id'],
+    practice: ['id'],
+    affirmations: ['id'],
+    settings: ['key']
+};
+// The collections that belong to a chat, and go when it's deleted.
+const CHAT_COLLECTIONS = ['messages', 'tools', 'memories'];
+// Version 1 kept messages and tools by their place in the chat rather than by id.
+const STORE_VERSION = 2;
+// Changes made through the REST API rather than by a device syncing.
+const API_DEVICE_ID = 'api';
+
+function syncError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+let messageCounter = 0;
+
+// Oldest first, as in compareSyncedMessages in sync.js.
+function compareMessages(a, b) {
+    return (a.createdAt || '').localeCompare(b.createdAt || '') || a.id.localeCompare(b.id, undefined, { numeric: true });
+}
+
+// Collection names and keys come from devices, so records are kept in objects without
+// a prototype: a change to "__proto__" can't reach Object.prototype.
+function createRecordMap(entries = {}) {
+    return Object.assign(Object.create(null), entries);
+}
+
+function recordKey(collection, data) {
+    return JSON.stringify(SYNC_KEY_FIELDS[collection].map(field => data[field]));
+}
+
+// Whether `change` should replace `existing`. Equal times are settled by device id,
+// the same way on every device, so they all agree on the winner.
+function isNewerChange(change, existing) {
+    if (!existing) return true;
+    if (change.updatedAt !== existing.updatedAt) return change.updatedAt > existing.updatedAt;
+    return change.deviceId > existing.deviceId;
+}
+
+class SyncStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.data = this.read();
+        this.writeQueue = Promise.resolve();
+    }
+
+    read() {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return { version: STORE_VERSION, seq: 0, records: createRecordMap() };
+            throw new Error(`Can't read the Aura data file at ${this.filePath}: ${error.message}`);
+        }
+        if (data.version > STORE_VERSION) {
+            throw new Error(`The Aura data file at ${this.filePath} was written by a newer version of Aura.`);
+        }
+        // Devices send their messages and tools again, under the new keys, on their next sync.
+        if (data.version < 2) {
+            delete data.records.messages;
+            delete data.records.tools;
+            data.version = 2;
+        }
+        data.records = createRecordMap(data.records);
+        Object.keys(data.records).forEach(collection => { data.records[collection] = createRecordMap(data.records[collection]); });
+        return data;
+    }
+
+    // Written to a temporary file first, so a crash mid-write can't corrupt the store.
+    save() {
+        this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+            const temporaryPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(temporaryPath, JSON.stringify(this.data));
+            await fs.promises.rename(temporaryPath, this.filePath);
+        });
+        return this.writeQueue;
+    }
+
+    // --- Sync ---
+
+    // Stores a device's changes, keeping whichever version of each record changed last,
+    // and resolves with the changes other devices made after `since`.
+    async sync({ deviceId, since = 0, changes = [] }) {
+        if (typeof deviceId !== 'string' || !deviceId || deviceId === API_DEVICE_ID) throw syncError('A device id is required.');
+        if (!Number.isInteger(since) || since < 0) throw syncError('"since" must be a sequence number.');
+        if (!Array.isArray(changes)) throw syncError('"changes" must be a list.');
+        changes.forEach(validateChange);
+
+        // A cursor from beyond the last change means the data file was replaced, so the
+        // device gets everything.
+        const cursor = since > this.data.seq ? 0 : since;
+        if (this.applyChanges(changes.map(change => ({ ...change, deviceId })))) await this.save();
+        return {
+            seq: this.data.seq,
+            changes: this.changesSince(cursor).filter(record => record.deviceId !== deviceId)
+        };
+    }
+
+    // Returns how many changes were stored.
+    applyChanges(changes) {
+        let stored = 0;
+        changes.forEach(change => {
+            const records = this.data.records[change.collection] || (this.data.records[change.collection] = createRecordMap());
+            if (!isNewerChange(change, records[change.key])) return;
+            this.data.seq += 1;
+            records[change.key] = {
+                collection: change.collection,
+                key: change.key,
+                data: change.deleted ? null : change.data,
+                deleted: Boolean(change.deleted),
+                updatedAt: change.updatedAt,
+                deviceId: change.deviceId,
+                seq: this.data.seq
+            };
+            stored += 1;
+        });
+        return stored;
+    }
+
+    // Deletes every record, e.g. when a device turns on lock mode and doesn't want an
+    // unencrypted copy left here. The sequence number carries on, so devices' cursors
+    // stay valid and they don't send everything back.
+    async clear() {
+        this.data.records = createRecordMap();
+        await this.save();
+    }
+
+    changesSince(seq) {
+        return Object.values(this.data.records)
+            .flatMap(records => Object.values(records))
+            .filter(record => record.seq > seq)
+            .sort((a, b) => a.seq - b.seq);
+    }
+
+    // --- Records ---
+
+    list(collection, filter = () => true) {
+        return Object.values(this.data.records[collection] || {})
+            .filter(record => !record.deleted && filter(record.data))
+            .map(record => record.data);
+    }
+
+    get(collection, key) {
+        const record = (this.data.records[collection] || {})[key];
+        return record && !record.deleted ? record.data : null;
+    }
+
+    async put(collection, data) {
+        this.applyChanges([{ collection, key: recordKey(collection, data), data, updatedAt: new Date().toISOString(), deviceId: API_DEVICE_ID }]);
+        await this.save();
+        return data;
+    }
+
+    async remove(collection, keys) {
+        const updatedAt = new Date().toISOString();
+        this.applyChanges(keys.map(key => ({ collection, key, deleted: true, updatedAt, deviceId: API_DEVICE_ID })));
+        await this.save();
+    }
+
+    // --- Chats ---
+
+    // Most recently active first.
+    listChats() {
+        return this.list('chats').sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+    }
+
+    // A chat as the app keeps it, with its messages, tools and memories.
+    getChat(chatId) {
+        const chat = this.get('chats', recordKey('chats', { id: chatId }));
+        if (!chat) return null;
+        return { ...chat, history: this.listMessages(chatId), tools: this.listTools(chatId), memories: this.listChatRecords('memories', chatId) };
+    }
+
+    async updateChat(chatId, fields) {
+        const chat = this.get('chats', recordKey('chats', { id: chatId }));
+        if (!chat) return null;
+        return this.put('chats', { ...chat, ...fields, id: chatId, updatedAt: new Date().toISOString() });
+    }
+
+    async deleteChat(chatId) {
+        if (!this.get('chats', recordKey('chats', { id: chatId }))) return false;
+        for (const collection of CHAT_COLLECTIONS) {
+            const keys = this.list(collection, data => data.chatId === chatId).map(data => recordKey(collection, data));
+            if (keys.length > 0) await this.remove(collection, keys);
+        }
+        await this.remove('chats', [recordKey('chats', { id: chatId })]);
+        return true;
+    }
+
+    listChatRecords(collection, chatId) {
+        return this.list(collection, data => data.chatId === chatId);
+    }
+
+    listMessages(chatId) {
+        return this.listChatRecords('messages', chatId)
+            .sort(compareMessages)
+            .map(({ chatId: messageChatId, ...message }) => message);
+    }
+
+    // Appended after the chat's last message.
+    async addMessage(chatId, { role, content }) {
+        if (!this.get('chats', recordKey('chats', { id: chatId }))) return null;
+        const message = { id: `message-${Date.now()}-${messageCounter++}`, role, content, createdAt: new Date().toISOString() };
+        await this.put('messages', { ...message, chatId });
+        await this.updateChat(chatId, {});
+        return message;
+    }
+
+    // Tool instances by type, as in the app.
+    listTools(chatId) {
+        const tools = {};
+        this.listChatRecords('tools', chatId)
+            .forEach(({ type, data }) => (tools[type] = tools[type] || []).push(data));
+        return tools;
+    }
+
+    // --- Settings ---
+
+    getSettings() {
+        return Object.fromEntries(this.list('settings').map(setting => [setting.key, setting.value]));
+    }
+
+    putSetting(key, value) {
+        return this.put('settings', { key, value: String(value) });
+    }
+
+    removeSetting(key) {
+        return this.remove('settings', [recordKey('settings', { key })]);
+    }
+}
+
+function validateChange(change) {
+    if (!change || typeof change !== 'object') throw syncError('Every change must be an object.');
+    if (!Object.hasOwn(SYNC_KEY_FIELDS, change.collection)) throw syncError(`Unknown collection "${change.collection}".`);
+    if (typeof change.updatedAt !== 'string' || isNaN(Date.parse(change.updatedAt))) throw syncError('Every change needs an "updatedAt" time.');
+    if (change.deleted) {
+        if (typeof change.key !== 'string') throw syncError('A deletion needs the key of the record it deletes.');
+        return;
+    }
+    if (!change.data || typeof change.data !== 'object' || Array.isArray(change.data)) throw syncError('Every change needs the record\'s data.');
+    const missingField = SYNC_KEY_FIELDS[change.collection].find(field => change.data[field] === undefined || change.data[field] === null);
+    if (missingField) throw syncError(`The record has no "${missingField}".`);
+    if (change.key !== recordKey(change.collection, change.data)) throw syncError(`The key "${change.key}" doesn't match the record.`);
+}
+
+module.exports = { SyncStore, recordKey, isNewerChange, SYNC_KEY_FIELDS };
@@ -0,0 +1,355 @@
+// sync.js
+// This file keeps Aura's data in step with the Aura server in js/server.js, so a
+// conversation started on one device can be continued on another. Aura stays
+// offline-first: everything is saved in the browser as usual, and changes are sent to
+// the server in the background whenever it can be reached. Each record (a chat, a
+// message, a tool, a setting...) is synced on its own, and when two devices changed
+// the same one, the later change wins. Sync is paused in lock mode, so nothing more is
+// sent to the server; what was already synced stays there unencrypted unless the user
+// deletes it when turning lock mode on (see deleteServerCopy).
+
+// --- Sync Configuration ---
+
+const SYNC_SERVER_URL_STORAGE_KEY = 'aura_sync_server_url';
+const SYNC_TOKEN_STORAGE_KEY = 'aura_sync_token';
+// This device's id, the server's sequence number it has caught up to, and what it
+// last knew of each record: [hash of the record, or null once deleted; time it changed].
+const SYNC_STATE_STORAGE_KEY = 'aura_sync_state';
+const SYNC_INTERVAL_MS = 30 * 1000;
+// Changes made in quick succession (e.g. a streamed reply) are sent together.
+const SYNC_DEBOUNCE_MS = 2 * 1000;
+const SYNC_STATUSES = { OFF: 'off', SYNCING: 'syncing', SYNCED: 'synced', OFFLINE: 'offline', ERROR: 'error', PAUSED: 'paused' };
+const SYNC_STORES = DB_STORES.filter(storeName => storeName !== 'meta');
+// Messages and tools are stored by their place in the chat, but synced by id, so two
+// devices adding to the same chat don't overwrite each other's records.
+const SYNC_KEY_FIELDS = { ...DB_KEY_FIELDS, messages: ['chatId', 'id'], tools: ['chatId', 'type', 'id'], settings: ['key'] };
+
+function getSyncServerUrl() { return localStorage.getItem(SYNC_SERVER_URL_STORAGE_KEY) || ''; }
+function getSyncToken() { return localStorage.getItem(SYNC_TOKEN_STORAGE_KEY) || ''; }
+function isSyncEnabled() { return Boolean(getSyncServerUrl()); }
+
+function saveSyncSettings(serverUrl, token) {
+    if (serverUrl) localStorage.setItem(SYNC_SERVER_URL_STORAGE_KEY, serverUrl.replace(/\/+$/, ''));
+    else localStorage.removeItem(SYNC_SERVER_URL_STORAGE_KEY);
+    if (token) localStorage.setItem(SYNC_TOKEN_STORAGE_KEY, token);
+    else localStorage.removeItem(SYNC_TOKEN_STORAGE_KEY);
+}
+
+// The token the Aura server asks for when it's started with AURA_TOKEN. Web search goes
+// through the same server, so it sends it too.
+function serverAuthHeaders() {
+    const token = getSyncToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+function createSyncDeviceId() {
+    return `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Same key as the server's, so records can be matched up. See recordKey in sync-store.js.
+function syncRecordKey(collection, data) {
+    return JSON.stringify(SYNC_KEY_FIELDS[collection].map(field => data[field]));
+}
+
+// A record from stateToRecords as it's synced, without its place in the chat.
+function toSyncRecord(collection, record) {
+    if (collection === 'messages') {
+        const { index, ...message } = record;
+        return message;
+    }
+    if (collection === 'tools') return { chatId: record.chatId, type: record.type, id: record.data.id, data: record.data };
+    return record;
+}
+
+// Oldest first. Ids end in a counter, so messages added in the same millisecond are
+// compared by number rather than as text.
+function compareSyncedMessages(a, b) {
+    return (a.createdAt || '').localeCompare(b.createdAt || '') || a.id.localeCompare(b.id, undefined, { numeric: true });
+}
+
+// Gives synced messages their place in the chat again, in the order they were written.
+function placeSyncedMessages(messages) {
+    const nextIndex = {};
+    return messages.slice().sort(compareSyncedMessages).map(message => {
+        const index = nextIndex[message.chatId] || 0;
+        nextIndex[message.chatId] = index + 1;
+        return { ...message, index };
+    });
+}
+
+// Tools keep the order they had on this device, and ones from other devices go after them.
+function placeSyncedTools(tools, localTools) {
+    const localIndexes = new Map(localTools.map(record => [syncRecordKey('tools', toSyncRecord('tools', record)), record.index]));
+    const position = tool => (localIndexes.has(syncRecordKey('tools', tool)) ? localIndexes.get(syncRecordKey('tools', tool)) : Number.MAX_SAFE_INTEGER);
+    const nextIndex = {};
+    return tools.slice().sort((a, b) => position(a) - position(b)).map(({ chatId, type, data }) => {
+        const group = JSON.stringify([chatId, type]);
+        const index = nextIndex[group] || 0;
+        nextIndex[group] = index + 1;
+        return { chatId, type, index, data };
+    });
+}
+
+// Object keys are sorted first, so a record rebuilt from the server hashes the same as the original.
+function hashSyncRecord(data) {
+    const text = JSON.stringify(data, (key, value) => (value && typeof value === 'object' && !Array.isArray(value)
+        ? Object.fromEntries(Object.keys(value).sort().map(name => [name, value[name]]))
+        : value));
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36) + text.length.toString(36);
+}
+
+// --- Sync Manager ---
+
+class SyncManager {
+    constructor(chatManager) {
+        this.chatManager = chatManager;
+        this.status = SYNC_STATUSES.OFF;
+        this.statusMessage = '';
+        this.syncTimer = null;
+        this.debounceTimer = null;
+        this.running = null;
+        this.syncAgain = false;
+        // Called with the status and a user-facing message whenever the status changes.
+        this.onStatusChange = null;
+        // Remote changes are held back while this returns false (e.g. mid-reply).
+        this.canApplyChanges = () => true;
+        // Called after remote changes have been applied to the chat manager's state.
+        this.onRemoteChanges = null;
+        this.state = this.loadState();
+    }
+
+    loadState() {
+        try {
+            const state = JSON.parse(localStorage.getItem(SYNC_STATE_STORAGE_KEY));
+            if (state && state.deviceId) return state;
+        } catch (error) {
+            console.error('Error loading sync state:', error);
+        }
+        return { deviceId: createSyncDeviceId(), cursor: 0, records: {}, pending: [] };
+    }
+
+    saveState() {
+        localStorage.setItem(SYNC_STATE_STORAGE_KEY, JSON.stringify(this.state));
+    }
+
+    // Forgets what has been synced, so the next sync sends everything and fetches
+    // everything. The device id is kept.
+    resetState() {
+        this.state = { deviceId: this.state.deviceId, cursor: 0, records: {}, pending: [] };
+        this.saveState();
+    }
+
+    setStatus(status, message = '') {
+        this.status = status;
+        this.statusMessage = message;
+        if (this.onStatusChange) this.onStatusChange(status, message);
+    }
+
+    start() {
+        this.chatManager.onSave = () => this.scheduleSync();
+        this.syncTimer = setInterval(() => this.sync(), SYNC_INTERVAL_MS);
+        window.addEventListener('online', () => this.sync());
+        return this.sync();
+    }
+
+    scheduleSync() {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.sync(), SYNC_DEBOUNCE_MS);
+    }
+
+    // Starts over with a new server, since what was synced with the old one says nothing about it.
+    configure(serverUrl, token) {
+        const previousUrl = getSyncServerUrl();
+        saveSyncSettings(serverUrl.trim(), token.trim());
+        if (getSyncServerUrl() !== previousUrl) this.resetState();
+        return this.sync();
+    }
+
+    // Whether anything has been sent to the server, or fetched from it.
+    hasSyncedData() {
+        return isSyncEnabled() && Object.keys(this.state.records).length > 0;
+    }
+
+    // Deletes everything the server keeps. Waits for a sync that's already running, so it
+    // can't send anything afterwards. What was synced is forgotten, so this device sends
+    // everything again if it syncs later. Throws if the server couldn't delete it.
+    async deleteServerCopy() {
+        await this.running;
+        let response;
+        try {
+            response = await fetch(`${getSyncServerUrl()}/api/sync`, { method: 'DELETE', headers: serverAuthHeaders() });
+        } catch (error) {
+            throw new Error("Can't reach the Aura server.");
+        }
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        this.resetState();
+    }
+
+    // --- Syncing ---
+
+    // A sync requested while one is running starts as soon as it finishes.
+    sync() {
+        if (this.running) {
+            this.syncAgain = true;
+            return this.running;
+        }
+        this.running = this.runSync().finally(() => {
+            this.running = null;
+            if (this.syncAgain) {
+                this.syncAgain = false;
+                this.sync();
+            }
+        });
+        return this.running;
+    }
+
+    async runSync() {
+        if (!isSyncEnabled()) return this.setStatus(SYNC_STATUSES.OFF);
+        if (isLockEnabled()) return this.setStatus(SYNC_STATUSES.PAUSED, 'Sync is paused while lock mode is on, so new changes stay on this device.');
+
+        const currentRecords = this.trackChanges();
+        this.saveState();
+        const changes = this.state.pending.map(id => this.pendingChange(id, currentRecords));
+        this.setStatus(SYNC_STATUSES.SYNCING, changes.length > 0 ? `Sending ${changes.length} change(s)...` : 'Checking for changes...');
+
+        let response;
+        try {
+            response = await fetch(`${getSyncServerUrl()}/api/sync`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...serverAuthHeaders() },
+                body: JSON.stringify({ deviceId: this.state.deviceId, since: this.state.cursor, changes })
+            });
+        } catch (error) {
+            return this.setStatus(SYNC_STATUSES.OFFLINE, "Can't reach the Aura server. Your changes are saved on this device and will sync when it's back.");
+        }
+        let data;
+        try {
+            data = await response.json();
+        } catch (error) {
+            data = {};
+        }
+        if (response.status === 401) return this.setStatus(SYNC_STATUSES.ERROR, 'The Aura server rejected the sync token. Check it in settings.');
+        if (!response.ok) return this.setStatus(SYNC_STATUSES.ERROR, `The Aura server couldn't sync: ${data.error || `HTTP error! status: ${response.status}`}`);
+
+        // A record changed again while the request was out is sent next time.
+        const sentTimes = new Map(changes.map(change => [`${change.collection}:${change.key}`, change.updatedAt]));
+        this.state.pending = this.state.pending.filter(id => sentTimes.get(id) !== this.state.records[id][1]);
+        // Without advancing the cursor, held-back changes are fetched again next time.
+        const remoteChanges = Array.isArray(data.changes) ? data.changes : [];
+        if (remoteChanges.length === 0 || this.canApplyChanges()) {
+            this.applyRemoteChanges(remoteChanges);
+            this.state.cursor = data.seq;
+        }
+        this.saveState();
+        this.setStatus(SYNC_STATUSES.SYNCED, `Last synced at ${new Date().toLocaleTimeString()}.`);
+    }
+
+    // Every record on this device, by `${collection}:${key}`.
+    collectRecords() {
+        const records = new Map();
+        const allRecords = stateToRecords(this.chatManager.state);
+        SYNC_STORES.forEach(collection => {
+            allRecords[collection].forEach(record => {
+                const data = toSyncRecord(collection, record);
+                records.set(`${collection}:${syncRecordKey(collection, data)}`, data);
+            });
+        });
+        BACKUP_SETTINGS_KEYS.forEach(key => {
+            const value = localStorage.getItem(key);
+            if (value !== null) records.set(`settings:${syncRecordKey('settings', { key })}`, { key, value });
+        });
+        return records;
+    }
+
+    // Compares every record with what was last synced, and marks the ones that changed,
+    // appeared or disappeared to be sent. Returns the records collected.
+    trackChanges() {
+        const { records, pending } = this.state;
+        const now = new Date().toISOString();
+        const markChanged = (id, hash) => {
+            records[id] = [hash, now];
+            if (!pending.includes(id)) pending.push(id);
+        };
+        const currentRecords = this.collectRecords();
+        currentRecords.forEach((data, id) => {
+            const hash = hashSyncRecord(data);
+            if (!records[id] || records[id][0] !== hash) markChanged(id, hash);
+        });
+        Object.keys(records).forEach(id => {
+            if (!currentRecords.has(id) && records[id][0] !== null) markChanged(id, null);
+        });
+        return currentRecords;
+    }
+
+    pendingChange(id, currentRecords) {
+        const separator = id.indexOf(':');
+        const [hash, updatedAt] = this.state.records[id];
+        const change = { collection: id.slice(0, separator), key: id.slice(separator + 1), updatedAt };
+        if (hash === null) change.deleted = true;
+        else change.data = currentRecords.get(id);
+        return change;
+    }
+
+    // Applies changes other devices made, except where this device changed the same
+    // record later and hasn't sent it yet.
+    applyRemoteChanges(changes) {
+        const { records, pending, deviceId } = this.state;
+        const accepted = changes.filter(change => {
+            const id = `${change.collection}:${change.key}`;
+            if (!pending.includes(id)) return true;
+            return change.updatedAt > records[id][1] || (change.updatedAt === records[id][1] && change.deviceId > deviceId);
+        });
+        if (accepted.length === 0) return;
+
+        const allRecords = stateToRecords(this.chatManager.state);
+        const storeMaps = {};
+        SYNC_STORES.forEach(collection => {
+            storeMaps[collection] = new Map(allRecords[collection].map(record => {
+                const data = toSyncRecord(collection, record);
+                return [syncRecordKey(collection, data), data];
+            }));
+        });
+        accepted.forEach(change => {
+            if (change.collection === 'settings') {
+                const key = JSON.parse(change.key)[0];
+                if (!BACKUP_SETTINGS_KEYS.includes(key)) return;
+                if (change.deleted) localStorage.removeItem(key);
+                else localStorage.setItem(key, change.data.value);
+                return;
+            }
+            if (!Object.hasOwn(storeMaps, change.collection)) return;
+            if (change.deleted) storeMaps[change.collection].delete(change.key);
+            else storeMaps[change.collection].set(change.key, change.data);
+        });
+
+        const activeChatId = this.chatManager.getActiveChatId();
+        const newRecords = { meta: [{ key: 'activeChatId', value: activeChatId }] };
+        SYNC_STORES.forEach(collection => { newRecords[collection] = [...storeMaps[collection].values()]; });
+        newRecords.messages = placeSyncedMessages(newRecords.messages);
+        newRecords.tools = placeSyncedTools(newRecords.tools, allRecords.tools);
+        this.chatManager.state = recordsToState(newRecords);
+
+        // Records are remembered as they ended up on this device, so they aren't sent back.
+        const currentRecords = this.collectRecords();
+        accepted.forEach(change => {
+            const id = `${change.collection}:${change.key}`;
+            const data = currentRecords.get(id);
+            records[id] = [data ? hashSyncRecord(data) : null, change.updatedAt];
+            this.state.pending = this.state.pending.filter(pendingId => pendingId !== id);
+        });
+        if (!this.chatManager.state.chats[activeChatId]) this.chatManager.activateLatestChat();
+        this.chatManager.saveState();
+        if (this.onRemoteChanges) this.onRemoteChanges();
+    }
+}
+
+const syncManager = new SyncManager(chatManager);
@@ -0,0 +1,157 @@
+// tool-registry.js
+// This file holds the registry of tool types Aura can create. Each tool lives in
+// its own file under js/tools/ and registers a definition describing everything
+// the app needs to know about it, so adding a tool never means editing the chat
+// logic, the UI or the system prompt.
+//
+// A tool definition has:
+//   type          The value used in <tool_create type="..."/> tags and as the toolbox key.
+//   name          The human-readable name, e.g. "Checklist".
+//   order         Where the tool appears in the toolbox and the prompt (lower comes first).
+//   schema        A JSON Schema describing the tool's data.
+//   trigger       { when, condition?, theme?, example, update? } text for the [Available Tools] prompt.
+//   buildPrompt   (theme) => the prompt that asks the model for the tool's JSON.
+//   summarize     (tool) => the tool's lines in the [Current Toolbox State].
+//   render        (tool, container) => draws the tool into the toolbox modal.
+//   actions       { [action]: (context) => ... } handlers for elements with a matching
+//                 data-action inside the tool. Called with the definition as `this`, and a
+//                 context of { event, target, toolElement, toolId, refresh, requestFollowUp, speak }.
+//   followUpNotes { [followUpType]: (followUp) => note } the [System Note]s sent to the
+//                 model after the user interacts with the tool.
+//   applyUpdate   Optional. (toolId, attributes) => applies a <tool_update> tag to the tool.
+//   updateAttributes  With applyUpdate, the <tool_update> attributes it accepts besides type
+//                 and id. A tag with any other attribute is ignored.
+//
+// Tools are drawn with buildElement (see ui.js) rather than HTML strings, since their
+// text comes from the model and the user.
+
+const toolRegistry = new Map();
+
+function registerTool(definition) {
+    if (toolRegistry.has(definition.type)) {
+        console.warn(`Tool "${definition.type}" is already registered; replacing it.`);
+    }
+    toolRegistry.set(definition.type, { actions: {}, followUpNotes: {}, applyUpdate: null, ...definition });
+}
+
+function getTool(type) {
+    return toolRegistry.get(type) || null;
+}
+
+function getRegisteredTools() {
+    return [...toolRegistry.values()].sort((a, b) => a.order - b.order);
+}
+
+// Builds the tool list for the system prompt from every registered tool's trigger text.
+function toolTriggersToString(tools = getRegisteredTools()) {
+    return tools.map((tool, index) => {
+        const lines = [
+            `${index + 1}.  **${tool.name}**`,
+            `    -   **Type:** \`${tool.type}\``,
+            `    -   **Trigger:** ${tool.trigger.when}`
+        ];
+        if (tool.trigger.condition) lines.push(`    -   **Condition:** ${tool.trigger.condition}`);
+        if (tool.trigger.theme) lines.push(`    -   **Theme:** ${tool.trigger.theme}`);
+        lines.push(`    -   **Example Tag:** \`${tool.trigger.example}\``);
+        if (tool.trigger.update) lines.push(`    -   **Update:** ${tool.trigger.update}`);
+        return lines.join('\n');
+    }).join('\n\n');
+}
+
+// Finds the [System Note] for a tool follow-up, e.g. { type: 'mood_logged', ... }.
+function toolFollowUpNote(followUp) {
+    for (const tool of toolRegistry.values()) {
+        const buildNote = tool.followUpNotes[followUp.type];
+        if (buildNote) return buildNote(followUp);
+    }
+    return null;
+}
+
+// --- Tool Schemas ---
+
+// Tool schemas use a small subset of JSON Schema: type, properties, required, items,
+// enum, const, pattern, minItems, minimum, maximum and default. A default may also be a
+// function, called for a fresh value each time (e.g. a new id).
+function schemaDefault(schema) {
+    return typeof schema.default === 'function' ? schema.default() : JSON.parse(JSON.stringify(schema.default));
+}
+
+function matchesSchemaType(type, value) {
+    switch (type) {
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        default: return typeof value === type;
+    }
+}
+
+// Repairs what it safely can (missing fields with defaults, numbers sent as strings,
+// a single value where a list was expected, out-of-range numbers, invalid list items,
+// strings in the wrong format)
+// and records everything else in `errors`.
+function repairSchemaValue(schema, value, path, errors) {
+    if ('const' in schema) return schema.const;
+
+    if ((schema.type === 'number' || schema.type === 'integer') && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+        value = Number(value);
+    }
+    if (schema.type === 'array' && value !== undefined && !Array.isArray(value)) {
+        value = [value];
+    }
+    if (schema.type && !matchesSchemaType(schema.type, value)) {
+        if ('default' in schema) return schemaDefault(schema);
+        errors.push(value === undefined ? `"${path}" is missing.` : `"${path}" must be of type ${schema.type}.`);
+        return value;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        if ('default' in schema) return schemaDefault(schema);
+        errors.push(`"${path}" must be one of: ${schema.enum.join(', ')}.`);
+        return value;
+    }
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+        if ('default' in schema) return schemaDefault(schema);
+        errors.push(`"${path}" must match ${schema.pattern}.`);
+        return value;
+    }
+
+    if (schema.type === 'number' || schema.type === 'integer') {
+        if (schema.minimum !== undefined) value = Math.max(schema.minimum, value);
+        if (schema.maximum !== undefined) value = Math.min(schema.maximum, value);
+    }
+
+    if (schema.type === 'object' && schema.properties) {
+        const repaired = { ...value };
+        const required = schema.required || [];
+        Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+            if (repaired[key] === undefined && !required.includes(key) && !('default' in propertySchema)) return;
+            repaired[key] = repairSchemaValue(propertySchema, repaired[key], `${path}.${key}`, errors);
+        });
+        return repaired;
+    }
+
+    if (schema.type === 'array' && schema.items) {
+        // Items that can't be repaired are dropped rather than failing the whole list.
+        const repaired = [];
+        const droppedItemErrors = [];
+        value.forEach((item, index) => {
+            const itemErrors = [];
+            const repairedItem = repairSchemaValue(schema.items, item, `${path}[${index}]`, itemErrors);
+            if (itemErrors.length === 0) repaired.push(repairedItem);
+            else droppedItemErrors.push(...itemErrors);
+        });
+        if (schema.minItems !== undefined && repaired.length < schema.minItems) {
+            errors.push(`"${path}" must have at least ${schema.minItems} valid item(s).`, ...droppedItemErrors.slice(0, 3));
+        }
+        return repaired;
+    }
+    return value;
+}
+
+// Checks generated tool data against its schema. Returns the repaired data and
+// a list of the problems that couldn't be repaired; the data is only usable if that's empty.
+function validateToolData(schema, data) {
+    const errors = [];
+    const value = repairSchemaValue(schema, data, 'tool', errors);
+    return { value, errors };
+}
@@ -0,0 +1,94 @@
+// tools/affirmation-card.js
+// The Affirmation Card tool: a few encouraging statements for the user to keep in mind.
+// Committing to a card adds its affirmations to the library (see affirmations.js), and
+// each one can be favourited or read aloud.
+
+registerTool({
+    type: 'affirmation_card',
+    name: 'Affirmation Card',
+    order: 4,
+    schema: {
+        type: 'object',
+        required: ['type', 'id', 'title', 'text', 'buttonText'],
+        properties: {
+            type: { const: 'affirmation_card' },
+            id: { type: 'string', default: () => `affirm-${Date.now()}` },
+            title: { type: 'string', default: 'Your Affirmation' },
+            text: { type: 'array', items: { type: 'string' }, minItems: 1 },
+            buttonText: { type: 'string', default: 'I will remember this.' }
+        }
+    },
+    trigger: {
+        when: 'Use this when a user expresses self-doubt, needs motivation, or feels discouraged.',
+        theme: 'The `theme` attribute should be the reason for the affirmation.',
+        example: '<tool_create type="affirmation_card" theme="building confidence for a new job" />'
+    },
+
+    buildPrompt(theme) {
+        return `You are an AI assistant that creates JSON for an "Affirmation Card".
+- The theme is: "${theme}".
+- Generate a friendly, encouraging title.
+- Generate an array of 2-3 short, powerful affirmation strings for the "text" property.
+- Your output MUST be only the raw JSON object with this exact structure: { "type": "affirmation_card", "id": "affirm-${Date.now()}", "title": "...", "text": ["...", "..."], "buttonText": "I will remember this." }`;
+    },
+
+    summarize(card) {
+        const lines = [`- Affirmation Card: "${card.title}"${card.committedAt ? ' (the user committed to it)' : ''}`];
+        if (Array.isArray(card.text)) {
+            card.text.forEach(affirmation => {
+                lines.push(`  - "${affirmation}"`);
+            });
+        }
+        return lines.join('\n');
+    },
+
+    render(card, container) {
+        const affirmations = card.text.map((text, index) => {
+            const saved = affirmationLibrary.findByText(text);
+            const isFavorite = Boolean(saved && saved.favorite);
+            return buildElement('li', { className: 'flex items-start justify-between gap-2', dataset: { index: String(index) } }, [
+                buildElement('span', { textContent: `"${text}"` }),
+                buildElement('button', {
+                    className: `favorite-button ${isFavorite ? 'is-favorite' : ''}`,
+                    title: isFavorite ? 'Remove from favourites' : 'Add to favourites',
+                    textContent: isFavorite ? '★' : '☆',
+                    dataset: { action: 'toggle_favorite' }
+                })
+            ]);
+        });
+        const commitButton = card.committedAt
+            ? buildElement('button', { className: 'tool-button', disabled: true, textContent: `Committed on ${new Date(card.committedAt).toLocaleDateString([], { month: 'short', day: 'numeric' })}` })
+            : buildElement('button', { className: 'tool-button', textContent: card.buttonText, dataset: { action: 'commit_affirmation' } });
+
+        container.appendChild(buildElement('div', { className: 'affirmation-card mt-4' }, [
+            buildElement('h4', { className: 'text-xl font-bold mb-3 text-gray-200', textContent: card.title || 'Your Affirmation' }),
+            buildElement('ul', { className: 'space-y-2 affirmation-text' }, affirmations),
+            buildElement('div', { className: 'flex flex-wrap justify-center gap-2' }, [
+                buildElement('button', { className: 'tool-button bg-gray-700 hover:bg-gray-600', textContent: 'Read aloud', dataset: { action: 'read_affirmation' } }),
+                commitButton
+            ])
+        ]));
+    },
+
+    actions: {
+        commit_affirmation({ toolId, refresh }) {
+            affirmationLibrary.commitCard(toolId);
+            refresh();
+        },
+        toggle_favorite({ target, toolId, refresh }) {
+            const card = chatManager.getActiveChatTools().affirmation_card.find(entry => entry.id === toolId);
+            const text = card.text[Number(target.closest('[data-index]').dataset.index)];
+            const saved = affirmationLibrary.findByText(text);
+            if (saved) {
+                affirmationLibrary.toggleFavorite(saved.id);
+            } else {
+                affirmationLibrary.addAffirmation(text, AFFIRMATION_SOURCES.AURA, { favorite: true });
+            }
+            refresh();
+        },
+        read_affirmation({ toolId, speak }) {
+            const card = chatManager.getActiveChatTools().affirmation_card.find(entry => entry.id === toolId);
+            speak(card.text.join(' '));
+        }
+    }
+});
@@ -0,0 +1,201 @@
+// tools/breathing-exercise.js
+// The Breathing Exercise tool: an animated pacer that guides the user through a
+// breathing pattern (Aura's own, or a named one like box breathing) for a number
+// of rounds or minutes, with optional sound and vibration cues. Every session is
+// recorded in the practice log, and finished ones are passed on to Aura.
+
+function breathingPatternOptions(exercise) {
+    const customPhases = cycleToPhases(exercise.cycle);
+    return [
+        { value: 'custom', name: `Aura's pattern (${customPhases.map(step => step.seconds).join('-')})`, phases: customPhases },
+        ...Object.entries(BREATHING_PATTERNS).map(([value, pattern]) => ({ value, ...pattern }))
+    ];
+}
+
+function findBreathingExerciseElement(exerciseId) {
+    return [...toolsModalContent.querySelectorAll('[data-tool-type="breathing_exercise"]')]
+        .find(element => element.dataset.toolId === exerciseId);
+}
+
+registerTool({
+    type: 'breathing_exercise',
+    name: 'Breathing Exercise',
+    order: 3,
+    schema: {
+        type: 'object',
+        required: ['type', 'id', 'title', 'cycle'],
+        properties: {
+            type: { const: 'breathing_exercise' },
+            id: { type: 'string', default: () => `breathe-${Date.now()}` },
+            title: { type: 'string', default: 'A Quick Breathing Exercise' },
+            cycle: {
+                type: 'object',
+                required: ['inhale', 'hold', 'exhale'],
+                default: { inhale: 4, hold: 4, exhale: 6 },
+                properties: {
+                    inhale: { type: 'number', minimum: 1, maximum: 20, default: 4 },
+                    hold: { type: 'number', minimum: 0, maximum: 20, default: 4 },
+                    exhale: { type: 'number', minimum: 1, maximum: 20, default: 6 },
+                    rest: { type: 'number', minimum: 0, maximum: 20 }
+                }
+            }
+        }
+    },
+    trigger: {
+        when: 'Use this when a user expresses feelings of high stress, anxiety, or panic.',
+        example: '<tool_create type="breathing_exercise" />'
+    },
+    // Only one exercise runs at a time: { exerciseId, breathingSession }.
+    activeSession: null,
+
+    buildPrompt() {
+        return `Create a JSON object for a standard breathing exercise. The output must be ONLY the raw JSON object with this exact structure: { "type": "breathing_exercise", "id": "breathe-${Date.now()}", "title": "A Quick Breathing Exercise", "cycle": { "inhale": 4, "hold": 4, "exhale": 6 } }`;
+    },
+
+    summarize(exercise) {
+        return `- Breathing Exercise: "${exercise.title}" is available (box, 4-7-8 and coherent breathing can also be chosen in it).`;
+    },
+
+    render(exercise, container) {
+        const preferences = getBreathingPreferences();
+        const isRunning = Boolean(this.activeSession && this.activeSession.exerciseId === exercise.id);
+        const selectClasses = 'p-2 bg-gray-800 text-gray-200 border border-gray-700 rounded-md focus:outline-none focus:ring-2 focus:ring-pink-500';
+        const option = (value, textContent, selected) => buildElement('option', { value, textContent, selected });
+        const checkbox = (className, label, checked) => buildElement('label', {}, [
+            buildElement('input', { type: 'checkbox', className: `${className} accent-pink-600`, checked }),
+            ` ${label}`
+        ]);
+        const button = (textContent, action, visible) => buildElement('button', { className: `tool-button ${visible ? '' : 'hidden'}`, textContent, dataset: { action } });
+
+        container.appendChild(buildElement('div', { className: 'breathing-exercise-container' }, [
+            buildElement('h4', { className: 'text-xl font-bold mb-2 text-gray-200', textContent: exercise.title }),
+            buildElement('div', { className: 'flex flex-wrap justify-center items-center gap-2 text-sm text-gray-300' }, [
+                buildElement('select', { className: `breathing-pattern ${selectClasses}` }, breathingPatternOptions(exercise)
+                    .map(pattern => option(pattern.value, pattern.name, pattern.value === preferences.pattern))),
+                buildElement('input', { type: 'number', min: '1', max: '60', value: String(preferences.length), className: `breathing-length w-16 ${selectClasses}` }),
+                buildElement('select', { className: `breathing-unit ${selectClasses}` }, [
+                    option('rounds', 'rounds', preferences.unit === 'rounds'),
+                    option('minutes', 'minutes', preferences.unit === 'minutes')
+                ]),
+                checkbox('breathing-sound', 'Sound', preferences.sound),
+                checkbox('breathing-vibration', 'Vibration', preferences.vibration)
+            ]),
+            buildElement('div', { className: 'breathing-pacer' }),
+            buildElement('div', { className: 'breathing-status', textContent: isRunning ? '' : 'Press Start' }),
+            buildElement('div', { className: 'breathing-progress text-sm text-gray-400' }),
+            button('Start', 'start_breathing', !isRunning),
+            button(isRunning && this.activeSession.breathingSession.isPaused ? 'Resume' : 'Pause', 'toggle_breathing_pause', isRunning),
+            button('Stop', 'stop_breathing', isRunning),
+            this.renderPracticeLog(chatManager.getPracticeLog())
+        ]));
+    },
+
+    renderPracticeLog(practiceLog) {
+        const weekStart = startOfWeek(new Date());
+        const thisWeek = practiceLog.filter(session => new Date(session.startedAt) >= weekStart);
+        const weekMinutes = Math.round(thisWeek.reduce((total, session) => total + session.durationSeconds, 0) / 60);
+        const recentSessions = practiceLog.length > 0
+            ? buildElement('ul', { className: 'text-gray-400 space-y-1 text-sm' }, practiceLog.slice(-3).reverse().map(session => {
+                const formattedDate = new Date(session.startedAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+                return buildElement('li', { className: 'flex justify-between' }, [
+                    buildElement('span', { textContent: `${session.patternName} · ${formatDuration(session.durationSeconds)}${session.completed ? '' : ' (stopped)'}` }),
+                    buildElement('span', { textContent: formattedDate })
+                ]);
+            }))
+            : null;
+        return buildElement('div', { className: 'mt-4 text-left' }, [
+            buildElement('h5', { className: 'text-lg font-semibold text-gray-300 mb-2', textContent: 'Practice Log' }),
+            buildElement('p', { className: 'text-sm text-gray-400 mb-2', textContent: `This week: ${thisWeek.length} session${thisWeek.length === 1 ? '' : 's'}, ${weekMinutes} min` }),
+            recentSessions
+        ]);
+    },
+
+    actions: {
+        start_breathing({ toolElement, toolId, requestFollowUp }) {
+            if (this.activeSession) this.activeSession.breathingSession.stop();
+
+            const exercise = chatManager.getActiveChatTools().breathing_exercise.find(entry => entry.id === toolId);
+            const preferences = {
+                pattern: toolElement.querySelector('.breathing-pattern').value,
+                length: Math.min(60, Math.max(1, parseInt(toolElement.querySelector('.breathing-length').value) || 1)),
+                unit: toolElement.querySelector('.breathing-unit').value,
+                sound: toolElement.querySelector('.breathing-sound').checked,
+                vibration: toolElement.querySelector('.breathing-vibration').checked
+            };
+            saveBreathingPreferences(preferences);
+
+            const pattern = breathingPatternOptions(exercise).find(option => option.value === preferences.pattern);
+            const rounds = preferences.unit === 'minutes' ? BreathingSession.roundsForMinutes(pattern.phases, preferences.length) : preferences.length;
+            const startedAt = new Date().toISOString();
+            // The modal can be re-rendered mid-session, so look the elements up on every update.
+            const elements = () => {
+                const element = findBreathingExerciseElement(toolId);
+                return element && {
+                    pacer: element.querySelector('.breathing-pacer'),
+                    status: element.querySelector('.breathing-status'),
+                    progress: element.querySelector('.breathing-progress')
+                };
+            };
+
+            const breathingSession = new BreathingSession({
+                phases: pattern.phases,
+                rounds,
+                onPhase: (step, round, stepRemaining) => {
+                    if (preferences.sound) playBreathingTone(step.phase);
+                    if (preferences.vibration) vibrateForPhase(step.phase);
+                    const current = elements();
+                    if (!current) return;
+                    current.pacer.style.transform = '';
+                    current.pacer.style.transitionDuration = `${stepRemaining}s`;
+                    current.pacer.className = `breathing-pacer ${step.phase}`;
+                    current.status.textContent = BREATHING_PHASE_LABELS[step.phase];
+                },
+                onTick: ({ round, remainingSeconds }) => {
+                    const current = elements();
+                    if (current) current.progress.textContent = `Round ${round} of ${rounds} · ${formatDuration(remainingSeconds)} left`;
+                },
+                onComplete: ({ completed, durationSeconds }) => {
+                    this.activeSession = null;
+                    chatManager.addPracticeSession({ pattern: preferences.pattern, patternName: pattern.name, rounds, durationSeconds, completed, startedAt });
+                    renderToolsInModal(chatManager.getActiveChatTools());
+                    const current = elements();
+                    if (current) current.status.textContent = completed ? 'Complete!' : 'Stopped';
+                    if (completed) {
+                        closeToolsModal();
+                        requestFollowUp({ type: 'breathing_complete', patternName: pattern.name, durationSeconds });
+                    }
+                }
+            });
+            this.activeSession = { exerciseId: toolId, breathingSession };
+            toolElement.querySelector('[data-action="start_breathing"]').classList.add('hidden');
+            toolElement.querySelector('[data-action="toggle_breathing_pause"]').classList.remove('hidden');
+            toolElement.querySelector('[data-action="stop_breathing"]').classList.remove('hidden');
+            breathingSession.start();
+        },
+        toggle_breathing_pause({ target, toolElement }) {
+            if (!this.activeSession) return;
+            const { breathingSession } = this.activeSession;
+            if (breathingSession.isPaused) {
+                target.textContent = 'Pause';
+                breathingSession.resume();
+            } else {
+                target.textContent = 'Resume';
+                breathingSession.pause();
+                // Freeze the pacer where it is until the session resumes.
+                const pacer = toolElement.querySelector('.breathing-pacer');
+                pacer.style.transform = getComputedStyle(pacer).transform;
+                pacer.style.transitionDuration = '0s';
+                toolElement.querySelector('.breathing-status').textContent = 'Paused';
+            }
+        },
+        stop_breathing() {
+            if (this.activeSession) this.activeSession.breathingSession.stop();
+        }
+    },
+
+    followUpNotes: {
+        breathing_complete({ patternName, durationSeconds }) {
+            return `[System Note: The user just finished a breathing exercise (${patternName}, ${formatDuration(durationSeconds)}). Gently ask how they are feeling now.]`;
+        }
+    }
+});
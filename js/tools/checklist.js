@@ -0,0 +1,187 @@
+// tools/checklist.js
+// The Checklist tool. Items keep their done state, can have due dates, and can be
+// added, edited, reordered and deleted by hand or extended by Aura with a
+// <tool_update> tag. Every ticked item is logged in the chat's accomplishments.
+
+// Anything else the model writes (e.g. "next friday") is dropped, as it can't be shown as a date.
+const CHECKLIST_DUE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function formatDueDate(due) {
+    // Due dates are plain "YYYY-MM-DD" days, so parse them as local dates.
+    const [year, month, day] = due.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString([], { month: 'short', day: 'numeric' });
+}
+
+registerTool({
+    type: 'checklist',
+    name: 'Checklist',
+    order: 2,
+    schema: {
+        type: 'object',
+        required: ['type', 'id', 'title', 'items'],
+        properties: {
+            type: { const: 'checklist' },
+            id: { type: 'string', default: () => `checklist-${Date.now()}` },
+            title: { type: 'string', default: 'Your Checklist' },
+            items: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['id', 'text', 'done', 'due', 'completedAt'],
+                    properties: {
+                        id: { type: 'string', default: createChecklistItemId },
+                        text: { type: 'string' },
+                        done: { type: 'boolean', default: false },
+                        due: { type: 'string', pattern: CHECKLIST_DUE_DATE_PATTERN.source, default: null },
+                        completedAt: { type: 'string', default: null }
+                    }
+                }
+            }
+        }
+    },
+    trigger: {
+        when: 'Use this when a user wants a plan, needs to organize tasks, sets a goal, or feels stuck.',
+        theme: 'The `theme` attribute should be the topic of the checklist.',
+        example: '<tool_create type="checklist" theme="plan the user\'s upcoming beach trip" />',
+        update: 'To add items to an existing checklist instead of creating a new one, use `<tool_update type="checklist" id="[checklist_id]" add="First new item|Second new item" />`.'
+    },
+
+    buildPrompt(theme) {
+        return `An AI assistant needs to create a checklist for a user based on the theme: "${theme}".
+- Create a friendly, encouraging title for the checklist.
+- Create 3 to 5 short, actionable checklist items.
+- Your output MUST be only the raw JSON object with this exact structure: { "type": "checklist", "id": "checklist-${Date.now()}", "title": "...", "items": [{"text": "...", "done": false}] }`;
+    },
+
+    summarize(checklist) {
+        const doneCount = checklist.items.filter(item => item.done).length;
+        const lines = [`- Checklist: "${checklist.title}" (id: ${checklist.id}, ${doneCount} of ${checklist.items.length} done)`];
+        checklist.items.forEach((item, index) => {
+            lines.push(`  ${index + 1}. [${item.done ? 'x' : ' '}] ${item.text}${item.due ? ` (due ${item.due})` : ''}`);
+        });
+        return lines.join('\n');
+    },
+
+    render(checklist, container) {
+        const doneCount = checklist.items.filter(item => item.done).length;
+        const progress = checklist.items.length > 0 ? Math.round((doneCount / checklist.items.length) * 100) : 0;
+        const today = toDayKey(new Date());
+        const inputClasses = 'p-2 bg-gray-800 text-gray-200 border border-gray-700 rounded-md focus:outline-none focus:ring-2 focus:ring-pink-500';
+        const iconButton = (textContent, title, action, { dataset = {}, disabled = false } = {}) =>
+            buildElement('button', { className: 'checklist-icon-button', textContent, title, disabled, dataset: { action, ...dataset } });
+
+        const items = checklist.items.map((item, index) => {
+            const isOverdue = item.due && !item.done && item.due < today;
+            const checkboxId = `modal-${checklist.id}-item-${index}`;
+            return buildElement('li', { className: 'checklist-item', dataset: { itemId: item.id } }, [
+                buildElement('div', { className: 'flex items-center' }, [
+                    buildElement('input', {
+                        type: 'checkbox',
+                        id: checkboxId,
+                        className: 'h-5 w-5 rounded border-gray-500 bg-gray-800 text-pink-600 focus:ring-pink-500 mr-4',
+                        checked: item.done,
+                        dataset: { action: 'toggle_item' }
+                    }),
+                    buildElement('label', {
+                        htmlFor: checkboxId,
+                        className: `flex-1 transition-colors duration-200 text-lg ${item.done ? 'line-through text-gray-500' : 'text-gray-200'}`,
+                        textContent: item.text
+                    }),
+                    item.due ? buildElement('span', {
+                        className: `checklist-due ${isOverdue ? 'overdue' : ''}`,
+                        textContent: `${isOverdue ? 'Overdue · ' : 'Due '}${formatDueDate(item.due)}`
+                    }) : null,
+                    iconButton('✎', 'Edit', 'edit_item'),
+                    iconButton('↑', 'Move up', 'move_item', { dataset: { offset: '-1' }, disabled: index === 0 }),
+                    iconButton('↓', 'Move down', 'move_item', { dataset: { offset: '1' }, disabled: index === checklist.items.length - 1 }),
+                    iconButton('✕', 'Delete', 'delete_item')
+                ]),
+                buildElement('div', { className: 'checklist-item-editor hidden mt-2 flex gap-2' }, [
+                    buildElement('input', { type: 'text', className: `checklist-edit-text flex-1 ${inputClasses}`, value: item.text }),
+                    buildElement('input', { type: 'date', className: `checklist-edit-due ${inputClasses}`, value: item.due || '' }),
+                    buildElement('button', { className: 'tool-button mt-0', textContent: 'Save', dataset: { action: 'save_item' } })
+                ])
+            ]);
+        });
+
+        container.appendChild(buildElement('div', {}, [
+            buildElement('h4', { className: 'text-xl font-bold mb-2 text-gray-200', textContent: checklist.title }),
+            buildElement('div', { className: 'flex items-center gap-3 mb-3' }, [
+                buildElement('div', {
+                    className: 'checklist-progress flex-1',
+                    attributes: { role: 'progressbar', 'aria-valuemin': '0', 'aria-valuemax': '100', 'aria-valuenow': String(progress) }
+                }, [
+                    buildElement('div', { className: 'checklist-progress-fill', attributes: { style: `width: ${progress}%` } })
+                ]),
+                buildElement('span', { className: 'text-sm text-gray-400', textContent: `${doneCount} of ${checklist.items.length} done` })
+            ]),
+            buildElement('div', { className: 'checklist-scroll-container' }, [
+                buildElement('ul', { className: 'space-y-3' }, items)
+            ]),
+            buildElement('div', { className: 'flex gap-2 mt-3' }, [
+                buildElement('input', { type: 'text', className: `checklist-new-text flex-1 ${inputClasses}`, placeholder: 'Add an item' }),
+                buildElement('input', { type: 'date', className: `checklist-new-due ${inputClasses}`, title: 'Due date (optional)' }),
+                buildElement('button', { className: 'tool-button mt-0', textContent: 'Add', dataset: { action: 'add_item' } })
+            ])
+        ]));
+    },
+
+    actions: {
+        async toggle_item({ target, toolId, refresh, requestFollowUp }) {
+            const itemId = target.closest('[data-item-id]').dataset.itemId;
+            const item = chatManager.setChecklistItemDone(toolId, itemId, target.checked);
+            refresh();
+            if (item && item.done) {
+                const checklist = chatManager.findChecklistInActiveChat(toolId);
+                closeToolsModal();
+                await requestFollowUp({
+                    type: 'checklist_item_completed',
+                    text: item.text,
+                    doneCount: checklist.items.filter(entry => entry.done).length,
+                    totalCount: checklist.items.length
+                });
+            }
+        },
+        edit_item({ target }) {
+            target.closest('[data-item-id]').querySelector('.checklist-item-editor').classList.toggle('hidden');
+        },
+        save_item({ target, toolId, refresh }) {
+            const itemElement = target.closest('[data-item-id]');
+            chatManager.updateChecklistItem(toolId, itemElement.dataset.itemId, {
+                text: itemElement.querySelector('.checklist-edit-text').value,
+                due: itemElement.querySelector('.checklist-edit-due').value
+            });
+            refresh();
+        },
+        move_item({ target, toolId, refresh }) {
+            chatManager.moveChecklistItem(toolId, target.closest('[data-item-id]').dataset.itemId, parseInt(target.dataset.offset));
+            refresh();
+        },
+        delete_item({ target, toolId, refresh }) {
+            if (!confirm('Delete this item?')) return;
+            chatManager.deleteChecklistItem(toolId, target.closest('[data-item-id]').dataset.itemId);
+            refresh();
+        },
+        add_item({ toolElement, toolId, refresh }) {
+            const text = toolElement.querySelector('.checklist-new-text').value;
+            const due = toolElement.querySelector('.checklist-new-due').value;
+            if (chatManager.addChecklistItems(toolId, [{ text, due }]).length > 0) refresh();
+        }
+    },
+
+    updateAttributes: ['add'],
+    applyUpdate(toolId, { add }) {
+        if (!add) return false;
+        return chatManager.addChecklistItems(toolId, add.split('|').map(text => ({ text }))).length > 0;
+    },
+
+    followUpNotes: {
+        checklist_item_completed({ text, doneCount, totalCount }) {
+            const progress = doneCount === totalCount
+                ? 'That was the last item, so the whole checklist is done. Celebrate it!'
+                : `They've now done ${doneCount} of ${totalCount} items.`;
+            return `[System Note: The user just completed the task "${text}" from their checklist. ${progress} Acknowledge this specific accomplishment and offer encouragement.]`;
+        }
+    }
+});
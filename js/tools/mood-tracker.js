@@ -0,0 +1,123 @@
+// tools/mood-tracker.js
+// The Mood Tracker tool. Logged moods go to the global mood journal (see mood.js),
+// so every chat's tracker shares the same history.
+
+registerTool({
+    type: 'mood_tracker',
+    name: 'Mood Tracker',
+    order: 1,
+    schema: {
+        type: 'object',
+        required: ['type', 'id', 'title', 'options'],
+        properties: {
+            type: { const: 'mood_tracker' },
+            id: { type: 'string', default: () => `mood-${Date.now()}` },
+            title: { type: 'string', default: 'Your Mood Tracker' },
+            options: { type: 'array', items: { enum: MOOD_OPTIONS }, minItems: 1, default: MOOD_OPTIONS }
+        }
+    },
+    trigger: {
+        when: 'Use this the FIRST time a user states a strong, simple emotion (e.g., "I feel sad," "I\'m so happy").',
+        condition: 'DO NOT use this tag if a Mood Tracker tool already exists in the [Current Toolbox State].',
+        example: '<tool_create type="mood_tracker" />'
+    },
+
+    buildPrompt() {
+        return `You are an AI assistant that creates JSON for a "Mood Tracker" tool.
+- Your output MUST be only the raw JSON object.
+- The object must have this exact structure: { "type": "mood_tracker", "id": "mood-${Date.now()}", "title": "Your Mood Tracker", "options": ${JSON.stringify(MOOD_OPTIONS)} }`;
+    },
+
+    summarize(tracker) {
+        return `- Mood Tracker: "${tracker.title}" is available.`;
+    },
+
+    render(tracker, container) {
+        const moodJournal = chatManager.getMoodJournal();
+        const inputClasses = 'w-full p-2 bg-gray-800 text-gray-200 border border-gray-700 rounded-md focus:outline-none focus:ring-2 focus:ring-pink-500';
+
+        const buttons = buildElement('div', { className: 'mood-tracker-container' }, tracker.options.map(option =>
+            buildElement('button', { className: 'mood-button', title: option, textContent: MOOD_EMOJIS[option] || '❓', dataset: { action: 'select_mood', mood: option } })
+        ));
+
+        const details = buildElement('div', { className: 'mood-details hidden mt-4 space-y-3' }, [
+            buildElement('label', { className: 'block text-sm text-gray-300' }, [
+                'Intensity: ',
+                buildElement('span', { className: 'mood-intensity-value', textContent: String(DEFAULT_MOOD_INTENSITY) }),
+                '/10',
+                buildElement('input', {
+                    type: 'range',
+                    min: '1',
+                    max: '10',
+                    value: String(DEFAULT_MOOD_INTENSITY),
+                    className: 'mood-intensity w-full mt-1 accent-pink-600',
+                    dataset: { action: 'set_intensity', actionOn: 'input' }
+                })
+            ]),
+            buildElement('input', { type: 'text', className: `mood-note ${inputClasses}`, placeholder: 'Add a note (optional)' }),
+            buildElement('input', { type: 'text', className: `mood-tags ${inputClasses}`, placeholder: 'Tags, separated by commas (e.g. work, sleep)' }),
+            buildElement('button', { className: 'tool-button', textContent: 'Log mood', dataset: { action: 'log_mood' } })
+        ]);
+
+        const recentMoods = moodJournal.length > 0
+            ? buildElement('ul', { className: 'text-gray-400 space-y-1 text-sm' }, moodJournal.slice(-5).reverse().map(entry => {
+                const formattedDate = new Date(entry.timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+                return buildElement('li', { className: 'flex justify-between' }, [
+                    buildElement('span', { textContent: `${MOOD_EMOJIS[entry.mood]} ${entry.mood} · ${entry.intensity}/10` }),
+                    buildElement('span', { textContent: formattedDate })
+                ]);
+            }))
+            : buildElement('p', { className: 'text-gray-500 text-sm', textContent: 'No moods logged yet.' });
+        const history = buildElement('div', { className: 'mt-4' }, [
+            buildElement('h5', { className: 'text-lg font-semibold text-gray-300 mb-2', textContent: 'Recent Moods' }),
+            recentMoods,
+            buildElement('button', { className: 'tool-button', textContent: 'View mood dashboard', dataset: { action: 'open_mood_dashboard' } })
+        ]);
+
+        container.appendChild(buildElement('div', { className: 'mood-tracker' }, [
+            buildElement('h4', { className: 'text-xl font-bold mb-3 text-gray-200', textContent: tracker.title }),
+            buildElement('p', { className: 'text-gray-400 mb-3', textContent: 'How are you feeling right now?' }),
+            buttons,
+            details,
+            history
+        ]));
+    },
+
+    actions: {
+        select_mood({ target, toolElement }) {
+            toolElement.querySelectorAll('.mood-button').forEach(button => button.classList.remove('selected'));
+            target.classList.add('selected');
+            toolElement.dataset.selectedMood = target.dataset.mood;
+            toolElement.querySelector('.mood-details').classList.remove('hidden');
+        },
+        set_intensity({ target, toolElement }) {
+            toolElement.querySelector('.mood-intensity-value').textContent = target.value;
+        },
+        async log_mood({ toolElement, refresh, requestFollowUp }) {
+            const entry = chatManager.addMoodEntry({
+                mood: toolElement.dataset.selectedMood,
+                intensity: parseInt(toolElement.querySelector('.mood-intensity').value),
+                note: toolElement.querySelector('.mood-note').value.trim(),
+                tags: parseMoodTags(toolElement.querySelector('.mood-tags').value)
+            });
+            refresh();
+            closeToolsModal();
+            await requestFollowUp({ type: 'mood_logged', entry });
+        },
+        open_mood_dashboard() {
+            closeToolsModal();
+            renderMoodDashboard(chatManager.getMoodJournal());
+            openMoodDashboardModal();
+        }
+    },
+
+    followUpNotes: {
+        mood_logged({ entry }) {
+            const { mood, intensity, note, tags } = entry;
+            const details = [`intensity ${intensity}/10`];
+            if (tags.length > 0) details.push(`tagged ${tags.join(', ')}`);
+            if (note) details.push(`with the note "${note}"`);
+            return `[System Note: The user just logged their mood as "${mood}" (${details.join(', ')}). Respond with empathy and ask an open-ended question about it. If the [Mood Trends] show a relevant pattern, gently mention it.]`;
+        }
+    }
+});
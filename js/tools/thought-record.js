@@ -0,0 +1,241 @@
+// tools/thought-record.js
+// The Thought Record tool: a CBT-style journal for working through a distressing
+// thought, from the situation and the automatic thought, through the evidence for
+// and against it, to a more balanced thought. Entries are saved on the tool and can
+// be searched across every chat.
+
+// The order the steps are filled in. `intensity` and `intensityAfter` are sliders.
+const THOUGHT_RECORD_STEPS = [
+    { field: 'situation', label: 'Situation', prompt: 'What happened? Where were you, and who were you with?' },
+    { field: 'automaticThought', label: 'Automatic thought', prompt: 'What went through your mind?' },
+    { field: 'emotion', label: 'Emotion', prompt: 'What did you feel? (e.g. anxious, ashamed, angry)' },
+    { field: 'evidenceFor', label: 'Evidence for the thought', prompt: 'What facts support this thought?' },
+    { field: 'evidenceAgainst', label: 'Evidence against the thought', prompt: "What facts don't fit it? What would you tell a friend?" },
+    { field: 'balancedThought', label: 'Balanced thought', prompt: 'Taking all the evidence into account, what is a fairer way to see it?' }
+];
+// The text fields searched by searchEntries.
+const THOUGHT_RECORD_FIELDS = THOUGHT_RECORD_STEPS.map(step => step.field);
+const DEFAULT_THOUGHT_INTENSITY = 50;
+const THOUGHT_RECORD_RESULTS_SHOWN = 5;
+
+registerTool({
+    type: 'thought_record',
+    name: 'Thought Record',
+    order: 5,
+    schema: {
+        type: 'object',
+        required: ['type', 'id', 'title', 'prompts', 'entries'],
+        properties: {
+            type: { const: 'thought_record' },
+            id: { type: 'string', default: () => `thought-record-${Date.now()}` },
+            title: { type: 'string', default: 'Working Through a Thought' },
+            prompts: {
+                type: 'object',
+                default: () => Object.fromEntries(THOUGHT_RECORD_STEPS.map(step => [step.field, step.prompt])),
+                properties: Object.fromEntries(THOUGHT_RECORD_STEPS.map(step => [step.field, { type: 'string', default: step.prompt }]))
+            },
+            entries: {
+                type: 'array',
+                default: [],
+                items: {
+                    type: 'object',
+                    required: ['id', 'situation', 'automaticThought', 'createdAt'],
+                    properties: {
+                        id: { type: 'string' },
+                        situation: { type: 'string' },
+                        automaticThought: { type: 'string' },
+                        createdAt: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+    trigger: {
+        when: 'Use this when a user is caught up in a distressing or self-critical thought (e.g., "I always mess everything up," "Everyone thinks I\'m annoying") and could benefit from examining it step by step.',
+        theme: 'The `theme` attribute should describe the thought or situation to work through.',
+        example: '<tool_create type="thought_record" theme="feeling like a failure after a bad exam" />'
+    },
+
+    buildPrompt(theme) {
+        return `You are an AI assistant that creates JSON for a CBT "Thought Record".
+- The theme is: "${theme}".
+- Generate a short, gentle title.
+- For "prompts", write one short guiding question for each step, tailored to the theme: the situation, the automatic thought, the emotion, the evidence for the thought, the evidence against it, and a more balanced thought.
+- Your output MUST be only the raw JSON object with this exact structure: { "type": "thought_record", "id": "thought-record-${Date.now()}", "title": "...", "prompts": { "situation": "...", "automaticThought": "...", "emotion": "...", "evidenceFor": "...", "evidenceAgainst": "...", "balancedThought": "..." }, "entries": [] }`;
+    },
+
+    summarize(record) {
+        const lines = [`- Thought Record: "${record.title}" (${record.entries.length} saved)`];
+        const latest = record.entries[record.entries.length - 1];
+        if (latest) lines.push(`  - Latest: "${latest.automaticThought}" → "${latest.balancedThought || 'no balanced thought yet'}"`);
+        return lines.join('\n');
+    },
+
+    render(record, container) {
+        const inputClasses = 'w-full mt-1 p-2 bg-gray-800 text-gray-200 border border-gray-700 rounded-md focus:outline-none focus:ring-2 focus:ring-pink-500';
+        const intensitySlider = (className, label) => buildElement('label', { className: 'block text-sm text-gray-300' }, [
+            `${label}: `,
+            buildElement('span', { className: 'thought-intensity-value', textContent: String(DEFAULT_THOUGHT_INTENSITY) }),
+            '%',
+            buildElement('input', {
+                type: 'range',
+                min: '0',
+                max: '100',
+                step: '5',
+                value: String(DEFAULT_THOUGHT_INTENSITY),
+                className: `${className} w-full mt-1 accent-pink-600`,
+                dataset: { action: 'set_thought_intensity', actionOn: 'input' }
+            })
+        ]);
+
+        const steps = THOUGHT_RECORD_STEPS.flatMap((step, index) => {
+            const fieldProperties = { className: `thought-record-field ${inputClasses}`, placeholder: record.prompts[step.field], dataset: { field: step.field } };
+            const input = step.field === 'emotion'
+                ? buildElement('input', { type: 'text', ...fieldProperties })
+                : buildElement('textarea', { rows: 2, ...fieldProperties });
+            const elements = [buildElement('label', { className: 'block text-sm text-gray-300' }, [`${index + 1}. ${step.label}`, input])];
+            if (step.field === 'emotion') elements.push(intensitySlider('thought-intensity', 'How strong is it'));
+            if (step.field === 'balancedThought') elements.push(intensitySlider('thought-intensity-after', 'How strong is the emotion now'));
+            return elements;
+        });
+
+        const results = buildElement('div', { className: 'thought-record-results mt-2 space-y-2' });
+        container.appendChild(buildElement('div', { className: 'thought-record' }, [
+            buildElement('h4', { className: 'text-xl font-bold mb-2 text-gray-200', textContent: record.title }),
+            buildElement('p', { className: 'text-gray-400 mb-3', textContent: 'Work through the thought one step at a time. Only the first two steps are needed to save.' }),
+            buildElement('div', { className: 'space-y-3' }, [
+                ...steps,
+                buildElement('button', { className: 'tool-button', textContent: 'Save thought record', dataset: { action: 'save_thought_record' } })
+            ]),
+            buildElement('div', { className: 'mt-4' }, [
+                buildElement('h5', { className: 'text-lg font-semibold text-gray-300 mb-2', textContent: 'Your Thought Records' }),
+                buildElement('input', {
+                    type: 'search',
+                    className: `thought-record-search ${inputClasses}`,
+                    placeholder: 'Search all thought records',
+                    dataset: { action: 'search_thought_records', actionOn: 'input' }
+                }),
+                results
+            ])
+        ]));
+        this.renderResults(results, '');
+    },
+
+    findRecord(toolId) {
+        return (chatManager.getActiveChatTools().thought_record || []).find(record => record.id === toolId);
+    },
+
+    addEntry(toolId, fields) {
+        const record = this.findRecord(toolId);
+        if (!record) return null;
+        const entry = { id: createJournalRecordId('thought'), ...fields, createdAt: new Date().toISOString() };
+        record.entries.push(entry);
+        chatManager.saveState();
+        return entry;
+    },
+
+    deleteEntry(toolId, entryId) {
+        const record = this.findRecord(toolId);
+        if (!record) return;
+        record.entries = record.entries.filter(entry => entry.id !== entryId);
+        chatManager.saveState();
+    },
+
+    // Searches the entries of every chat's thought records, newest first. An empty query matches everything.
+    searchEntries(query) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const results = [];
+        Object.values(chatManager.state.chats).forEach(chat => {
+            ((chat.tools && chat.tools.thought_record) || []).forEach(record => {
+                record.entries.forEach(entry => {
+                    const text = THOUGHT_RECORD_FIELDS.map(field => entry[field] || '').join(' ').toLowerCase();
+                    if (terms.every(term => text.includes(term))) results.push({ chatId: chat.id, chatTitle: chat.title, toolId: record.id, entry });
+                });
+            });
+        });
+        return results.sort((a, b) => b.entry.createdAt.localeCompare(a.entry.createdAt));
+    },
+
+    renderResults(resultsElement, query) {
+        const results = this.searchEntries(query);
+        resultsElement.innerHTML = '';
+        if (results.length === 0) {
+            resultsElement.appendChild(buildElement('p', { className: 'text-gray-500 text-sm', textContent: query ? 'No thought records match your search.' : 'No thought records saved yet.' }));
+            return;
+        }
+        const activeChatId = chatManager.getActiveChatId();
+        results.slice(0, THOUGHT_RECORD_RESULTS_SHOWN).forEach(({ chatId, chatTitle, toolId, entry }) => {
+            const formattedDate = new Date(entry.createdAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+            const details = THOUGHT_RECORD_STEPS
+                .filter(step => entry[step.field])
+                .map(step => buildElement('p', {}, [buildElement('span', { className: 'text-gray-400', textContent: `${step.label}:` }), ` ${entry[step.field]}`]));
+            const intensityText = entry.intensityAfter !== undefined ? `${entry.intensity}% → ${entry.intensityAfter}%` : `${entry.intensity}%`;
+            const footer = chatId === activeChatId
+                ? buildElement('button', { className: 'checklist-icon-button', title: 'Delete', textContent: 'Delete', dataset: { action: 'delete_thought_record', recordId: toolId, entryId: entry.id } })
+                : buildElement('span', { className: 'text-xs text-gray-500', textContent: `From "${chatTitle}"` });
+            resultsElement.appendChild(buildElement('details', { className: 'thought-record-entry text-sm' }, [
+                buildElement('summary', { className: 'cursor-pointer text-gray-300' }, [
+                    `"${entry.automaticThought}" `,
+                    buildElement('span', { className: 'text-gray-500', textContent: `· ${formattedDate}` })
+                ]),
+                buildElement('div', { className: 'mt-2 space-y-1 text-gray-300' }, [
+                    ...details,
+                    buildElement('p', {}, [buildElement('span', { className: 'text-gray-400', textContent: 'Intensity:' }), ` ${intensityText}`])
+                ]),
+                buildElement('div', { className: 'mt-1 text-right' }, [footer])
+            ]));
+        });
+        if (results.length > THOUGHT_RECORD_RESULTS_SHOWN) {
+            resultsElement.appendChild(buildElement('p', { className: 'text-gray-500 text-xs', textContent: `Showing ${THOUGHT_RECORD_RESULTS_SHOWN} of ${results.length}. Search to find older ones.` }));
+        }
+    },
+
+    actions: {
+        set_thought_intensity({ target }) {
+            target.closest('label').querySelector('.thought-intensity-value').textContent = target.value;
+        },
+        async save_thought_record({ toolElement, toolId, refresh, requestFollowUp }) {
+            const fields = {};
+            toolElement.querySelectorAll('.thought-record-field').forEach(input => {
+                fields[input.dataset.field] = input.value.trim();
+            });
+            if (!fields.situation || !fields.automaticThought) {
+                alert('Describe the situation and the thought that came up before saving.');
+                return;
+            }
+            const entry = this.addEntry(toolId, {
+                ...fields,
+                intensity: parseInt(toolElement.querySelector('.thought-intensity').value),
+                intensityAfter: fields.balancedThought ? parseInt(toolElement.querySelector('.thought-intensity-after').value) : undefined
+            });
+            refresh();
+            closeToolsModal();
+            await requestFollowUp({ type: 'thought_record_saved', entry });
+        },
+        search_thought_records({ target, toolElement }) {
+            this.renderResults(toolElement.querySelector('.thought-record-results'), target.value);
+        },
+        delete_thought_record({ target, toolElement }) {
+            if (!confirm('Delete this thought record?')) return;
+            this.deleteEntry(target.dataset.recordId, target.dataset.entryId);
+            this.renderResults(toolElement.querySelector('.thought-record-results'), toolElement.querySelector('.thought-record-search').value);
+        }
+    },
+
+    followUpNotes: {
+        thought_record_saved({ entry }) {
+            const lines = [
+                `Situation: "${entry.situation}"`,
+                `Automatic thought: "${entry.automaticThought}"`
+            ];
+            if (entry.emotion) lines.push(`Emotion: ${entry.emotion} (${entry.intensity}%)`);
+            if (entry.evidenceFor) lines.push(`Evidence for: "${entry.evidenceFor}"`);
+            if (entry.evidenceAgainst) lines.push(`Evidence against: "${entry.evidenceAgainst}"`);
+            if (entry.balancedThought) lines.push(`Balanced thought: "${entry.balancedThought}" (emotion now ${entry.intensityAfter}%)`);
+            const guidance = entry.balancedThought
+                ? 'Acknowledge the work they did and reflect any shift in how strongly they feel. Ask what they want to take away from it.'
+                : "They stopped before finding a balanced thought. Gently help them weigh the evidence and find one, one question at a time.";
+            return `[System Note: The user just saved a thought record.\n${lines.join('\n')}\n${guidance} Don't repeat the whole record back to them.]`;
+        }
+    }
+});
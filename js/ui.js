@@ -5,10 +5,50 @@
 // --- DOM Element References ---
 const chatMessages = document.getElementById('chatMessages');
 const chatList = document.getElementById('chatList');
+const chatSearchResults = document.getElementById('chatSearchResults');
 const settingsModal = document.getElementById('settingsModal');
 const toolsModal = document.getElementById('toolsModal');
 const toolsModalContent = document.getElementById('toolsModalContent');
 const toolsButton = document.getElementById('toolsButton');
+const crisisCard = document.getElementById('crisisCard');
+const moodDashboardModal = document.getElementById('moodDashboardModal');
+const moodDashboardContent = document.getElementById('moodDashboardContent');
+const memoriesModal = document.getElementById('memoriesModal');
+const memoriesModalContent = document.getElementById('memoriesModalContent');
+const remindersModal = document.getElementById('remindersModal');
+const remindersModalContent = document.getElementById('remindersModalContent');
+const affirmationsModal = document.getElementById('affirmationsModal');
+const affirmationsModalContent = document.getElementById('affirmationsModalContent');
+const cardOfTheDayModal = document.getElementById('cardOfTheDayModal');
+const syncStatus = document.getElementById('syncStatus');
+
+// --- Building Elements ---
+
+/**
+ * Creates an element without parsing any HTML, so it's safe for text written by the
+ * model or the user.
+ * @param {string} tag The element's tag name.
+ * @param {object} properties Properties to set, e.g. className, textContent or value;
+ *     `dataset` and `attributes` take objects of data-* values and attributes.
+ * @param {Array<Node|string|null>} children Elements or plain text to append; nulls are skipped.
+ * @returns {HTMLElement} The new element.
+ */
+function buildElement(tag, properties = {}, children = []) {
+    const element = document.createElement(tag);
+    Object.entries(properties).forEach(([name, value]) => {
+        if (name === 'dataset') {
+            Object.assign(element.dataset, value);
+        } else if (name === 'attributes') {
+            Object.entries(value).forEach(([attribute, attributeValue]) => element.setAttribute(attribute, attributeValue));
+        } else {
+            element[name] = value;
+        }
+    });
+    children.forEach(child => {
+        if (child !== null && child !== undefined && child !== false) element.append(child);
+    });
+    return element;
+}
 
 // A simple utility to clear the chat window.
 function clearChatMessages() {
@@ -17,134 +57,432 @@ function clearChatMessages() {
 
 // --- Rendering functions for the TOOLS MODAL ---
 
-function renderChecklistInModal(checklist, container) {
-    const section = document.createElement('div');
-    let html = `
-        <h4 class="text-xl font-bold mb-3 text-gray-200">${checklist.title}</h4>
-        <div class="checklist-scroll-container">
-            <ul class="checklist-columns space-y-3">`;
-
-    checklist.items.forEach((item, index) => {
-        html += `<li class="flex items-center">
-            <input type="checkbox" id="modal-${checklist.id}-item-${index}" 
-                   class="h-5 w-5 rounded border-gray-500 bg-gray-800 text-pink-600 focus:ring-pink-500 mr-4" 
-                   data-tool-type="checklist" 
-                   data-tool-id="${checklist.id}" 
-                   data-item-index="${index}" ${item.done ? 'checked' : ''}>
-            <label for="modal-${checklist.id}-item-${index}" class="transition-colors duration-200 text-lg ${item.done ? 'line-through text-gray-500' : 'text-gray-200'}">
-                ${item.text}
-            </label>
-        </li>`;
+// Each tool is drawn by its own definition (see tool-registry.js), wrapped in an
+// element carrying its type and id so tool actions can find their way back to it.
+function renderToolsInModal(tools) {
+    toolsModalContent.innerHTML = '';
+    let hasTools = false;
+
+    getRegisteredTools().forEach(tool => {
+        (tools[tool.type] || []).forEach(toolInstance => {
+            if (hasTools) {
+                const divider = document.createElement('hr');
+                divider.className = 'my-6 border-gray-700';
+                toolsModalContent.appendChild(divider);
+            }
+            hasTools = true;
+
+            const wrapper = document.createElement('div');
+            wrapper.dataset.toolType = tool.type;
+            wrapper.dataset.toolId = toolInstance.id;
+            tool.render(toolInstance, wrapper);
+            toolsModalContent.appendChild(wrapper);
+        });
     });
 
-    html += `</ul></div>`;
-    section.innerHTML = html;
-    container.appendChild(section);
+    if (!hasTools) {
+        toolsModalContent.innerHTML = '<p class="text-gray-400">No tools have been created for this chat yet.</p>';
+    }
+    renderAccomplishmentLog(chatManager.getActiveChatAccomplishments(), toolsModalContent);
 }
 
-function renderBreathingExerciseInModal(exercise, container) {
-    const section = document.createElement('div');
-    section.className = 'breathing-exercise-container';
-    section.innerHTML = `
-        <h4 class="text-xl font-bold mb-2 text-gray-200">${exercise.title}</h4>
-        <div class="breathing-pacer"></div>
-        <div class="breathing-status">Press Start</div>
-        <button class="tool-button" data-action="start_breathing" data-tool-type="breathing_exercise" data-cycle-inhale="${exercise.cycle.inhale}" data-cycle-hold="${exercise.cycle.hold}" data-cycle-exhale="${exercise.cycle.exhale}">Start</button>
-    `;
-    container.appendChild(section);
+function renderAccomplishmentLog(accomplishments, container) {
+    if (accomplishments.length === 0) return;
+    const items = accomplishments.slice().reverse().map(entry => {
+        const formattedDate = entry.completedAt
+            ? new Date(entry.completedAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+            : '';
+        return buildElement('li', { className: 'flex justify-between gap-4' }, [
+            buildElement('span', { textContent: `✓ ${entry.text}` }),
+            buildElement('span', { className: 'whitespace-nowrap', textContent: formattedDate })
+        ]);
+    });
+    container.appendChild(buildElement('div', { className: 'mt-6 pt-4 border-t border-gray-700' }, [
+        buildElement('h5', { className: 'text-lg font-semibold text-gray-300 mb-2', textContent: `Accomplishments (${accomplishments.length})` }),
+        buildElement('ul', { className: 'accomplishment-log text-gray-400 space-y-1 text-sm' }, items)
+    ]));
+}
+
+// --- Rendering functions for the MOOD DASHBOARD ---
+
+const MOOD_DASHBOARD_WEEKS = 12;
+
+function svgElement(tag, attributes = {}) {
+    const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+// Red for low days, gray for mixed, green for good ones.
+function valenceColor(valence) {
+    if (valence === null) return '#1f2937';
+    const t = Math.max(-1, Math.min(1, valence / 2));
+    const [from, to] = t < 0 ? [[107, 114, 128], [239, 68, 68]] : [[107, 114, 128], [34, 197, 94]];
+    const mix = from.map((channel, i) => Math.round(channel + (to[i] - channel) * Math.abs(t)));
+    return `rgb(${mix.join(', ')})`;
 }
 
-function renderAffirmationCardInModal(card, container) {
+function renderDashboardSection(title, container) {
     const section = document.createElement('div');
-    section.className = 'affirmation-card mt-4';
-    
-    let affirmationHTML = Array.isArray(card.text)
-        ? `<ul class="space-y-2 list-disc list-inside affirmation-text">${card.text.map(t => `<li>"${t}"</li>`).join('')}</ul>`
-        : `<p class="affirmation-text">"${card.text}"</p>`;
-
-    section.innerHTML = `
-        <h4 class="text-xl font-bold mb-3 text-gray-200">${card.title || "Your Affirmation"}</h4>
-        ${affirmationHTML}
-        <button class="tool-button" data-action="commit_affirmation" data-tool-type="affirmation_card" data-affirmation-text="${Array.isArray(card.text) ? card.text.join(' ') : card.text}">${card.buttonText}</button>
-    `;
+    const heading = document.createElement('h5');
+    heading.className = 'text-lg font-semibold text-gray-300 mb-2';
+    heading.textContent = title;
+    section.appendChild(heading);
     container.appendChild(section);
+    return section;
 }
 
-function renderMoodTrackerInModal(tracker, container) {
-    const section = document.createElement('div');
-    const emojis = { "Happy": '😊', "Okay": '🙂', "Neutral": '😐', "Sad": '😔', "Angry": '😠' };
-    
-    let buttonsHTML = '<div class="mood-tracker-container">';
-    tracker.options.forEach(option => {
-        buttonsHTML += `<button class="mood-button" data-action="log_mood" data-mood="${option}">${emojis[option] || '❓'}</button>`;
+function renderMoodHeatmap(entries, container) {
+    const cellSize = 16;
+    const gap = 4;
+    const today = new Date();
+    const firstDay = startOfWeek(today);
+    firstDay.setDate(firstDay.getDate() - (MOOD_DASHBOARD_WEEKS - 1) * 7);
+    const summary = getMoodDailySummary(entries, MOOD_DASHBOARD_WEEKS * 7, today);
+
+    const svg = svgElement('svg', {
+        width: MOOD_DASHBOARD_WEEKS * (cellSize + gap),
+        height: 7 * (cellSize + gap),
+        class: 'mood-heatmap'
     });
-    buttonsHTML += '</div>';
-
-    let historyHTML = '<div class="mt-4"><h5 class="text-lg font-semibold text-gray-300 mb-2">Recent Moods</h5>';
-    if (tracker.history && tracker.history.length > 0) {
-        historyHTML += '<ul class="text-gray-400 space-y-1 text-sm">';
-        tracker.history.slice(-5).reverse().forEach(entry => {
-            const date = new Date(entry.timestamp);
-            const formattedDate = date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
-            historyHTML += `<li class="flex justify-between"><span>${emojis[entry.mood]} ${entry.mood}</span> <span>${formattedDate}</span></li>`;
-        });
-        historyHTML += '</ul>';
-    } else {
-        historyHTML += '<p class="text-gray-500 text-sm">No moods logged yet.</p>';
+    for (let week = 0; week < MOOD_DASHBOARD_WEEKS; week++) {
+        for (let weekday = 0; weekday < 7; weekday++) {
+            const day = new Date(firstDay);
+            day.setDate(day.getDate() + week * 7 + weekday);
+            if (day > today) continue;
+            const daySummary = summary.get(toDayKey(day));
+            const cell = svgElement('rect', {
+                x: week * (cellSize + gap),
+                y: weekday * (cellSize + gap),
+                width: cellSize,
+                height: cellSize,
+                rx: 3,
+                fill: valenceColor(daySummary ? daySummary.valence : null)
+            });
+            const tooltip = svgElement('title');
+            tooltip.textContent = `${day.toDateString()}: ${daySummary ? `${daySummary.count} logged, ${describeValence(daySummary.valence)}` : 'nothing logged'}`;
+            cell.appendChild(tooltip);
+            svg.appendChild(cell);
+        }
     }
-    historyHTML += '</div>';
+    renderDashboardSection(`Last ${MOOD_DASHBOARD_WEEKS} Weeks`, container).appendChild(svg);
+}
 
-    section.innerHTML = `
-        <h4 class="text-xl font-bold mb-3 text-gray-200">${tracker.title}</h4>
-        <p class="text-gray-400 mb-3">How are you feeling right now?</p>
-        ${buttonsHTML}
-        ${historyHTML}
-    `;
-    container.appendChild(section);
+function renderMoodTrendLine(entries, container) {
+    const width = 400;
+    const height = 120;
+    const padding = 10;
+    const trend = getMoodWeeklyTrend(entries, MOOD_DASHBOARD_WEEKS);
+    const x = (index) => padding + index * (width - 2 * padding) / (MOOD_DASHBOARD_WEEKS - 1);
+    const y = (valence) => padding + (2 - valence) * (height - 2 * padding) / 4;
+
+    const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'mood-trend w-full' });
+    svg.appendChild(svgElement('line', { x1: padding, x2: width - padding, y1: y(0), y2: y(0), stroke: '#374151', 'stroke-dasharray': '4 4' }));
+    const points = trend
+        .map((week, index) => (week.valence === null ? null : { x: x(index), y: y(week.valence), week }))
+        .filter(Boolean);
+    svg.appendChild(svgElement('polyline', {
+        points: points.map(point => `${point.x},${point.y}`).join(' '),
+        fill: 'none',
+        stroke: '#db2777',
+        'stroke-width': 2
+    }));
+    points.forEach(point => {
+        const dot = svgElement('circle', { cx: point.x, cy: point.y, r: 4, fill: valenceColor(point.week.valence) });
+        const tooltip = svgElement('title');
+        tooltip.textContent = `Week of ${point.week.weekStart.toLocaleDateString()}: ${point.week.count} logged, ${describeValence(point.week.valence)}`;
+        dot.appendChild(tooltip);
+        svg.appendChild(dot);
+    });
+    renderDashboardSection('Weekly Trend', container).appendChild(svg);
 }
 
-function renderToolsInModal(tools) {
-    toolsModalContent.innerHTML = '';
-    let hasTools = false;
-    const renderOrder = ['mood_tracker', 'checklist', 'breathing_exercise', 'affirmation_card'];
-
-    renderOrder.forEach(toolName => {
-        if (tools[toolName] && tools[toolName].length > 0) {
-            tools[toolName].forEach(toolInstance => {
-                if (hasTools) {
-                    const divider = document.createElement('hr');
-                    divider.className = 'my-6 border-gray-700';
-                    toolsModalContent.appendChild(divider);
-                }
-                hasTools = true;
-                
-                switch (toolName) {
-                    case 'mood_tracker':
-                        renderMoodTrackerInModal(toolInstance, toolsModalContent);
-                        break;
-                    case 'checklist':
-                        renderChecklistInModal(toolInstance, toolsModalContent);
-                        break;
-                    case 'breathing_exercise':
-                        renderBreathingExerciseInModal(toolInstance, toolsModalContent);
-                        break;
-                    case 'affirmation_card':
-                        renderAffirmationCardInModal(toolInstance, toolsModalContent);
-                        break;
-                }
-            });
+function renderMoodDistribution(entries, container) {
+    const distribution = getMoodDistribution(entries);
+    const maxCount = Math.max(1, ...Object.values(distribution));
+    const list = document.createElement('div');
+    list.className = 'space-y-2';
+    Object.entries(distribution).forEach(([mood, count]) => {
+        const row = document.createElement('div');
+        row.className = 'flex items-center space-x-3 text-sm text-gray-300';
+        const label = document.createElement('span');
+        label.className = 'w-24';
+        label.textContent = `${MOOD_EMOJIS[mood] || '❓'} ${mood}`;
+        const bar = document.createElement('div');
+        bar.className = 'mood-distribution-bar h-3 rounded';
+        bar.style.width = `${(count / maxCount) * 60}%`;
+        bar.style.backgroundColor = valenceColor(mood in MOOD_VALENCE ? MOOD_VALENCE[mood] : null);
+        const countLabel = document.createElement('span');
+        countLabel.className = 'text-gray-500';
+        countLabel.textContent = count;
+        row.appendChild(label);
+        row.appendChild(bar);
+        row.appendChild(countLabel);
+        list.appendChild(row);
+    });
+    renderDashboardSection('Distribution', container).appendChild(list);
+}
+
+function renderMoodEntryList(entries, container) {
+    const list = document.createElement('ul');
+    list.className = 'space-y-3 text-sm';
+    entries.slice().reverse().forEach(entry => {
+        const item = document.createElement('li');
+        item.className = 'flex justify-between items-start p-2 bg-gray-800 rounded-md';
+        const details = document.createElement('div');
+        const heading = document.createElement('div');
+        heading.className = 'text-gray-200';
+        const date = new Date(entry.timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        heading.textContent = `${MOOD_EMOJIS[entry.mood] || '❓'} ${entry.mood} · ${entry.intensity}/10 · ${date}`;
+        details.appendChild(heading);
+        if (entry.note) {
+            const note = document.createElement('p');
+            note.className = 'text-gray-400';
+            note.textContent = entry.note;
+            details.appendChild(note);
+        }
+        if (entry.tags && entry.tags.length > 0) {
+            const tags = document.createElement('p');
+            tags.className = 'text-xs text-pink-400';
+            tags.textContent = entry.tags.map(tag => `#${tag}`).join(' ');
+            details.appendChild(tags);
         }
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'text-gray-500 hover:text-red-500 transition duration-200';
+        deleteButton.dataset.action = 'delete_mood_entry';
+        deleteButton.dataset.entryId = entry.id;
+        deleteButton.title = 'Delete entry';
+        deleteButton.textContent = '✕';
+        item.appendChild(details);
+        item.appendChild(deleteButton);
+        list.appendChild(item);
     });
+    renderDashboardSection(`Journal (${entries.length})`, container).appendChild(list);
+}
 
-    if (!hasTools) {
-        toolsModalContent.innerHTML = '<p class="text-gray-400">No tools have been created for this chat yet.</p>';
+function renderMoodDashboard(entries) {
+    moodDashboardContent.innerHTML = '';
+    if (entries.length === 0) {
+        moodDashboardContent.innerHTML = '<p class="text-gray-400">No moods logged yet. Ask Aura for a mood tracker to get started.</p>';
+        return;
+    }
+    renderMoodHeatmap(entries, moodDashboardContent);
+    renderMoodTrendLine(entries, moodDashboardContent);
+    renderMoodDistribution(entries, moodDashboardContent);
+    renderMoodEntryList(entries, moodDashboardContent);
+}
+
+// --- Rendering functions for the MEMORIES MODAL ---
+
+function renderMemoriesInModal(memories) {
+    memoriesModalContent.innerHTML = '';
+    if (memories.length === 0) {
+        memoriesModalContent.innerHTML = '<p class="text-gray-400">Aura hasn\'t remembered anything yet.</p>';
+        return;
+    }
+
+    memories.slice().reverse().forEach(memory => {
+        const row = document.createElement('div');
+        row.className = 'flex items-center space-x-2';
+        row.dataset.memoryId = memory.id;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = memory.text;
+        input.className = 'memory-text flex-1 p-2 bg-gray-800 text-gray-200 border border-gray-700 rounded-md focus:outline-none focus:ring-2 focus:ring-pink-500';
+
+        const saveButton = document.createElement('button');
+        saveButton.className = 'tool-button mt-0';
+        saveButton.dataset.action = 'save_memory';
+        saveButton.textContent = 'Save';
+
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'tool-button mt-0 hover:bg-red-600';
+        deleteButton.dataset.action = 'delete_memory';
+        deleteButton.textContent = 'Delete';
+
+        row.appendChild(input);
+        row.appendChild(saveButton);
+        row.appendChild(deleteButton);
+        memoriesModalContent.appendChild(row);
+    });
+}
+
+// --- Rendering functions for REMINDERS ---
+
+function renderRemindersInModal(reminders) {
+    remindersModalContent.innerHTML = '';
+    if (reminders.length === 0) {
+        remindersModalContent.innerHTML = '<p class="text-gray-400">No reminders scheduled.</p>';
+        return;
+    }
+
+    reminders.forEach(reminder => {
+        const row = document.createElement('div');
+        row.className = 'flex items-center space-x-2';
+        row.dataset.reminderId = reminder.id;
+
+        const details = document.createElement('div');
+        details.className = 'flex-1';
+        const text = document.createElement('p');
+        text.className = 'text-gray-200';
+        text.textContent = reminder.text;
+        const time = document.createElement('p');
+        time.className = 'text-xs text-gray-400';
+        time.textContent = `${formatReminderTime(reminder.at)}${reminder.source === 'aura' ? ' · set by Aura' : ''}`;
+        details.appendChild(text);
+        details.appendChild(time);
+
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'tool-button mt-0 hover:bg-red-600';
+        deleteButton.dataset.action = 'delete_reminder';
+        deleteButton.textContent = 'Delete';
+
+        row.appendChild(details);
+        row.appendChild(deleteButton);
+        remindersModalContent.appendChild(row);
+    });
+}
+
+// --- Rendering functions for AFFIRMATIONS ---
+
+function renderAffirmationsInModal(affirmations) {
+    affirmationsModalContent.innerHTML = '';
+    if (affirmations.length === 0) {
+        affirmationsModalContent.innerHTML = '<p class="text-gray-400">No affirmations here yet. Commit to an Affirmation Card or write your own above.</p>';
+        return;
+    }
+
+    affirmations.slice().reverse().forEach(affirmation => {
+        const row = document.createElement('div');
+        row.className = 'flex items-center space-x-2';
+        row.dataset.affirmationId = affirmation.id;
+
+        const favoriteButton = document.createElement('button');
+        favoriteButton.className = `favorite-button ${affirmation.favorite ? 'is-favorite' : ''}`;
+        favoriteButton.dataset.action = 'toggle_favorite';
+        favoriteButton.title = affirmation.favorite ? 'Remove from favourites' : 'Add to favourites';
+        favoriteButton.textContent = affirmation.favorite ? '★' : '☆';
+
+        const details = document.createElement('div');
+        details.className = 'flex-1';
+        const text = document.createElement('p');
+        text.className = 'text-gray-200';
+        text.textContent = affirmation.text;
+        const source = document.createElement('p');
+        source.className = 'text-xs text-gray-400';
+        source.textContent = affirmation.source === AFFIRMATION_SOURCES.USER ? 'Written by you' : 'From Aura';
+        details.appendChild(text);
+        details.appendChild(source);
+
+        const readButton = document.createElement('button');
+        readButton.className = 'tool-button mt-0';
+        readButton.dataset.action = 'read_affirmation';
+        readButton.textContent = 'Read';
+
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'tool-button mt-0 hover:bg-red-600';
+        deleteButton.dataset.action = 'delete_affirmation';
+        deleteButton.textContent = 'Delete';
+
+        row.appendChild(favoriteButton);
+        row.appendChild(details);
+        row.appendChild(readButton);
+        row.appendChild(deleteButton);
+        affirmationsModalContent.appendChild(row);
+    });
+}
+
+function renderCardOfTheDay(affirmation) {
+    document.getElementById('cardOfTheDayText').textContent = `"${affirmation.text}"`;
+    document.getElementById('favoriteCardOfTheDayButton').textContent = affirmation.favorite ? '★ Favourite' : '☆ Add to favourites';
+}
+
+// --- Rendering functions for SAFETY ---
+
+/**
+ * Shows or hides the pinned crisis resources card. It has no close button on purpose.
+ * @param {Array<{name: string, contact: string}>|null} resources The hotlines to show, or null to hide the card.
+ */
+function renderCrisisCard(resources) {
+    crisisCard.innerHTML = '';
+    if (!resources) {
+        crisisCard.classList.add('hidden');
+        return;
     }
+
+    const heading = document.createElement('p');
+    heading.className = 'font-semibold text-gray-100';
+    heading.textContent = "You don't have to go through this alone. If you're in danger or thinking about ending your life, please reach out now:";
+
+    const list = document.createElement('ul');
+    list.className = 'mt-2 space-y-1 text-gray-200';
+    resources.forEach(resource => {
+        const item = document.createElement('li');
+        const name = document.createElement('strong');
+        name.textContent = resource.name;
+        item.appendChild(name);
+        item.appendChild(document.createTextNode(` — ${resource.contact}`));
+        list.appendChild(item);
+    });
+
+    crisisCard.appendChild(heading);
+    crisisCard.appendChild(list);
+    crisisCard.classList.remove('hidden');
 }
 
-function addMessage(sender, content) {
+function renderSafetyLog(log, container, chats) {
+    container.innerHTML = '';
+    if (log.length === 0) {
+        container.innerHTML = '<p class="text-gray-500">Nothing has been logged.</p>';
+        return;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'space-y-2 text-gray-400';
+    log.slice().reverse().forEach(entry => {
+        const item = document.createElement('li');
+        const date = new Date(entry.timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        const meta = document.createElement('div');
+        meta.className = 'text-xs text-gray-500';
+        meta.textContent = `${date} · ${entry.source === 'classifier' ? 'AI check' : 'Phrase'}: ${entry.level} risk`;
+        const chat = document.createElement('div');
+        chat.className = 'truncate';
+        chat.textContent = chats[entry.chatId] ? `In "${chats[entry.chatId].title}"` : 'In a deleted chat';
+        item.appendChild(meta);
+        item.appendChild(chat);
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+}
+
+/**
+ * Lists every tool with a checkbox for whether a persona can create it.
+ * @param {HTMLElement} container The element to fill.
+ * @param {Array<string>|null} enabledTools The tool types the persona can create, or null for all of them.
+ * @param {boolean} disabled Whether the checkboxes are read-only.
+ */
+function renderPersonaToolOptions(container, enabledTools, disabled) {
+    container.innerHTML = '';
+    getRegisteredTools().forEach(tool => {
+        const label = document.createElement('label');
+        label.className = 'flex items-center';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'persona-tool-checkbox h-4 w-4 rounded border-gray-500 bg-gray-800 text-pink-600 focus:ring-pink-500 mr-2';
+        checkbox.value = tool.type;
+        checkbox.checked = !enabledTools || enabledTools.includes(tool.type);
+        checkbox.disabled = disabled;
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(tool.name));
+        container.appendChild(label);
+    });
+}
+
+function addMessage(sender, content, sources = []) {
     const messageDiv = document.createElement('div');
     const isUser = sender === 'user';
-    messageDiv.className = isUser ? 'flex justify-end' : 'flex justify-start';
+    messageDiv.className = isUser ? 'flex flex-col items-end' : 'flex flex-col items-start';
     const chatBubble = document.createElement('div');
     chatBubble.className = `chat-bubble max-w-[75%] p-4 rounded-xl shadow-md ${isUser ? 'user' : 'ai'}`;
 
@@ -154,11 +492,52 @@ function addMessage(sender, content) {
         chatBubble.appendChild(p);
     } else {
         chatBubble.innerHTML = DOMPurify.sanitize(marked.parse(String(content)));
+        addSourcesToMessage(chatBubble, sources);
     }
     
     messageDiv.appendChild(chatBubble);
     chatMessages.appendChild(messageDiv);
     chatMessages.scrollTop = chatMessages.scrollHeight;
+    return chatBubble;
+}
+
+/**
+ * Re-renders the content of an AI bubble created by addMessage, e.g. while a reply streams in.
+ * @param {HTMLElement} chatBubble The bubble returned by addMessage.
+ * @param {string} content The full Markdown content received so far.
+ */
+function updateMessageContent(chatBubble, content) {
+    const isNearBottom = chatMessages.scrollHeight - chatMessages.scrollTop - chatMessages.clientHeight < 80;
+    chatBubble.innerHTML = DOMPurify.sanitize(marked.parse(String(content)));
+    if (isNearBottom) {
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+}
+
+/**
+ * Appends a numbered list of web search citations under an AI reply.
+ * @param {HTMLElement} chatBubble The bubble returned by addMessage.
+ * @param {Array<{title: string, url: string}>} sources The search results the reply was based on.
+ */
+function addSourcesToMessage(chatBubble, sources) {
+    if (!sources || sources.length === 0) return;
+    const list = document.createElement('ol');
+    list.className = 'message-sources text-sm text-gray-400 border-t border-gray-700 pt-2 mt-3';
+    sources.forEach(source => {
+        const item = document.createElement('li');
+        const isWebUrl = /^https?:\/\//i.test(source.url || '');
+        const link = document.createElement(isWebUrl ? 'a' : 'span');
+        link.textContent = source.title || source.url;
+        if (isWebUrl) {
+            link.href = source.url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.className = 'hover:text-pink-400 underline';
+        }
+        item.appendChild(link);
+        list.appendChild(item);
+    });
+    chatBubble.appendChild(list);
 }
 
 // --- NEW: Functions for the tool status bubble ---
@@ -177,9 +556,10 @@ function addToolStatusMessage(toolType) {
             <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5 animate-spin" viewBox="0 0 20 20" fill="currentColor">
                 <path fill-rule="evenodd" d="M11.49 3.17c-.38-1.56-2.6-1.56-2.98 0a1.532 1.532 0 01-2.286.948c-1.372-.836-2.942.734-2.106 2.106.54.886.061 2.042-.947 2.287-1.561.379-1.561 2.6 0 2.978a1.532 1.532 0 01.947 2.287c-.836 1.372.734 2.942 2.106 2.106a1.532 1.532 0 012.287.947c.379 1.561 2.6 1.561 2.978 0a1.532 1.532 0 012.287-.947c1.372.836 2.942-.734 2.106-2.106a1.532 1.532 0 01-.947-2.287c1.561-.379 1.561-2.6 0-2.978a1.532 1.532 0 01-.947-2.287c.836-1.372-.734-2.942-2.106-2.106a1.532 1.532 0 01-2.287-.947zM10 13a3 3 0 100-6 3 3 0 000 6z" clip-rule="evenodd" />
             </svg>
-            <i>Aura is using the <strong>${formattedName}</strong> tool...</i>
+            <i>Aura is using the <strong></strong> tool...</i>
         </div>
     `;
+    statusDiv.querySelector('strong').textContent = formattedName;
     chatMessages.appendChild(statusDiv);
     chatMessages.scrollTop = chatMessages.scrollHeight;
 }
@@ -192,38 +572,304 @@ function removeToolStatusMessages() {
     statusMessages.forEach(msg => msg.remove());
 }
 
+/**
+ * Adds a bubble saying a tool couldn't be created.
+ * @param {string} content The explanation shown to the user.
+ */
+function addToolErrorMessage(content) {
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'flex justify-start';
+    const chatBubble = document.createElement('div');
+    chatBubble.className = 'chat-bubble tool-error-message max-w-[75%] p-3 rounded-xl shadow-md bg-red-900 text-gray-100';
+    chatBubble.setAttribute('role', 'alert');
+    chatBubble.textContent = content;
+    errorDiv.appendChild(chatBubble);
+    chatMessages.appendChild(errorDiv);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+/**
+ * Adds a small centred notice to the chat, e.g. when Aura schedules a reminder.
+ * @param {string} content The notice text.
+ */
+function addNoticeMessage(content) {
+    const noticeDiv = document.createElement('div');
+    noticeDiv.className = 'flex justify-center';
+    const notice = document.createElement('p');
+    notice.className = 'text-xs text-gray-400 bg-gray-800 rounded-full px-3 py-1';
+    notice.textContent = content;
+    noticeDiv.appendChild(notice);
+    chatMessages.appendChild(noticeDiv);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
 
 function displayChat(history) {
     clearChatMessages();
-    history.forEach(message => {
-        addMessage(message.role, message.content);
+    history.forEach((message, index) => {
+        if (message.toolError) {
+            addToolErrorMessage(message.content);
+        } else if (message.notice) {
+            addNoticeMessage(message.content);
+        } else {
+            const chatBubble = addMessage(message.role, message.content, message.sources);
+            const canRegenerate = message.role === 'assistant' && index > 0 && history[index - 1].role === 'user';
+            addMessageActions(chatBubble, message, canRegenerate);
+        }
+        // Lets message actions and search results find the message.
+        chatMessages.lastElementChild.dataset.messageIndex = index;
+    });
+}
+
+/**
+ * Adds copy, edit, regenerate and delete buttons under a message, plus arrows to flip
+ * between the alternatives where the conversation branches at it.
+ * @param {HTMLElement} chatBubble The bubble returned by addMessage.
+ * @param {object} message The message from the chat history.
+ * @param {boolean} canRegenerate Whether the message is a reply that can be regenerated.
+ */
+function addMessageActions(chatBubble, message, canRegenerate) {
+    const actions = document.createElement('div');
+    actions.className = 'message-actions flex items-center space-x-3 mt-1 px-1 text-xs text-gray-500';
+    const addButton = (parent, action, label, title, disabled = false) => {
+        const button = document.createElement('button');
+        button.className = 'hover:text-pink-400 transition duration-200 disabled:opacity-30 disabled:cursor-not-allowed';
+        button.dataset.messageAction = action;
+        button.textContent = label;
+        button.title = title;
+        button.disabled = disabled;
+        parent.appendChild(button);
+    };
+
+    if (message.branch) {
+        const { tails, active } = message.branch;
+        const branchNav = document.createElement('span');
+        branchNav.className = 'flex items-center space-x-1 text-gray-400';
+        addButton(branchNav, 'previous_branch', '‹', 'Previous version', active === 0);
+        const position = document.createElement('span');
+        position.textContent = `${active + 1} / ${tails.length}`;
+        branchNav.appendChild(position);
+        addButton(branchNav, 'next_branch', '›', 'Next version', active === tails.length - 1);
+        actions.appendChild(branchNav);
+    }
+
+    const buttons = document.createElement('span');
+    buttons.className = 'message-buttons flex items-center space-x-3';
+    addButton(buttons, 'copy', 'Copy', 'Copy to clipboard');
+    if (message.role === 'user') addButton(buttons, 'edit', 'Edit', 'Edit and resend');
+    if (canRegenerate) addButton(buttons, 'regenerate', 'Regenerate', 'Write a different reply');
+    addButton(buttons, 'delete', 'Delete', 'Delete');
+    actions.appendChild(buttons);
+    chatBubble.parentElement.appendChild(actions);
+}
+
+/**
+ * Swaps a message's bubble for a text box to edit it in.
+ * @param {HTMLElement} messageRow The element carrying the message's data-message-index.
+ * @param {string} content The message's current text.
+ */
+function showMessageEditor(messageRow, content) {
+    messageRow.querySelector('.chat-bubble').classList.add('hidden');
+    messageRow.querySelector('.message-actions').classList.add('hidden');
+    const editor = document.createElement('div');
+    editor.className = 'message-editor w-full max-w-[75%] space-y-2';
+    const textarea = document.createElement('textarea');
+    textarea.className = 'message-edit-text w-full p-3 bg-gray-800 text-gray-200 border border-gray-700 rounded-md focus:outline-none focus:ring-2 focus:ring-pink-500';
+    textarea.rows = 3;
+    textarea.value = content;
+    const buttons = document.createElement('div');
+    buttons.className = 'flex justify-end space-x-2';
+    [['cancel_edit', 'Cancel', 'bg-gray-600 hover:bg-gray-500'], ['save_edit', 'Save & send', 'bg-pink-600 hover:bg-pink-700']].forEach(([action, label, colors]) => {
+        const button = document.createElement('button');
+        button.className = `px-3 py-1 rounded-md text-sm transition duration-200 ${colors}`;
+        button.dataset.messageAction = action;
+        button.textContent = label;
+        buttons.appendChild(button);
     });
+    editor.appendChild(textarea);
+    editor.appendChild(buttons);
+    messageRow.appendChild(editor);
+    textarea.focus();
 }
 
+// Pinned chats come first, then each folder, then chats in no folder, with archived
+// chats tucked away at the bottom. Within each group, the most recently active chat is first.
 function renderChatList(chats, activeChatId) {
+    const archivedSection = chatList.querySelector('.archived-chats');
+    const isArchiveOpen = Boolean(archivedSection && archivedSection.open);
     chatList.innerHTML = '';
+    const lastActivity = chat => chat.updatedAt || new Date(Number(chat.id) || 0).toISOString();
     const validChats = Object.values(chats).filter(chat => chat && chat.id && chat.title);
-    const sortedChats = validChats.sort((a, b) => b.id - a.id);
-    sortedChats.forEach(chat => {
-        const chatTab = document.createElement('div');
-        chatTab.className = `flex justify-between items-center p-3 rounded-md cursor-pointer transition duration-200 ${chat.id === activeChatId ? 'bg-gray-800' : 'hover:bg-gray-800'}`;
-        chatTab.dataset.chatId = chat.id;
+    const sortedChats = validChats.sort((a, b) => lastActivity(b).localeCompare(lastActivity(a)));
+    const listedChats = sortedChats.filter(chat => !chat.archived);
+    const archivedChats = sortedChats.filter(chat => chat.archived);
+    const folders = [...new Set(listedChats.filter(chat => !chat.pinned && chat.folder).map(chat => chat.folder))].sort((a, b) => a.localeCompare(b));
 
-        const chatTitle = document.createElement('span');
-        chatTitle.textContent = chat.title;
-        chatTitle.className = 'truncate';
+    const groups = [
+        { label: 'Pinned', chats: listedChats.filter(chat => chat.pinned) },
+        ...folders.map(folder => ({ label: folder, chats: listedChats.filter(chat => !chat.pinned && chat.folder === folder) })),
+        { label: 'Recent', chats: listedChats.filter(chat => !chat.pinned && !chat.folder) }
+    ].filter(group => group.chats.length > 0);
+    groups.forEach(group => {
+        // A lone group of recent chats needs no heading.
+        if (groups.length > 1) chatList.appendChild(createChatGroupHeading(group.label));
+        group.chats.forEach(chat => chatList.appendChild(createChatTab(chat, activeChatId)));
+    });
 
-        const deleteButton = document.createElement('button');
-        deleteButton.className = 'delete-chat-button text-gray-400 hover:text-red-500 transition duration-200';
-        deleteButton.dataset.chatId = chat.id;
-        deleteButton.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clip-rule="evenodd" /></svg>`;
+    if (archivedChats.length > 0) {
+        const details = document.createElement('details');
+        details.className = 'archived-chats mt-4';
+        details.open = isArchiveOpen || archivedChats.some(chat => chat.id === activeChatId);
+        const summary = document.createElement('summary');
+        summary.className = 'cursor-pointer px-3 py-1 text-xs font-semibold uppercase tracking-wide text-gray-500';
+        summary.textContent = `Archived (${archivedChats.length})`;
+        details.appendChild(summary);
+        archivedChats.forEach(chat => details.appendChild(createChatTab(chat, activeChatId)));
+        chatList.appendChild(details);
+    }
 
-        chatTab.appendChild(chatTitle);
-        chatTab.appendChild(deleteButton);
-        chatList.appendChild(chatTab);
+    const folderList = document.getElementById('chatFolderList');
+    folderList.innerHTML = '';
+    [...new Set(validChats.map(chat => chat.folder).filter(Boolean))].forEach(folder => {
+        const option = document.createElement('option');
+        option.value = folder;
+        folderList.appendChild(option);
     });
 }
 
+function createChatGroupHeading(label) {
+    const heading = document.createElement('h3');
+    heading.className = 'mt-3 mb-1 px-3 text-xs font-semibold uppercase tracking-wide text-gray-500 truncate';
+    heading.textContent = label;
+    return heading;
+}
+
+function createChatTab(chat, activeChatId) {
+    const chatTab = document.createElement('div');
+    chatTab.className = `chat-tab p-3 rounded-md cursor-pointer transition duration-200 ${chat.id === activeChatId ? 'bg-gray-800' : 'hover:bg-gray-800'}`;
+    chatTab.dataset.chatId = chat.id;
+
+    const header = document.createElement('div');
+    header.className = 'flex justify-between items-center';
+
+    const chatTitle = document.createElement('span');
+    chatTitle.textContent = chat.title;
+    chatTitle.className = 'chat-title truncate';
+    chatTitle.title = 'Double-click to rename';
+
+    const buttons = document.createElement('div');
+    buttons.className = 'flex items-center space-x-2 flex-shrink-0 ml-2';
+
+    const optionsButton = document.createElement('button');
+    optionsButton.className = 'text-gray-400 hover:text-pink-500 transition duration-200';
+    optionsButton.dataset.chatAction = 'options';
+    optionsButton.title = 'Chat options';
+    optionsButton.textContent = '⋯';
+
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'delete-chat-button text-gray-400 hover:text-red-500 transition duration-200';
+    deleteButton.dataset.chatId = chat.id;
+    deleteButton.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clip-rule="evenodd" /></svg>`;
+
+    buttons.appendChild(optionsButton);
+    buttons.appendChild(deleteButton);
+    header.appendChild(chatTitle);
+    header.appendChild(buttons);
+
+    // Hidden until the options button is clicked.
+    const options = document.createElement('div');
+    options.className = 'chat-options hidden mt-2 space-y-2';
+    const actions = document.createElement('div');
+    actions.className = 'flex flex-wrap gap-1';
+    [['rename', 'Rename'], ['pin', chat.pinned ? 'Unpin' : 'Pin'], ['archive', chat.archived ? 'Unarchive' : 'Archive']].forEach(([action, label]) => {
+        const button = document.createElement('button');
+        button.className = 'px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs transition duration-200';
+        button.dataset.chatAction = action;
+        button.textContent = label;
+        actions.appendChild(button);
+    });
+    const folderInput = document.createElement('input');
+    folderInput.type = 'text';
+    folderInput.className = 'chat-folder-input w-full p-1 bg-gray-900 border border-gray-700 rounded text-xs focus:outline-none focus:ring-2 focus:ring-pink-500';
+    folderInput.setAttribute('list', 'chatFolderList');
+    folderInput.placeholder = 'Folder (e.g. Work, Sleep)';
+    folderInput.value = chat.folder || '';
+    options.appendChild(actions);
+    options.appendChild(folderInput);
+
+    chatTab.appendChild(header);
+    chatTab.appendChild(options);
+    return chatTab;
+}
+
+// --- Chat Search ---
+
+const SEARCH_RESULT_LABELS = { user: 'You', assistant: 'Aura', tool: 'Tool', checklist_item: 'Checklist item' };
+
+/**
+ * Renders search results in the sidebar, with the matched words highlighted.
+ * @param {Array<object>} results Results from ChatSearch.search or searchByMeaning.
+ */
+function renderSearchResults(results) {
+    chatSearchResults.innerHTML = '';
+    if (results.length === 0) {
+        renderSearchStatus('No matches.');
+        return;
+    }
+    results.forEach(result => {
+        const item = document.createElement('button');
+        item.className = 'search-result w-full text-left p-3 rounded-md hover:bg-gray-800 transition duration-200';
+        item.dataset.chatId = result.chatId;
+        if (result.kind === 'message') {
+            item.dataset.messageIndex = result.messageIndex;
+        } else {
+            item.dataset.toolId = result.toolId;
+        }
+
+        const meta = document.createElement('span');
+        meta.className = 'block text-xs text-gray-500 truncate';
+        meta.textContent = `${result.chatTitle} · ${SEARCH_RESULT_LABELS[result.kind === 'message' ? result.role : result.kind]}`;
+
+        const snippet = document.createElement('span');
+        snippet.className = 'search-snippet block text-sm text-gray-300';
+        let position = 0;
+        result.snippet.highlights.forEach(([start, end]) => {
+            snippet.appendChild(document.createTextNode(result.snippet.text.slice(position, start)));
+            const mark = document.createElement('mark');
+            mark.textContent = result.snippet.text.slice(start, end);
+            snippet.appendChild(mark);
+            position = end;
+        });
+        snippet.appendChild(document.createTextNode(result.snippet.text.slice(position)));
+
+        item.appendChild(meta);
+        item.appendChild(snippet);
+        chatSearchResults.appendChild(item);
+    });
+}
+
+/**
+ * Shows a single line in place of the search results, e.g. progress or an error.
+ * @param {string} text The text to show.
+ */
+function renderSearchStatus(text) {
+    chatSearchResults.innerHTML = '';
+    const status = document.createElement('p');
+    status.className = 'p-3 text-sm text-gray-400';
+    status.textContent = text;
+    chatSearchResults.appendChild(status);
+}
+
+/**
+ * Scrolls an element into view and highlights it for a moment, e.g. a message opened from search.
+ * @param {HTMLElement|undefined} element The element to show.
+ */
+function flashElement(element) {
+    if (!element) return;
+    element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    element.classList.add('search-flash');
+    setTimeout(() => element.classList.remove('search-flash'), 2000);
+}
+
 function toggleToolsButton(hasTools) {
     if (hasTools) {
         toolsButton.classList.remove('hidden');
@@ -232,6 +878,21 @@ function toggleToolsButton(hasTools) {
     }
 }
 
+function openMoodDashboardModal() { moodDashboardModal.classList.remove('hidden'); }
+function closeMoodDashboardModal() { moodDashboardModal.classList.add('hidden'); }
+
+function openMemoriesModal() { memoriesModal.classList.remove('hidden'); }
+function closeMemoriesModal() { memoriesModal.classList.add('hidden'); }
+
+function openRemindersModal() { remindersModal.classList.remove('hidden'); }
+function closeRemindersModal() { remindersModal.classList.add('hidden'); }
+
+function openAffirmationsModal() { affirmationsModal.classList.remove('hidden'); }
+function closeAffirmationsModal() { affirmationsModal.classList.add('hidden'); }
+
+function openCardOfTheDayModal() { cardOfTheDayModal.classList.remove('hidden'); }
+function closeCardOfTheDayModal() { cardOfTheDayModal.classList.add('hidden'); }
+
 function openToolsModal() { toolsModal.classList.remove('hidden'); }
 function closeToolsModal() { toolsModal.classList.add('hidden'); }
 
@@ -249,6 +910,14 @@ function hideTypingIndicator() {
     if (typingDiv) typingDiv.remove();
 }
 
+// Swaps the send button for the stop button while Aura is generating a reply.
+function setGeneratingState(isGenerating) {
+    const sendButton = document.getElementById('sendButton');
+    const stopButton = document.getElementById('stopButton');
+    sendButton.classList.toggle('hidden', isGenerating);
+    stopButton.classList.toggle('hidden', !isGenerating);
+}
+
 function setMicButtonState(state = 'idle') {
     const micButton = document.getElementById('micButton');
     if (state === 'listening') {
@@ -260,5 +929,99 @@ function setMicButtonState(state = 'idle') {
     }
 }
 
+function setConversationButtonState(isActive) {
+    const conversationButton = document.getElementById('conversationButton');
+    conversationButton.classList.toggle('bg-pink-600', isActive);
+    conversationButton.classList.toggle('hover:bg-pink-700', isActive);
+    conversationButton.classList.toggle('bg-gray-700', !isActive);
+    conversationButton.classList.toggle('hover:bg-gray-600', !isActive);
+    conversationButton.title = isActive ? 'End conversation mode' : 'Start hands-free conversation';
+}
+
+// --- Sync Status ---
+
+const SYNC_STATUS_LABELS = {
+    syncing: ['Syncing…', 'text-gray-400'],
+    synced: ['Synced', 'text-green-400'],
+    offline: ['Offline', 'text-yellow-400'],
+    error: ['Sync error', 'text-red-400'],
+    paused: ['Sync paused', 'text-gray-500']
+};
+
+/**
+ * Shows the sync status in the header, with the details as its tooltip. Hidden while sync is off.
+ * @param {string} status One of SYNC_STATUSES.
+ * @param {string} message The details.
+ */
+function renderSyncStatus(status, message) {
+    const [label, colorClass] = SYNC_STATUS_LABELS[status] || ['', ''];
+    syncStatus.textContent = label;
+    syncStatus.title = message;
+    syncStatus.className = `text-xs ${colorClass}`;
+    syncStatus.classList.toggle('hidden', !label);
+}
+
+/**
+ * Shows a dismissable error in the corner of the screen. Repeated messages replace each other.
+ * @param {string} message The message to show.
+ */
+function showErrorToast(message) {
+    let toast = document.getElementById('errorToast');
+    if (!toast) {
+        toast = document.createElement('div');
+        toast.id = 'errorToast';
+        toast.className = 'fixed bottom-24 right-4 z-50 max-w-sm p-4 bg-red-900 text-gray-100 rounded-lg shadow-2xl flex items-start space-x-3';
+        toast.setAttribute('role', 'alert');
+        const text = document.createElement('p');
+        text.className = 'flex-1 text-sm';
+        const dismissButton = document.createElement('button');
+        dismissButton.className = 'text-gray-300 hover:text-white';
+        dismissButton.textContent = '✕';
+        dismissButton.title = 'Dismiss';
+        dismissButton.addEventListener('click', () => toast.remove());
+        toast.appendChild(text);
+        toast.appendChild(dismissButton);
+        document.body.appendChild(toast);
+    }
+    toast.querySelector('p').textContent = message;
+}
+
+/**
+ * Shows the lock screen until the user enters a passphrase that tryUnlock accepts.
+ * @param {function(string): Promise<*>} tryUnlock Resolves with a truthy value for a correct passphrase.
+ * @returns {Promise<*>} Whatever tryUnlock resolved with for the correct passphrase.
+ */
+function promptForUnlock(tryUnlock) {
+    const lockScreen = document.getElementById('lockScreen');
+    const unlockForm = document.getElementById('unlockForm');
+    const passphraseInput = document.getElementById('unlockPassphraseInput');
+    const errorText = document.getElementById('unlockErrorText');
+    const unlockButton = document.getElementById('unlockButton');
+
+    return new Promise(resolve => {
+        const handleSubmit = async (event) => {
+            event.preventDefault();
+            errorText.classList.add('hidden');
+            unlockButton.disabled = true;
+            unlockButton.textContent = 'Unlocking...';
+            const result = await tryUnlock(passphraseInput.value);
+            unlockButton.disabled = false;
+            unlockButton.textContent = 'Unlock';
+            if (!result) {
+                errorText.classList.remove('hidden');
+                passphraseInput.select();
+                return;
+            }
+            unlockForm.removeEventListener('submit', handleSubmit);
+            passphraseInput.value = '';
+            lockScreen.classList.add('hidden');
+            resolve(result);
+        };
+        unlockForm.addEventListener('submit', handleSubmit);
+        lockScreen.classList.remove('hidden');
+        passphraseInput.focus();
+    });
+}
+
 function openSettingsModal() { settingsModal.classList.remove('hidden'); }
 function closeSettingsModal() { settingsModal.classList.add('hidden'); }
\ No newline at end of file
@@ -0,0 +1,219 @@
+// voice.js
+// This file handles Aura's voice: speech recognition for the mic and the hands-free
+// conversation mode, and speech synthesis that reads replies aloud a sentence at a
+// time while they're still streaming in.
+
+// --- Voice Settings ---
+
+const SPEECH_LANGUAGE_STORAGE_KEY = 'aura_speech_language';
+const SPEECH_RATE_STORAGE_KEY = 'aura_speech_rate';
+const SPEECH_PITCH_STORAGE_KEY = 'aura_speech_pitch';
+const DEFAULT_SPEECH_LANGUAGE = 'en-US';
+const SPEECH_LANGUAGES = {
+    'en-US': 'English (US)',
+    'en-GB': 'English (UK)',
+    'en-AU': 'English (Australia)',
+    'en-IN': 'English (India)',
+    'es-ES': 'Español (España)',
+    'es-MX': 'Español (México)',
+    'fr-FR': 'Français',
+    'de-DE': 'Deutsch',
+    'it-IT': 'Italiano',
+    'pt-BR': 'Português (Brasil)',
+    'nl-NL': 'Nederlands',
+    'id-ID': 'Bahasa Indonesia',
+    'ja-JP': '日本語',
+    'ko-KR': '한국어',
+    'zh-CN': '中文 (普通话)'
+};
+
+function getSpeechLanguage() { return localStorage.getItem(SPEECH_LANGUAGE_STORAGE_KEY) || DEFAULT_SPEECH_LANGUAGE; }
+function saveSpeechLanguage(language) { localStorage.setItem(SPEECH_LANGUAGE_STORAGE_KEY, language); }
+function getSpeechRate() { return Number(localStorage.getItem(SPEECH_RATE_STORAGE_KEY)) || 1; }
+function saveSpeechRate(rate) { localStorage.setItem(SPEECH_RATE_STORAGE_KEY, String(rate)); }
+function getSpeechPitch() {
+    const pitch = localStorage.getItem(SPEECH_PITCH_STORAGE_KEY);
+    return pitch === null ? 1 : Number(pitch);
+}
+function saveSpeechPitch(pitch) { localStorage.setItem(SPEECH_PITCH_STORAGE_KEY, String(pitch)); }
+
+// --- Speech Synthesis ---
+
+// Turns a Markdown reply into plain text that reads well aloud. Punctuation is kept,
+// since it's what gives the voice its pauses and intonation.
+function cleanTextForSpeech(text) {
+    return text
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/`([^`]*)`/g, '$1')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/https?:\/\/\S+/g, '')
+        .replace(/^\s*(#{1,6}|[-*+]|\d+\.)\s+/gm, '')
+        .replace(/[*_~]+/g, '')
+        .replace(/[\p{Extended_Pictographic}\uFE0F]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function createUtterance(text) {
+    const utterance = new SpeechSynthesisUtterance(text);
+    const voiceName = getChatVoiceName();
+    const voice = voiceName && speechSynthesis.getVoices().find(entry => entry.name === voiceName);
+    if (voice) {
+        utterance.voice = voice;
+        utterance.lang = voice.lang;
+    } else {
+        utterance.lang = getSpeechLanguage();
+    }
+    utterance.rate = getSpeechRate();
+    utterance.pitch = getSpeechPitch();
+    return utterance;
+}
+
+function speakText(text) {
+    const cleanedText = cleanTextForSpeech(text);
+    if (cleanedText) speechSynthesis.speak(createUtterance(cleanedText));
+}
+
+// How long after Aura stops speaking the mic may still pick up the end of what it said.
+const ECHO_GRACE_MS = 1500;
+
+// Reduces a transcript to lower-case words, so what the mic heard can be compared with
+// what was read aloud whatever the punctuation.
+function normalizeSpokenWords(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// Reads a streamed reply aloud as it arrives. feed() is called with the whole visible
+// text so far and speaks every sentence that has been completed since the last call;
+// finish() speaks whatever is left. Once cancelled, the rest of the reply stays silent.
+class SentenceSpeaker {
+    constructor() {
+        this.spokenLength = 0;
+        this.pendingUtterances = 0;
+        this.isCancelled = false;
+        // Everything read aloud so far, and when it last fell silent, for isEcho().
+        this.spokenWords = '';
+        this.stoppedSpeakingAt = 0;
+    }
+
+    get isSpeaking() { return this.pendingUtterances > 0; }
+
+    feed(text) {
+        if (this.isCancelled) return;
+        // Leave a tag that hasn't finished streaming alone; it'll be stripped once it has.
+        const visibleText = text.replace(/<[^>]*$/, '');
+        const sentenceEnd = /[.!?…]+["')\]]*\s+|\n+/g;
+        sentenceEnd.lastIndex = this.spokenLength;
+        let match;
+        let end = this.spokenLength;
+        while ((match = sentenceEnd.exec(visibleText)) !== null) {
+            end = match.index + match[0].length;
+        }
+        if (end > this.spokenLength) {
+            this.speak(visibleText.slice(this.spokenLength, end));
+            this.spokenLength = end;
+        }
+    }
+
+    finish(text) {
+        if (this.isCancelled) return;
+        this.speak(text.slice(this.spokenLength));
+        this.spokenLength = text.length;
+    }
+
+    speak(text) {
+        const cleanedText = cleanTextForSpeech(text);
+        if (!cleanedText) return;
+        const utterance = createUtterance(cleanedText);
+        utterance.onend = utterance.onerror = () => {
+            if (this.pendingUtterances === 0) return;
+            this.pendingUtterances--;
+            if (!this.isSpeaking) this.stoppedSpeakingAt = Date.now();
+        };
+        this.pendingUtterances++;
+        this.spokenWords = `${this.spokenWords} ${normalizeSpokenWords(cleanedText)}`.trim();
+        speechSynthesis.speak(utterance);
+    }
+
+    cancel() {
+        this.isCancelled = true;
+        this.pendingUtterances = 0;
+        speechSynthesis.cancel();
+    }
+
+    // Whether a transcript is only Aura's own voice coming back through the mic: words
+    // it has just read aloud, heard while it's speaking or a moment after. Once it has
+    // been cancelled, whatever is heard is the user's.
+    isEcho(transcript) {
+        if (this.isCancelled || !this.spokenWords) return false;
+        if (!this.isSpeaking && Date.now() - this.stoppedSpeakingAt > ECHO_GRACE_MS) return false;
+        const heardWords = normalizeSpokenWords(transcript);
+        return !heardWords || ` ${this.spokenWords} `.includes(` ${heardWords} `);
+    }
+}
+
+// --- Speech Recognition ---
+
+function isSpeechRecognitionSupported() {
+    return Boolean(window.SpeechRecognition || window.webkitSpeechRecognition);
+}
+
+// Listens for speech in the chosen language, reporting the transcript as it's
+// recognised (onInterim) and once the speaker pauses (onFinal). A continuous listener
+// keeps going, restarting whenever the browser ends recognition on its own, until
+// stop() is called; otherwise it stops after the first final transcript.
+class SpeechListener {
+    constructor({ continuous = false, onInterim = () => {}, onFinal = () => {}, onStateChange = () => {} }) {
+        this.continuous = continuous;
+        this.onInterim = onInterim;
+        this.onFinal = onFinal;
+        this.onStateChange = onStateChange;
+        this.recognition = null;
+        this.isActive = false;
+    }
+
+    start() {
+        if (this.isActive) return;
+        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        const recognition = new SpeechRecognition();
+        recognition.lang = getSpeechLanguage();
+        recognition.continuous = this.continuous;
+        recognition.interimResults = true;
+        recognition.onresult = (event) => {
+            let interimTranscript = '';
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                const transcript = event.results[i][0].transcript;
+                if (event.results[i].isFinal) {
+                    if (transcript.trim()) this.onFinal(transcript.trim());
+                } else {
+                    interimTranscript += transcript;
+                }
+            }
+            if (interimTranscript.trim()) this.onInterim(interimTranscript.trim());
+        };
+        recognition.onerror = (event) => {
+            // "no-speech" just means a quiet spell; anything else ends the session.
+            if (event.error === 'no-speech') return;
+            console.error('Speech recognition error', event.error);
+            this.isActive = false;
+        };
+        recognition.onend = () => {
+            if (this.isActive && this.continuous) {
+                recognition.start();
+                return;
+            }
+            this.isActive = false;
+            this.onStateChange(false);
+        };
+        this.recognition = recognition;
+        this.isActive = true;
+        recognition.start();
+        this.onStateChange(true);
+    }
+
+    stop() {
+        if (!this.isActive) return;
+        this.isActive = false;
+        this.recognition.stop();
+    }
+}
@@ -0,0 +1,55 @@
+// backup.test.js
+// Importing a backup into a browser that already has some of its chats.
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAura, plain } = require('./helpers/load-aura');
+
+function memory(id, text) {
+    return { id, text, embedding: [0.1, 0.2, 0.3], createdAt: '2024-01-01T00:00:00.000Z', updatedAt: '2024-01-01T00:00:00.000Z' };
+}
+
+describe('importBackup', () => {
+    let aura;
+    let chatId;
+
+    beforeEach(async () => {
+        aura = loadAura();
+        await aura.chatManager.init();
+        chatId = aura.chatManager.getActiveChatId();
+        aura.chatManager.addMessageToActiveChat('user', 'I have a cat called Miso.');
+        aura.chatManager.state.chats[chatId].memories.push(memory('memory-1', 'Has a cat called Miso'));
+    });
+
+    test('a chat kept as a copy gets its own memory ids', () => {
+        const backup = plain(aura.createBackup(chatId));
+        backup.chats[chatId].title = 'Changed elsewhere';
+        const result = aura.importBackup(backup, 'keep-both');
+
+        assert.equal(result.copied, 1);
+        const memoryIds = Object.values(aura.chatManager.state.chats).flatMap(chat => chat.memories.map(memoryRecord => memoryRecord.id));
+        assert.deepEqual(plain(memoryIds), ['memory-1', 'memory-1-copy1']);
+        const copy = Object.values(aura.chatManager.state.chats).find(chat => chat.id !== chatId);
+        assert.equal(copy.memories[0].text, 'Has a cat called Miso');
+    });
+
+    test('a new chat whose memory ids are taken gets its own', () => {
+        const backup = plain(aura.createBackup(chatId));
+        const importedChat = { ...backup.chats[chatId], id: '1', memories: [memory('memory-1', 'Likes tea')] };
+        aura.importBackup({ ...backup, chats: { 1: importedChat } }, 'keep-both');
+
+        assert.equal(aura.chatManager.state.chats[chatId].memories[0].id, 'memory-1');
+        assert.equal(aura.chatManager.state.chats['1'].memories[0].id, 'memory-1-copy1');
+    });
+
+    test('a replaced chat keeps its own memory ids, but not ones another chat has', () => {
+        const backup = plain(aura.createBackup(chatId));
+        backup.chats[chatId].memories.push(memory('memory-2', 'Likes tea'));
+        aura.chatManager.state.chats['1'] = { ...backup.chats[chatId], id: '1', memories: [memory('memory-2', 'Plays chess')] };
+        const result = aura.importBackup({ ...backup, chats: { [chatId]: backup.chats[chatId] } }, 'replace');
+
+        assert.equal(result.replaced, 1);
+        assert.deepEqual(plain(aura.chatManager.state.chats[chatId].memories.map(memoryRecord => memoryRecord.id)), ['memory-1', 'memory-2-copy1']);
+        assert.equal(aura.chatManager.state.chats['1'].memories[0].id, 'memory-2');
+    });
+});
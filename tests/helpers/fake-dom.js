@@ -0,0 +1,90 @@
+// fake-dom.js
+// Just enough of a document for the tool renderers, which build their elements with
+// buildElement() in ui.js, and for tool actions run against what they render. Markup
+// can't be parsed here: anything written to innerHTML is recorded in
+// document.htmlWrites instead, so a test can check that untrusted text only ever
+// reaches the page as text.
+
+class FakeText {
+    constructor(text) {
+        this.textContent = text;
+    }
+}
+
+class FakeElement {
+    constructor(document, tagName) {
+        this.ownerDocument = document;
+        this.tagName = tagName.toUpperCase();
+        this.parentNode = null;
+        this.className = '';
+        this.childNodes = [];
+        this.attributes = {};
+        this.dataset = {};
+    }
+
+    get children() {
+        return this.childNodes.filter(node => node instanceof FakeElement);
+    }
+
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join('');
+    }
+
+    set textContent(text) {
+        this.childNodes = [new FakeText(String(text))];
+    }
+
+    set innerHTML(html) {
+        this.childNodes = [];
+        if (html) this.ownerDocument.htmlWrites.push(html);
+    }
+
+    get classList() {
+        const names = () => this.className.split(/\s+/).filter(Boolean);
+        return {
+            contains: name => names().includes(name),
+            add: (...added) => { this.className = [...new Set([...names(), ...added])].join(' '); },
+            remove: (...removed) => { this.className = names().filter(name => !removed.includes(name)).join(' '); }
+        };
+    }
+
+    append(...nodes) {
+        nodes.forEach(node => this.appendChild(typeof node === 'string' ? new FakeText(node) : node));
+    }
+
+    appendChild(node) {
+        node.parentNode = this;
+        this.childNodes.push(node);
+        return node;
+    }
+
+    // Only data attribute selectors, like [data-item-id], are supported.
+    closest(selector) {
+        const [, attribute] = /^\[data-([\w-]+)\]$/.exec(selector);
+        const key = attribute.replace(/-(\w)/g, (dash, letter) => letter.toUpperCase());
+        for (let element = this; element; element = element.parentNode) {
+            if (key in element.dataset) return element;
+        }
+        return null;
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    // This element and every element inside it.
+    descendants() {
+        return [this, ...this.children.flatMap(child => child.descendants())];
+    }
+}
+
+function createFakeDocument() {
+    const document = {
+        htmlWrites: [],
+        createElement: tagName => new FakeElement(document, tagName),
+        getElementById: () => new FakeElement(document, 'div')
+    };
+    return document;
+}
+
+module.exports = { createFakeDocument };
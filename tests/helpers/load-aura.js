@@ -0,0 +1,96 @@
+// load-aura.js
+// Loads Aura's scripts into a fresh sandbox the way index.html loads them into a page:
+// in the same order, sharing one global scope. Each call starts from empty storage.
+//
+// The sandbox has an in-memory localStorage and no IndexedDB, so chats are saved with
+// the LocalStorageAdapter. Requests to Ollama go to ollamaUrl (see mock-ollama.js),
+// requests to servers the tests started on 127.0.0.1 go through, and any other request
+// fails as if the network were down, so the tests run offline.
+// app.js, which wires up the page, is never loaded, and ui.js only when a document is
+// given (see fake-dom.js).
+//
+// The returned object looks names up in the sandbox, top-level consts and classes
+// included: const { chatManager, parseResponseTags } = loadAura();
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SCRIPTS = [...fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8').matchAll(/<script src="(js\/[^"]+)"><\/script>/g)]
+    .map(match => match[1]);
+const PAGE_SCRIPTS = ['js/ui.js', 'js/app.js'];
+const TEST_SERVER_URL = 'http://127.0.0.1:';
+
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    get length() { return this.items.size; }
+    key(index) { return [...this.items.keys()][index] ?? null; }
+    getItem(key) { return this.items.has(key) ? this.items.get(key) : null; }
+    setItem(key, value) { this.items.set(key, String(value)); }
+    removeItem(key) { this.items.delete(key); }
+    clear() { this.items.clear(); }
+}
+
+// Keeps what the app logs, so expected warnings don't clutter the test output.
+class RecordingConsole {
+    constructor() {
+        this.messages = [];
+        ['log', 'info', 'warn', 'error'].forEach(level => {
+            this[level] = (...args) => this.messages.push({ level, text: args.map(String).join(' ') });
+        });
+    }
+}
+
+function loadAura({ ollamaUrl = null, document = null } = {}) {
+    const sandbox = {
+        console: new RecordingConsole(),
+        localStorage: new MemoryStorage(),
+        navigator: { language: 'en-US' },
+        document,
+        crypto,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        TextEncoder,
+        TextDecoder,
+        btoa,
+        atob,
+        AbortController,
+        URL
+    };
+    sandbox.window = sandbox;
+    sandbox.fetch = (url, options) => {
+        const ollamaBaseUrl = vm.runInContext('OLLAMA_API_BASE_URL', sandbox);
+        if (ollamaUrl && String(url).startsWith(ollamaBaseUrl)) {
+            return fetch(ollamaUrl + String(url).slice(ollamaBaseUrl.length), options);
+        }
+        if (String(url).startsWith(TEST_SERVER_URL)) return fetch(url, options);
+        return Promise.reject(new TypeError(`fetch failed: the tests are offline (${url})`));
+    };
+    vm.createContext(sandbox);
+
+    SCRIPTS
+        .filter(script => !PAGE_SCRIPTS.includes(script) || (script === 'js/ui.js' && document))
+        .forEach(script => {
+            const filename = path.join(ROOT, script);
+            vm.runInContext(fs.readFileSync(filename, 'utf8'), sandbox, { filename });
+        });
+
+    // `then` is left alone so the object can be awaited, or returned from an async function.
+    return new Proxy(sandbox, {
+        get: (target, name) => (typeof name === 'symbol' || name === 'then' ? target[name] : vm.runInContext(name, target))
+    });
+}
+
+// Objects made in the sandbox have its own Object and Array prototypes, which
+// assert.deepStrictEqual tells apart from the test's. This copies them across.
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadAura, plain };
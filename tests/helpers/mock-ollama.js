@@ -0,0 +1,113 @@
+// mock-ollama.js
+// A stand-in for Ollama that runs on a free local port, so the tests never need a model
+// or a network. Replies are scripted per endpoint and served in order:
+//
+//   mock.reply('chat', 'Sure! <tool_create type="checklist" theme="moving house" />');
+//   mock.reply('generate', '{"type": "checklist", ...}', 'not json at all');
+//   mock.reply('generate', { status: 500, error: 'model crashed' });
+//   mock.reply('chat', { raw: '{"message": {"content": "cut off' });
+//
+// A string is the model's output: /api/chat streams it as NDJSON a few characters at a
+// time, and /api/generate returns it as the `response` field, so malformed tool JSON is
+// scripted as-is. { status, error } answers with an HTTP error, and { raw } sends the
+// body exactly as given. Once an endpoint's script runs out it falls back to a default
+// reply. Every request is recorded in mock.requests.
+
+const http = require('node:http');
+
+// The endpoints that can be scripted, with what they answer when nothing is scripted.
+const MOCK_DEFAULT_REPLIES = {
+    chat: 'Okay.',
+    generate: '{}'
+};
+// How many characters of a reply each streamed chunk carries, so tags arrive split.
+const MOCK_CHAT_CHUNK_LENGTH = 8;
+const MOCK_MODELS = [
+    { name: 'gemma3:4b', size: 3338801804, details: { family: 'gemma3', parameter_size: '4.3B', quantization_level: 'Q4_K_M' } },
+    { name: 'mxbai-embed-large:latest', size: 669615493, details: { family: 'bert', parameter_size: '334M', quantization_level: 'F16' } }
+];
+
+class MockOllama {
+    constructor({ models = MOCK_MODELS } = {}) {
+        this.models = models;
+        this.scripts = { chat: [], generate: [] };
+        this.requests = [];
+        this.server = http.createServer((request, response) => this.handle(request, response));
+        this.url = null;
+    }
+
+    async start() {
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        return this;
+    }
+
+    close() {
+        // fetch keeps its connections open for reuse, which would hold the server open.
+        this.server.closeAllConnections();
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    // Queues replies for 'chat' or 'generate'.
+    reply(endpoint, ...replies) {
+        this.scripts[endpoint].push(...replies);
+        return this;
+    }
+
+    // The bodies of the requests made to one endpoint, oldest first.
+    requestsTo(endpoint) {
+        return this.requests.filter(request => request.endpoint === endpoint).map(request => request.body);
+    }
+
+    async handle(request, response) {
+        let body = '';
+        for await (const chunk of request) body += chunk;
+        const endpoint = request.url.replace(/^\/api\//, '');
+        this.requests.push({ endpoint, body: body ? JSON.parse(body) : null });
+
+        switch (endpoint) {
+            case 'chat':
+                return this.sendScripted(response, endpoint, content => [
+                    ...splitIntoChunks(content).map(part => JSON.stringify({ message: { role: 'assistant', content: part }, done: false })),
+                    JSON.stringify({ message: { role: 'assistant', content: '' }, done: true })
+                ].join('\n') + '\n', 'application/x-ndjson');
+            case 'generate':
+                return this.sendScripted(response, endpoint, output => JSON.stringify({ response: output, done: true }));
+            case 'tags':
+                return sendJson(response, 200, { models: this.models });
+            case 'embeddings':
+                // Every text gets the same embedding; no test depends on recall ranking.
+                return sendJson(response, 200, { embedding: [0.1, 0.2, 0.3] });
+            default:
+                return sendJson(response, 404, { error: `The mock has no ${request.url} endpoint.` });
+        }
+    }
+
+    sendScripted(response, endpoint, formatOutput, contentType = 'application/json') {
+        const reply = this.scripts[endpoint].length > 0 ? this.scripts[endpoint].shift() : MOCK_DEFAULT_REPLIES[endpoint];
+        if (typeof reply === 'string') {
+            response.writeHead(200, { 'Content-Type': contentType });
+            return response.end(formatOutput(reply));
+        }
+        if (reply.raw !== undefined) {
+            response.writeHead(200, { 'Content-Type': contentType });
+            return response.end(reply.raw);
+        }
+        return sendJson(response, reply.status, { error: reply.error || 'Scripted error' });
+    }
+}
+
+function splitIntoChunks(text) {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += MOCK_CHAT_CHUNK_LENGTH) {
+        chunks.push(text.slice(i, i + MOCK_CHAT_CHUNK_LENGTH));
+    }
+    return chunks;
+}
+
+function sendJson(response, status, data) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(data));
+}
+
+module.exports = { MockOllama };
@@ -0,0 +1,39 @@
+// lock.test.js
+// Turning lock mode on, where the saved lock must always match how the chats are stored.
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAura, plain } = require('./helpers/load-aura');
+
+describe('enableLock', () => {
+    let aura;
+
+    beforeEach(async () => {
+        aura = loadAura();
+        await aura.chatManager.init();
+        aura.chatManager.addMessageToActiveChat('user', 'Something private');
+    });
+
+    test('encrypts the chats, including saves still pending', async () => {
+        aura.chatManager.addMessageToActiveChat('user', 'Written just before locking');
+        await aura.chatManager.enableLock('correct horse');
+
+        assert.equal(aura.isLockEnabled(), true);
+        const stored = aura.localStorage.getItem(aura.STATE_STORAGE_KEY);
+        assert.ok(!stored.includes('Something private') && !stored.includes('just before locking'));
+
+        const reloaded = new aura.ChatManager(new aura.LocalStorageAdapter());
+        await reloaded.init(() => aura.unlockWithPassphrase('correct horse'));
+        const history = reloaded.state.chats[reloaded.getActiveChatId()].history;
+        assert.deepEqual(plain(history.map(message => message.content)), ['Something private', 'Written just before locking']);
+    });
+
+    test('keeps the chats unlocked if they could not be re-encrypted', async () => {
+        const { storage } = aura.chatManager;
+        storage.writeState = async () => { throw new Error('The tab was closed'); };
+        await assert.rejects(aura.chatManager.enableLock('correct horse'));
+
+        assert.equal(aura.isLockEnabled(), false);
+        assert.equal(storage.cipher, null);
+    });
+});
@@ -0,0 +1,31 @@
+// personas.test.js
+// Moving the single system prompt from before personas into them.
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAura } = require('./helpers/load-aura');
+
+describe('migrateLegacySystemPrompt', () => {
+    test('a stored copy of the default Aura shipped with keeps the default persona', async () => {
+        const aura = loadAura();
+        aura.localStorage.setItem(aura.PROMPT_STORAGE_KEY, aura.LEGACY_DEFAULT_SYSTEM_PROMPTS[0]);
+        await aura.chatManager.init();
+
+        assert.equal(aura.getCustomPersonas().length, 0);
+        assert.equal(aura.getDefaultPersonaId(), aura.DEFAULT_PERSONA_ID);
+        assert.equal(aura.chatManager.state.chats[aura.chatManager.getActiveChatId()].personaId, aura.DEFAULT_PERSONA_ID);
+        assert.equal(aura.localStorage.getItem(aura.PROMPT_STORAGE_KEY), null);
+    });
+
+    test('a customised prompt becomes the default persona, and can use every tool', async () => {
+        const aura = loadAura();
+        aura.localStorage.setItem(aura.PROMPT_STORAGE_KEY, 'You are a calm assistant named Aura.');
+        await aura.chatManager.init();
+
+        const [persona] = aura.getCustomPersonas();
+        assert.equal(persona.name, 'My Aura');
+        assert.ok(persona.prompt.startsWith('You are a calm assistant named Aura.'));
+        assert.ok(persona.prompt.includes(aura.SYSTEM_PROMPT_CAPABILITIES));
+        assert.equal(aura.getDefaultPersonaId(), persona.id);
+    });
+});
@@ -0,0 +1,34 @@
+// safety.test.js
+// The safety log, which lives outside the chats (and so outside lock mode's
+// encryption) and must never hold what the user wrote.
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAura, plain } = require('./helpers/load-aura');
+
+const CRISIS_MESSAGE = 'I want to kill myself tonight';
+
+describe('the safety log', () => {
+    test('records when and where the check was triggered, not the message', async () => {
+        const aura = loadAura();
+        const assessment = await aura.assessCrisisRisk(CRISIS_MESSAGE);
+        aura.logSafetyEvent('chat-1', assessment);
+
+        const [entry] = plain(aura.getSafetyLog());
+        assert.deepEqual(Object.keys(entry).sort(), ['chatId', 'level', 'source', 'timestamp']);
+        assert.equal(entry.level, 'high');
+        assert.ok(!aura.localStorage.getItem(aura.SAFETY_LOG_STORAGE_KEY).includes('kill myself'));
+    });
+
+    test('drops the messages older logs kept', () => {
+        const aura = loadAura();
+        aura.localStorage.setItem(aura.SAFETY_LOG_STORAGE_KEY, JSON.stringify([
+            { timestamp: '2024-01-01T00:00:00.000Z', chatId: 'chat-1', source: 'keyword', matched: 'kill myself', message: CRISIS_MESSAGE },
+            { timestamp: '2024-01-02T00:00:00.000Z', chatId: 'chat-1', source: 'classifier', matched: 'possible risk', message: 'I can\'t go on' }
+        ]));
+
+        assert.deepEqual(plain(aura.getSafetyLog()).map(entry => entry.level), ['high', 'possible']);
+        const stored = aura.localStorage.getItem(aura.SAFETY_LOG_STORAGE_KEY);
+        assert.ok(!stored.includes('kill myself') && !stored.includes('go on'));
+    });
+});
@@ -0,0 +1,516 @@
+// sync.test.js
+// The server's record store (js/sync-store.js), and two devices keeping their data in
+// step through it with js/sync.js: the later change wins, deletions reach every
+// device, and nothing is lost while the server is down or the token is wrong.
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const { loadAura, plain } = require('./helpers/load-aura');
+const { SyncStore, recordKey } = require('../js/sync-store');
+
+function tick() {
+    return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+function change(collection, data, updatedAt, extra = {}) {
+    return { collection, key: recordKey(collection, data), data, updatedAt, ...extra };
+}
+
+// Serves store.sync (and store.clear, for DELETE) the way js/server.js does. While
+// `offline` is set, connections are dropped as if the server were down.
+async function startSyncServer(store, { token = '' } = {}) {
+    const server = http.createServer(async (req, res) => {
+        if (server.offline) return req.socket.destroy();
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        server.requests.push(JSON.parse(Buffer.concat(chunks).toString() || '{}'));
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+        if (token && req.headers.authorization !== `Bearer ${token}`) return send(401, { error: 'A valid token is required.' });
+        try {
+            if (req.method === 'DELETE') {
+                await store.clear();
+                return send(204, {});
+            }
+            send(200, await store.sync(server.requests.at(-1)));
+        } catch (error) {
+            send(error.status || 500, { error: error.message });
+        }
+    });
+    server.requests = [];
+    server.offline = false;
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    server.url = `http://127.0.0.1:${server.address().port}`;
+    return server;
+}
+
+function stopSyncServer(server) {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+}
+
+async function createDevice(serverUrl, token = '') {
+    // Chat ids are timestamps, so each device's first chat gets its own.
+    await tick();
+    const aura = loadAura();
+    await aura.chatManager.init();
+    aura.saveSyncSettings(serverUrl, token);
+    return aura;
+}
+
+function findChatByTitle(aura, title) {
+    return Object.values(aura.chatManager.state.chats).find(chat => chat.title === title);
+}
+
+describe('SyncStore', () => {
+    let directory;
+    let store;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'aura-sync-'));
+        store = new SyncStore(path.join(directory, 'aura-data.json'));
+    });
+
+    afterEach(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    test('keeps the later of two changes to a record', async () => {
+        await store.sync({ deviceId: 'laptop', changes: [change('chats', { id: '1', title: 'Later' }, '2024-01-02T00:00:00.000Z')] });
+        await store.sync({ deviceId: 'desktop', changes: [change('chats', { id: '1', title: 'Earlier' }, '2024-01-01T00:00:00.000Z')] });
+        assert.equal(store.get('chats', recordKey('chats', { id: '1' })).title, 'Later');
+    });
+
+    test('settles changes made at the same time by device id', async () => {
+        const updatedAt = '2024-01-01T00:00:00.000Z';
+        await store.sync({ deviceId: 'b-desktop', changes: [change('chats', { id: '1', title: 'Desktop' }, updatedAt)] });
+        await store.sync({ deviceId: 'a-laptop', changes: [change('chats', { id: '1', title: 'Laptop' }, updatedAt)] });
+        assert.equal(store.get('chats', recordKey('chats', { id: '1' })).title, 'Desktop');
+    });
+
+    test('sends each device only what others changed since its cursor', async () => {
+        const first = await store.sync({ deviceId: 'laptop', changes: [change('chats', { id: '1', title: 'One' }, '2024-01-01T00:00:00.000Z')] });
+        assert.deepEqual(first.changes, []);
+        await store.sync({ deviceId: 'desktop', changes: [change('chats', { id: '2', title: 'Two' }, '2024-01-01T00:00:00.000Z')] });
+
+        const second = await store.sync({ deviceId: 'laptop', since: first.seq });
+        assert.deepEqual(second.changes.map(record => record.data.title), ['Two']);
+        assert.deepEqual((await store.sync({ deviceId: 'laptop', since: second.seq })).changes, []);
+    });
+
+    test('sends everything when the cursor is from another data file', async () => {
+        await store.sync({ deviceId: 'desktop', changes: [change('chats', { id: '1', title: 'One' }, '2024-01-01T00:00:00.000Z')] });
+        const { changes } = await store.sync({ deviceId: 'laptop', since: 99 });
+        assert.equal(changes.length, 1);
+    });
+
+    test('keeps deletions as tombstones', async () => {
+        const key = recordKey('chats', { id: '1' });
+        await store.sync({ deviceId: 'laptop', changes: [change('chats', { id: '1', title: 'One' }, '2024-01-01T00:00:00.000Z')] });
+        await store.sync({ deviceId: 'laptop', changes: [{ collection: 'chats', key, deleted: true, updatedAt: '2024-01-02T00:00:00.000Z' }] });
+
+        assert.equal(store.get('chats', key), null);
+        const { changes } = await store.sync({ deviceId: 'desktop' });
+        assert.deepEqual(plain(changes.map(record => [record.key, record.deleted])), [[key, true]]);
+    });
+
+    test('keeps its data in the file', async () => {
+        await store.sync({ deviceId: 'laptop', changes: [change('chats', { id: '1', title: 'One' }, '2024-01-01T00:00:00.000Z')] });
+        const reopened = new SyncStore(store.filePath);
+        assert.equal(reopened.data.seq, 1);
+        assert.equal(reopened.get('chats', recordKey('chats', { id: '1' })).title, 'One');
+    });
+
+    test('rejects malformed syncs', async () => {
+        const invalidSyncs = [
+            { changes: [] },
+            { deviceId: 'api' },
+            { deviceId: 'laptop', since: -1 },
+            { deviceId: 'laptop', changes: [{ collection: 'passwords', key: '["1"]', data: { id: '1' }, updatedAt: '2024-01-01T00:00:00.000Z' }] },
+            { deviceId: 'laptop', changes: [{ collection: 'chats', key: '["1"]', data: { id: '1' }, updatedAt: 'yesterday' }] },
+            { deviceId: 'laptop', changes: [{ collection: 'chats', key: '["2"]', data: { id: '1' }, updatedAt: '2024-01-01T00:00:00.000Z' }] },
+            { deviceId: 'laptop', changes: [{ collection: 'chats', deleted: true, updatedAt: '2024-01-01T00:00:00.000Z' }] },
+            { deviceId: 'laptop', changes: [change('messages', { chatId: '1', role: 'user', content: 'Hello' }, '2024-01-01T00:00:00.000Z')] }
+        ];
+        for (const invalidSync of invalidSyncs) {
+            await assert.rejects(store.sync(invalidSync), error => error.status === 400, JSON.stringify(invalidSync));
+        }
+        assert.equal(store.data.seq, 0);
+    });
+
+    test('rejects changes to collections named after Object.prototype\'s properties', async () => {
+        for (const collection of ['__proto__', 'constructor']) {
+            const invalidSync = { deviceId: 'laptop', changes: [{ collection, key: 'polluted', deleted: true, updatedAt: '2024-01-01T00:00:00.000Z' }] };
+            await assert.rejects(store.sync(invalidSync), error => error.status === 400, collection);
+        }
+        assert.equal(({}).polluted, undefined);
+        assert.equal(store.data.seq, 0);
+    });
+
+    test('keeps a record whose key is "__proto__" to itself', async () => {
+        await store.sync({ deviceId: 'laptop', changes: [{ collection: 'chats', key: '__proto__', deleted: true, updatedAt: '2024-01-01T00:00:00.000Z' }] });
+        assert.equal(({}).collection, undefined);
+        const reopened = new SyncStore(store.filePath);
+        assert.equal(({}).collection, undefined);
+        assert.equal(Object.keys(reopened.data.records.chats).length, 1);
+    });
+
+    test('puts a chat back together with its messages and tools', async () => {
+        const updatedAt = '2024-01-01T00:00:00.000Z';
+        await store.sync({ deviceId: 'laptop', changes: [
+            change('chats', { id: '1', title: 'Moving', updatedAt }, updatedAt),
+            change('messages', { id: 'message-2', role: 'assistant', content: 'Hi!', createdAt: '2024-01-01T00:00:01.000Z', chatId: '1' }, updatedAt),
+            change('messages', { id: 'message-1', role: 'user', content: 'Hello', createdAt: updatedAt, chatId: '1' }, updatedAt),
+            change('tools', { chatId: '1', type: 'checklist', id: 'checklist-1', data: { id: 'checklist-1' } }, updatedAt)
+        ] });
+
+        const chat = store.getChat('1');
+        assert.deepEqual(plain(chat.history).map(message => message.content), ['Hello', 'Hi!']);
+        assert.deepEqual(plain(chat.tools), { checklist: [{ id: 'checklist-1' }] });
+
+        const message = await store.addMessage('1', { role: 'user', content: 'Still there?' });
+        assert.deepEqual(Object.keys(message).sort(), ['content', 'createdAt', 'id', 'role']);
+        assert.deepEqual(store.getChat('1').history.map(message => message.content), ['Hello', 'Hi!', 'Still there?']);
+        assert.ok(store.getChat('1').updatedAt > updatedAt);
+        const { changes } = await store.sync({ deviceId: 'laptop', since: 4 });
+        assert.deepEqual(changes.map(record => record.collection), ['messages', 'chats']);
+        assert.ok(changes.every(record => record.deviceId === 'api'));
+    });
+
+    test('deleting a chat deletes its messages and tools', async () => {
+        const updatedAt = '2024-01-01T00:00:00.000Z';
+        await store.sync({ deviceId: 'laptop', changes: [
+            change('chats', { id: '1', title: 'Moving' }, updatedAt),
+            change('messages', { id: 'message-1', role: 'user', content: 'Hello', createdAt: updatedAt, chatId: '1' }, updatedAt),
+            change('tools', { chatId: '1', type: 'checklist', id: 'checklist-1', data: { id: 'checklist-1' } }, updatedAt)
+        ] });
+
+        assert.equal(await store.deleteChat('1'), true);
+        assert.equal(store.getChat('1'), null);
+        assert.deepEqual(store.list('messages'), []);
+        assert.deepEqual(store.list('tools'), []);
+        assert.equal(await store.deleteChat('1'), false);
+    });
+
+    test('drops messages and tools kept by position in older data files', async () => {
+        fs.writeFileSync(store.filePath, JSON.stringify({ version: 1, seq: 2, records: {
+            chats: { '["1"]': { collection: 'chats', key: '["1"]', data: { id: '1' }, deleted: false, updatedAt: '2024-01-01T00:00:00.000Z', deviceId: 'laptop', seq: 1 } },
+            messages: { '["1",0]': { collection: 'messages', key: '["1",0]', data: { chatId: '1', index: 0, role: 'user', content: 'Hello' }, deleted: false, updatedAt: '2024-01-01T00:00:00.000Z', deviceId: 'laptop', seq: 2 } }
+        } }));
+        const reopened = new SyncStore(store.filePath);
+        assert.equal(reopened.data.version, 2);
+        assert.deepEqual(plain(reopened.getChat('1').history), []);
+    });
+
+    test('can delete everything, and carries on numbering changes', async () => {
+        await store.sync({ deviceId: 'laptop', changes: [change('chats', { id: '1', title: 'One' }, '2024-01-01T00:00:00.000Z')] });
+        await store.clear();
+        assert.deepEqual(store.listChats(), []);
+        assert.equal(new SyncStore(store.filePath).get('chats', recordKey('chats', { id: '1' })), null);
+
+        const { seq } = await store.sync({ deviceId: 'laptop', changes: [change('chats', { id: '2', title: 'Two' }, '2024-01-02T00:00:00.000Z')] });
+        assert.equal(seq, 2);
+    });
+
+    test('stores settings', async () => {
+        await store.putSetting('aura_speech_rate', 1.5);
+        assert.deepEqual(store.getSettings(), { aura_speech_rate: '1.5' });
+        await store.removeSetting('aura_speech_rate');
+        assert.deepEqual(store.getSettings(), {});
+    });
+});
+
+describe('syncing devices', () => {
+    let directory;
+    let store;
+    let server;
+
+    beforeEach(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'aura-sync-'));
+        store = new SyncStore(path.join(directory, 'aura-data.json'));
+        server = await startSyncServer(store);
+    });
+
+    afterEach(async () => {
+        await stopSyncServer(server);
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('a chat started on one device can be continued on another', async () => {
+        const laptop = await createDevice(server.url);
+        const desktop = await createDevice(server.url);
+        const chatId = laptop.chatManager.getActiveChatId();
+        laptop.chatManager.renameChat(chatId, 'Moving house');
+        laptop.chatManager.addMessageToActiveChat('user', 'I move next week.');
+        await laptop.syncManager.sync();
+        assert.equal(laptop.syncManager.status, 'synced');
+
+        await desktop.syncManager.sync();
+        desktop.chatManager.setActiveChat(chatId);
+        assert.deepEqual(plain(desktop.chatManager.getActiveChatHistory().map(message => message.content)), ['I move next week.']);
+        desktop.chatManager.addMessageToActiveChat('user', 'Now on my desktop.');
+        await desktop.syncManager.sync();
+
+        await laptop.syncManager.sync();
+        assert.deepEqual(plain(laptop.chatManager.getActiveChatHistory().map(message => message.content)), ['I move next week.', 'Now on my desktop.']);
+        assert.equal(Object.keys(laptop.chatManager.state.chats).length, 2);
+    });
+
+    test('messages two devices add to a chat at the same time are both kept', async () => {
+        const laptop = await createDevice(server.url);
+        const desktop = await createDevice(server.url);
+        const chatId = laptop.chatManager.getActiveChatId();
+        await laptop.syncManager.sync();
+        await desktop.syncManager.sync();
+        desktop.chatManager.setActiveChat(chatId);
+
+        laptop.chatManager.addMessageToActiveChat('user', 'Written on the laptop.');
+        await tick();
+        desktop.chatManager.addMessageToActiveChat('user', 'Written on the desktop.');
+        await laptop.syncManager.sync();
+        await desktop.syncManager.sync();
+        await laptop.syncManager.sync();
+
+        const expected = ['Written on the laptop.', 'Written on the desktop.'];
+        assert.deepEqual(plain(laptop.chatManager.getActiveChatHistory().map(message => message.content)), expected);
+        assert.deepEqual(plain(desktop.chatManager.getActiveChatHistory().map(message => message.content)), expected);
+    });
+
+    test('tools two devices add to a chat at the same time are both kept', async () => {
+        const laptop = await createDevice(server.url);
+        const desktop = await createDevice(server.url);
+        const chatId = laptop.chatManager.getActiveChatId();
+        await laptop.syncManager.sync();
+        await desktop.syncManager.sync();
+        desktop.chatManager.setActiveChat(chatId);
+
+        laptop.chatManager.addOrUpdateToolInActiveChat('checklist', { id: 'checklist-1', title: 'Packing' });
+        laptop.chatManager.addOrUpdateToolInActiveChat('checklist', { id: 'checklist-1', title: 'Cleaning' });
+        desktop.chatManager.addOrUpdateToolInActiveChat('checklist', { id: 'checklist-2', title: 'Groceries' });
+        await laptop.syncManager.sync();
+        await desktop.syncManager.sync();
+        await laptop.syncManager.sync();
+
+        const titles = aura => plain(aura.chatManager.state.chats[chatId].tools.checklist.map(tool => tool.title));
+        assert.deepEqual(titles(laptop), ['Packing', 'Cleaning', 'Groceries']);
+        assert.deepEqual(titles(desktop), ['Groceries', 'Packing', 'Cleaning']);
+        assert.deepEqual(plain(laptop.chatManager.state.chats[chatId].tools.checklist.map(tool => tool.id)), ['checklist-1', 'checklist-1-2', 'checklist-2']);
+    });
+
+    test('chats saved before messages had ids sync in order', async () => {
+        const laptop = loadAura();
+        laptop.localStorage.setItem(laptop.STATE_STORAGE_KEY, JSON.stringify({ activeChatId: '1', chats: { 1: { id: '1', title: 'Old chat', history: [
+            { role: 'user', content: 'First' }, { role: 'assistant', content: 'Second' }, { role: 'user', content: 'Third' }
+        ], tools: {} } } }));
+        await laptop.chatManager.init();
+        laptop.saveSyncSettings(server.url, '');
+        const desktop = await createDevice(server.url);
+        await laptop.syncManager.sync();
+        await desktop.syncManager.sync();
+
+        desktop.chatManager.setActiveChat('1');
+        assert.deepEqual(plain(desktop.chatManager.getActiveChatHistory().map(message => message.content)), ['First', 'Second', 'Third']);
+    });
+
+    test('a synced record isn\'t sent again', async () => {
+        const laptop = await createDevice(server.url);
+        await laptop.syncManager.sync();
+        await laptop.syncManager.sync();
+        assert.ok(server.requests[0].changes.length > 0);
+        assert.deepEqual(server.requests[1].changes, []);
+    });
+
+    test('the later change wins, even when it reaches the server first', async () => {
+        const laptop = await createDevice(server.url);
+        const desktop = await createDevice(server.url);
+        const chatId = laptop.chatManager.getActiveChatId();
+        await laptop.syncManager.sync();
+        await desktop.syncManager.sync();
+
+        server.offline = true;
+        laptop.chatManager.renameChat(chatId, 'Renamed on the laptop');
+        await laptop.syncManager.sync();
+        assert.equal(laptop.syncManager.status, 'offline');
+        server.offline = false;
+        await tick();
+        desktop.chatManager.renameChat(chatId, 'Renamed on the desktop');
+        await desktop.syncManager.sync();
+
+        await laptop.syncManager.sync();
+        await desktop.syncManager.sync();
+        assert.equal(laptop.chatManager.state.chats[chatId].title, 'Renamed on the desktop');
+        assert.equal(desktop.chatManager.state.chats[chatId].title, 'Renamed on the desktop');
+    });
+
+    test('the later change wins when it reaches the server last', async () => {
+        const laptop = await createDevice(server.url);
+        const desktop = await createDevice(server.url);
+        const chatId = laptop.chatManager.getActiveChatId();
+        await laptop.syncManager.sync();
+        await desktop.syncManager.sync();
+
+        desktop.chatManager.renameChat(chatId, 'Renamed on the desktop');
+        await desktop.syncManager.sync();
+        await tick();
+        laptop.chatManager.renameChat(chatId, 'Renamed on the laptop');
+        await laptop.syncManager.sync();
+
+        await desktop.syncManager.sync();
+        assert.equal(laptop.chatManager.state.chats[chatId].title, 'Renamed on the laptop');
+        assert.equal(desktop.chatManager.state.chats[chatId].title, 'Renamed on the laptop');
+    });
+
+    test('deleting a chat deletes it everywhere', async () => {
+        const laptop = await createDevice(server.url);
+        const desktop = await createDevice(server.url);
+        const chatId = laptop.chatManager.getActiveChatId();
+        laptop.chatManager.addMessageToActiveChat('user', 'Delete me.');
+        await laptop.syncManager.sync();
+        await desktop.syncManager.sync();
+        assert.ok(desktop.chatManager.state.chats[chatId]);
+
+        desktop.chatManager.deleteChat(chatId);
+        await desktop.syncManager.sync();
+        await laptop.syncManager.sync();
+
+        assert.equal(laptop.chatManager.state.chats[chatId], undefined);
+        assert.notEqual(laptop.chatManager.getActiveChatId(), chatId);
+        assert.equal(store.getChat(chatId), null);
+        assert.deepEqual(store.list('messages'), []);
+    });
+
+    test('changes made while the server is down are sent once it\'s back', async () => {
+        const laptop = await createDevice(server.url);
+        const desktop = await createDevice(server.url);
+        server.offline = true;
+        laptop.chatManager.renameChat(laptop.chatManager.getActiveChatId(), 'Written offline');
+        await laptop.syncManager.sync();
+        assert.equal(laptop.syncManager.status, 'offline');
+        assert.match(laptop.syncManager.statusMessage, /saved on this device/);
+
+        server.offline = false;
+        await laptop.syncManager.sync();
+        await desktop.syncManager.sync();
+        assert.equal(laptop.syncManager.status, 'synced');
+        assert.ok(findChatByTitle(desktop, 'Written offline'));
+    });
+
+    test('remote changes wait until they can be applied', async () => {
+        const laptop = await createDevice(server.url);
+        const desktop = await createDevice(server.url);
+        laptop.chatManager.renameChat(laptop.chatManager.getActiveChatId(), 'From the laptop');
+        await laptop.syncManager.sync();
+
+        desktop.syncManager.canApplyChanges = () => false;
+        await desktop.syncManager.sync();
+        assert.equal(findChatByTitle(desktop, 'From the laptop'), undefined);
+
+        desktop.syncManager.canApplyChanges = () => true;
+        let refreshed = false;
+        desktop.syncManager.onRemoteChanges = () => { refreshed = true; };
+        await desktop.syncManager.sync();
+        assert.ok(findChatByTitle(desktop, 'From the laptop'));
+        assert.equal(refreshed, true);
+    });
+
+    test('settings follow the user to other devices', async () => {
+        const laptop = await createDevice(server.url);
+        const desktop = await createDevice(server.url);
+        laptop.saveSpeechRate(1.5);
+        await laptop.syncManager.sync();
+        await desktop.syncManager.sync();
+        assert.equal(desktop.getSpeechRate(), 1.5);
+        assert.equal(desktop.localStorage.getItem(desktop.SYNC_STATE_STORAGE_KEY).includes('1.5'), false);
+    });
+
+    test('sync is paused in lock mode', async () => {
+        const laptop = await createDevice(server.url);
+        laptop.localStorage.setItem(laptop.LOCK_CONFIG_STORAGE_KEY, '{}');
+        await laptop.syncManager.sync();
+        assert.equal(laptop.syncManager.status, 'paused');
+        assert.equal(server.requests.length, 0);
+    });
+
+    test('a device can delete the server\'s copy when it turns lock mode on', async () => {
+        const laptop = await createDevice(server.url);
+        const desktop = await createDevice(server.url);
+        laptop.chatManager.addMessageToActiveChat('user', 'Keep this private.');
+        await laptop.syncManager.sync();
+        await desktop.syncManager.sync();
+        assert.equal(laptop.syncManager.hasSyncedData(), true);
+
+        laptop.localStorage.setItem(laptop.LOCK_CONFIG_STORAGE_KEY, '{}');
+        await laptop.syncManager.deleteServerCopy();
+        assert.deepEqual(store.listChats(), []);
+        assert.equal(laptop.syncManager.hasSyncedData(), false);
+
+        await desktop.syncManager.sync();
+        assert.equal(Object.keys(desktop.chatManager.state.chats).length, 2);
+    });
+
+    test('says so when the server\'s copy couldn\'t be deleted', async () => {
+        const laptop = await createDevice(server.url);
+        await laptop.syncManager.sync();
+        server.offline = true;
+        await assert.rejects(laptop.syncManager.deleteServerCopy(), /Can't reach/);
+        assert.equal(laptop.syncManager.hasSyncedData(), true);
+        assert.equal(store.listChats().length, 1);
+    });
+
+    test('sync is off without a server address', async () => {
+        const laptop = await createDevice('');
+        await laptop.syncManager.sync();
+        assert.equal(laptop.syncManager.status, 'off');
+        assert.equal(server.requests.length, 0);
+    });
+
+    test('switching servers starts over', async () => {
+        const laptop = await createDevice(server.url);
+        await laptop.syncManager.sync();
+        const otherStore = new SyncStore(path.join(directory, 'other.json'));
+        const otherServer = await startSyncServer(otherStore);
+        try {
+            await laptop.syncManager.configure(otherServer.url, '');
+            assert.equal(otherServer.requests[0].since, 0);
+            assert.equal(otherServer.requests[0].changes.length, server.requests[0].changes.length);
+        } finally {
+            await stopSyncServer(otherServer);
+        }
+    });
+});
+
+describe('syncing with a token', () => {
+    let directory;
+    let server;
+
+    beforeEach(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'aura-sync-'));
+        server = await startSyncServer(new SyncStore(path.join(directory, 'aura-data.json')), { token: 'secret' });
+    });
+
+    afterEach(async () => {
+        await stopSyncServer(server);
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('a wrong token is reported and nothing is lost', async () => {
+        const laptop = await createDevice(server.url, 'wrong');
+        await laptop.syncManager.sync();
+        assert.equal(laptop.syncManager.status, 'error');
+        assert.match(laptop.syncManager.statusMessage, /token/);
+
+        await laptop.syncManager.configure(server.url, 'secret');
+        assert.equal(laptop.syncManager.status, 'synced');
+        assert.ok(server.requests.at(-1).changes.length > 0);
+    });
+
+    test('web search sends the token too', () => {
+        const aura = loadAura();
+        aura.saveSyncSettings('http://localhost:3000', 'secret');
+        assert.deepEqual(plain(aura.serverAuthHeaders()), { Authorization: 'Bearer secret' });
+    });
+});
@@ -0,0 +1,44 @@
+// voice.test.js
+// Telling the user's voice apart from Aura's own, picked up by the mic while Aura reads
+// its reply aloud in conversation mode.
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAura } = require('./helpers/load-aura');
+
+// Loads Aura with a speech synthesizer that never finishes speaking unless told to.
+function loadAuraWithSpeech() {
+    const aura = loadAura();
+    const utterances = [];
+    aura.window.SpeechSynthesisUtterance = class { constructor(text) { this.text = text; } };
+    aura.window.speechSynthesis = { speak: utterance => utterances.push(utterance), cancel() {}, getVoices: () => [] };
+    return { aura, utterances };
+}
+
+describe('SentenceSpeaker.isEcho', () => {
+    test('what Aura is reading aloud is an echo, whatever the punctuation', () => {
+        const { aura } = loadAuraWithSpeech();
+        const speaker = new aura.SentenceSpeaker();
+        speaker.feed('Hello there! How are you feeling today? ');
+
+        assert.equal(speaker.isEcho('how are you feeling'), true);
+        assert.equal(speaker.isEcho('Hello, there'), true);
+        assert.equal(speaker.isEcho('stop please'), false);
+        assert.equal(speaker.isEcho('are you feel'), false);
+    });
+
+    test('once Aura has been cancelled or has long finished, everything heard is the user', () => {
+        const { aura, utterances } = loadAuraWithSpeech();
+        const speaker = new aura.SentenceSpeaker();
+        speaker.feed('Take a deep breath. ');
+        utterances.forEach(utterance => utterance.onend());
+        assert.equal(speaker.isEcho('take a deep breath'), true);
+        speaker.stoppedSpeakingAt -= aura.ECHO_GRACE_MS + 1;
+        assert.equal(speaker.isEcho('take a deep breath'), false);
+
+        const cancelledSpeaker = new aura.SentenceSpeaker();
+        cancelledSpeaker.feed('Take a deep breath. ');
+        cancelledSpeaker.cancel();
+        assert.equal(cancelledSpeaker.isEcho('take a deep breath'), false);
+    });
+});